@@ -0,0 +1,80 @@
+/**
+ * Analytics Endpoint
+ *
+ * TEACHING MOMENT: This is the JSON version of scripts/verify-patterns.js,
+ * so instructors can see the readiness distribution and pillar weakness
+ * analysis in a browser or dashboard - no terminal needed.
+ *
+ * Usage:
+ *   GET /api/analytics
+ *   GET /api/analytics?from=2025-01-01&to=2025-03-31
+ *   GET /api/analytics?cohort=spring-2025
+ *   GET /api/analytics?promptVersion=m0-v1
+ *   GET /api/analytics?milestone=milestone-1   (default: the first milestone)
+ *
+ * Returns: { total, filters, minGroupSize, suppressed, readinessDistribution, pillars, adaptivePaths }
+ * (see analyzeAssessments() in lib/analytics.js for the exact shape)
+ *
+ * Groups smaller than K_ANONYMITY_MIN (default 5) come back as null - see
+ * lib/k-anonymity.js. A cohort that small gets its total and nothing else.
+ *
+ * Requires an admin token with the 'analytics' scope (see lib/admin-auth.js).
+ * Every request is written to the audit log; if that fails, we answer 503.
+ */
+
+const { getDb, insertAuditEvent } = require('./lib/db.js');
+const { parseAnalyticsFilters, analyzeAssessments } = require('./lib/analytics.js');
+const { requireAdmin } = require('./lib/admin-auth.js');
+
+module.exports = async function handler(req, res) {
+  // CORS headers - needed for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  const admin = await requireAdmin(req, res, 'analytics');
+  if (!admin) return;
+
+  const { filters, errors } = parseAnalyticsFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid filters',
+      details: errors
+    });
+  }
+
+  try {
+    const db = await getDb();
+    const analysis = await analyzeAssessments(db, filters);
+
+    console.log(`[Analytics] Analyzed ${analysis.total} assessments for "${admin.name}"`);
+    // Same rule as the CSV export: no audit entry, no data
+    const audited = await insertAuditEvent({
+      token: admin,
+      action: 'analytics',
+      details: filters,
+      rowCount: analysis.total
+    });
+    if (!audited) {
+      return res.status(503).json({ error: 'Analytics unavailable: audit log could not be written' });
+    }
+    return res.status(200).json(analysis);
+
+  } catch (error) {
+    console.error('[Analytics] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to compute analytics',
+      message: error.message
+    });
+  }
+};
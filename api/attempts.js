@@ -0,0 +1,76 @@
+/**
+ * Attempt History Endpoint
+ *
+ * TEACHING MOMENT: Students who opted in to progress tracking can see every
+ * assessment they've taken and how each pillar moved since the attempt
+ * before. They are identified only by their learner token (lib/learner.js) -
+ * no account, no name.
+ *
+ * Usage:
+ *   GET /api/attempts
+ *   GET /api/attempts?milestone=milestone-0   (one milestone only)
+ *   X-Learner-Token: lrn_...
+ *
+ * Like the session id, the token travels in a header so it doesn't end up
+ * in server logs or browser history.
+ *
+ * Returns: { attempts: [{ attempt, completedAt, milestone, promptVersion,
+ *   readinessLevel, readinessTitle, scores: { pillar: { score, max } },
+ *   deltas: { pillar: change } | null, readinessChange }] }  (oldest first)
+ *
+ * An unknown token just has no attempts - we don't reveal whether a
+ * token was ever used.
+ */
+
+const { getLearnerAttempts } = require('./lib/db.js');
+const { isLearnerToken, hashLearnerToken, buildAttemptHistory } = require('./lib/learner.js');
+const { getMilestone, listMilestones } = require('./lib/rubric.js');
+
+module.exports = async function handler(req, res) {
+  // CORS headers - needed for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Learner-Token');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  // Personal data - never served from a shared cache
+  res.setHeader('Cache-Control', 'no-store');
+
+  const token = req.headers['x-learner-token'];
+  if (!isLearnerToken(token)) {
+    return res.status(400).json({ error: 'A valid X-Learner-Token header is required' });
+  }
+
+  const milestoneFilter = req.query && req.query.milestone;
+  if (milestoneFilter && !getMilestone(milestoneFilter)) {
+    return res.status(400).json({
+      error: `Unknown milestone "${milestoneFilter}". Use: ${listMilestones().map(m => m.id).join(', ')}`
+    });
+  }
+
+  try {
+    const attempts = buildAttemptHistory(await getLearnerAttempts(hashLearnerToken(token)));
+
+    return res.status(200).json({
+      attempts: milestoneFilter
+        ? attempts.filter(attempt => attempt.milestone === milestoneFilter)
+        : attempts
+    });
+
+  } catch (error) {
+    console.error('[Attempts] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to load attempt history',
+      message: error.message
+    });
+  }
+};
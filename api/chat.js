@@ -2,18 +2,26 @@
 // This file goes in: /api/chat.js
 
 import crypto from 'crypto';
-
-/**
- * Hash IP address for privacy
- *
- * TEACHING MOMENT: We NEVER store raw IP addresses.
- * SHA-256 is a one-way hash - you can't reverse it to get the original IP.
- * This protects user privacy while still allowing us to detect duplicates.
- */
-function hashIp(ip) {
-  if (!ip) return null;
-  return crypto.createHash('sha256').update(ip).digest('hex');
-}
+import { reconcileResults } from './lib/scoring.js';
+import { buildSystemPrompt, getMilestone, listMilestones, DEFAULT_MILESTONE_ID } from './lib/rubric.js';
+import { parseAssessmentResults, buildRepairPrompt } from './lib/validate-results.js';
+import {
+  getQuestionBank,
+  gradeAnswer,
+  getPillarStep,
+  pickNextQuestion,
+  scoreBankPillars,
+  buildQuestionPrompt
+} from './lib/question-bank.js';
+import { createRateLimiter } from './lib/rate-limit.js';
+import { normalizeCohort } from './lib/analytics.js';
+import { getModelClient } from './lib/model-client.js';
+import { getSessionTtlHours, getExpiryCutoff, isSessionExpired } from './lib/session-expiry.js';
+import { createLearnerToken, isLearnerToken, hashLearnerToken } from './lib/learner.js';
+import { createReceiptToken, hashReceiptToken } from './lib/receipt.js';
+import { buildPrepPlan } from './lib/prep-plan.js';
+import { getBenchmarkConfig, getBenchmarkFilters, buildBenchmarks } from './lib/benchmark.js';
+import { hashIp } from './lib/ip-hash.js';
 
 /**
  * Extract client IP from request headers
@@ -29,11 +37,58 @@ function getClientIp(req) {
   return req.socket?.remoteAddress || null;
 }
 
+/**
+ * Create a new, hard-to-guess session id
+ *
+ * TEACHING MOMENT: The session id is the only thing a browser needs to
+ * continue a conversation, so it must not be guessable. randomUUID() uses
+ * the operating system's secure random generator (unlike Math.random()).
+ */
+function createSessionId() {
+  return `session_${crypto.randomUUID()}`;
+}
+
+/**
+ * Start a server-sent events (SSE) response
+ *
+ * TEACHING MOMENT: SSE keeps the HTTP response open and sends small
+ * "event: ... / data: ..." messages as they happen. The browser reads
+ * them one by one instead of waiting for the whole reply.
+ */
+function startEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies from buffering the stream into one big chunk
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Finish the request - as JSON, or as the last event of a stream
+ *
+ * Once streaming has started the status code is already sent (200), so
+ * the outcome travels in the event name instead: 'done' or 'error'.
+ */
+function sendResult(res, streaming, status, body) {
+  if (streaming) {
+    sendEvent(res, status === 200 ? 'done' : 'error', { ...body, status });
+    return res.end();
+  }
+  return res.status(status).json(body);
+}
+
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -45,269 +100,415 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Becomes true once we've started answering with server-sent events
+  let streaming = false;
+
   try {
-    // Extract messages and consent status from request
-    // TEACHING MOMENT: consentGiven will be added by frontend in Session 3
-    // For now, we default to true (will save data)
-    const { messages, consentGiven = true } = req.body;
+    // Extract the new message, session id and consent status from request
+    // TEACHING MOMENT: The first turn has no sessionId - we create one and
+    // send it back. Every later turn sends { sessionId, message } and the
+    // server looks up the earlier conversation itself.
+    // cohort (optional, from a /?cohort=... link) is only read on the first turn.
+    // stream: true asks for the reply as server-sent events (see below).
+    // trackProgress: true (a separate opt-in) links this attempt to the
+    // student's learnerToken, or issues one if they don't have one yet.
+    const {
+      sessionId: requestedSessionId,
+      message,
+      consentGiven = true,
+      cohort,
+      stream = false,
+      trackProgress = false,
+      learnerToken: requestedLearnerToken
+    } = req.body;
+
+    // Which milestone to assess: /api/chat?milestone=milestone-1
+    // Like cohort, it only counts on the first turn - the session remembers it
+    const requestedMilestone = (req.query && req.query.milestone) || DEFAULT_MILESTONE_ID;
 
     // Validate request
-    if (!messages || !Array.isArray(messages)) {
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        error: 'Invalid request: message text required'
+      });
+    }
+    if (!requestedSessionId && !getMilestone(requestedMilestone)) {
       return res.status(400).json({
-        error: 'Invalid request: messages array required'
+        error: `Unknown milestone "${requestedMilestone}". Use: ${listMilestones().map(m => m.id).join(', ')}`
       });
     }
 
+    // Dynamic import of database helper (CommonJS module)
+    const {
+      createSession,
+      getSession,
+      getSessionTurns,
+      getQuestionAnswers,
+      appendTurns,
+      completeSession,
+      expireIdleSessions,
+      insertAssessment,
+      getBenchmarkScores,
+      rateLimitStore
+    } = await import('./lib/db.js');
+
+    // =========================================================
+    // RATE LIMITING
+    // TEACHING MOMENT: We check limits BEFORE calling Claude, so blocked
+    // requests cost us nothing. If the limiter itself breaks, we let the
+    // request through - a database hiccup shouldn't lock students out.
+    // =========================================================
+
+    const clientIp = getClientIp(req);
+    // TEACHING MOMENT: We NEVER store raw IP addresses - only an HMAC
+    // keyed with a server secret (see lib/ip-hash.js for why plain
+    // SHA-256 isn't enough).
+    const hashedIp = hashIp(clientIp);
+    const ipHash = hashedIp ? hashedIp.hash : null;
+    const ipHashKeyVersion = hashedIp ? hashedIp.keyVersion : null;
+    const rateLimiter = createRateLimiter(rateLimitStore);
+
+    if (ipHash) {
+      try {
+        const decision = await rateLimiter.checkRequest(ipHash, { newSession: !requestedSessionId });
+        if (!decision.allowed) {
+          console.log('[Chat] Rate limit exceeded:', decision.reason);
+          res.setHeader('Retry-After', String(decision.retryAfter));
+          return res.status(429).json({
+            error: `Too many requests. Please try again in ${Math.ceil(decision.retryAfter / 60)} minutes.`,
+            message: decision.reason
+          });
+        }
+      } catch (limitError) {
+        console.error('[Chat] Rate limiter error (request allowed):', limitError.message);
+      }
+    }
+
+    // Load the conversation so far (empty for a brand new session)
+    let history = [];
+    let session = null;
+    if (requestedSessionId) {
+      session = await getSession(requestedSessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (session.status === 'completed') {
+        return res.status(409).json({ error: 'This assessment is already complete' });
+      }
+      // Abandoned too long ago - its transcript is (or is about to be) deleted
+      const ttlHours = getSessionTtlHours();
+      if (isSessionExpired(session, ttlHours)) {
+        await expireIdleSessions(getExpiryCutoff(ttlHours));
+        return res.status(410).json({
+          error: `This assessment expired after ${ttlHours} hours without activity. Please start a new one.`
+        });
+      }
+      history = await getSessionTurns(requestedSessionId);
+    }
+
+    // The rubric for this conversation: pillars, bands, readiness rules
+    const milestone = getMilestone(session ? session.milestone : requestedMilestone);
+    if (!milestone) {
+      // A session from a milestone that has since been removed from the registry
+      return res.status(409).json({ error: `Milestone "${session.milestone}" is no longer available` });
+    }
+
+    // =========================================================
+    // QUESTION BANK
+    // TEACHING MOMENT: If this milestone has a question bank, the server
+    // grades the reply to the question it asked last turn, then picks the
+    // next one - harder or easier depending on how the pillar is going
+    // (lib/adaptive.js). The grade is only saved with the turn, after the
+    // model answers - a failed model call leaves nothing half-recorded.
+    // =========================================================
+
+    const bank = getQuestionBank(milestone.id);
+    let answers = [];
+    let gradedAnswer = null;
+    let nextQuestion = null;
+    let repeating = false;
+
+    if (bank) {
+      answers = session ? await getQuestionAnswers(requestedSessionId) : [];
+      const pending = session && session.current_question_id
+        ? bank.questionsById.get(session.current_question_id)
+        : null;
+
+      if (pending && !answers.some(answer => answer.questionId === pending.id)) {
+        const correct = gradeAnswer(pending, message);
+        if (correct === null) {
+          // No answer in the reply ("what do you mean?") - ask it again
+          nextQuestion = pending;
+          repeating = true;
+        } else {
+          gradedAnswer = {
+            questionId: pending.id,
+            pillar: pending.pillar,
+            difficulty: pending.difficulty,
+            answer: message,
+            correct
+          };
+          answers = [...answers, gradedAnswer];
+          // Record the engine's decision, so the path can be analyzed later
+          gradedAnswer.nextStep = getPillarStep(bank, milestone, answers, pending.pillar).step;
+        }
+      }
+      if (!repeating) nextQuestion = pickNextQuestion(bank, milestone, answers);
+    }
+
+    const userMessage = { role: 'user', content: message };
+    const messages = [...history, userMessage];
+
     // Check API key
-    const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-    if (!ANTHROPIC_API_KEY) {
+    // (the model client is the real Anthropic API unless a test swapped it)
+    const modelClient = getModelClient();
+    if (!modelClient) {
       console.error('ANTHROPIC_API_KEY not configured');
       return res.status(500).json({ 
         error: 'Server configuration error: API key not set' 
       });
     }
 
-    // System prompt
-    const systemPrompt = `You are an encouraging AI tutor conducting the Milestone 0 baseline assessment for a Data Analyst Bootcamp. Your goal is to evaluate whether students have the foundational skills needed to START learning data analysis.
-
-## YOUR ROLE
-- Supportive mentor conducting a natural conversation, not a rigid quiz
-- You're assessing FOUNDATION skills (numeracy, reading, computer literacy, logic, communication, mindset)
-- You are NOT testing data analysis skills (Excel, SQL, etc.) - that comes later
-- Be encouraging but honest - frame gaps as "opportunities to learn"
-
-## ASSESSMENT STRUCTURE - 6 PILLARS (45 questions total)
-
-### 1. BASIC NUMERACY (10 questions)
-Test: Simple arithmetic, percentages, fractions, decimals, estimation
-Examples:
-- "What is 10% of 200?"
-- "Which is larger: 1/2 or 1/4?"
-- "If you have 45 + 37, what's the answer?"
-- "A product costs $80 and is 25% off. What's the sale price?"
-
-Scoring:
-- 9-10: STRONG (Green)
-- 7-8: ADEQUATE (Green)
-- 5-6: BASIC (Yellow)
-- 3-4: WEAK (Orange)
-- 0-2: GAP (Red)
-
-### 2. READING COMPREHENSION (5 questions)
-Test: Following instructions, extracting information
-Examples:
-- "A company had 45 complaints in January and 60 in February. Did complaints increase or decrease?"
-
-Scoring:
-- 5/5: STRONG (Green)
-- 4/5: GOOD (Green)
-- 3/5: ADEQUATE (Yellow)
-- 1-2: WEAK (Orange)
-- 0: GAP (Red)
-
-### 3. COMPUTER LITERACY (10 questions)
-Test: File management, shortcuts, troubleshooting
-Examples:
-- "How do you save a document?"
-- "What does Ctrl+Z do?"
-- "What's the difference between .csv and .xlsx?"
-
-Scoring:
-- 9-10: CONFIDENT (Green)
-- 7-8: ADEQUATE (Green)
-- 5-6: BASIC (Yellow)
-- 3-4: WEAK (Orange)
-- 0-2: GAP (Red)
-
-### 4. LOGICAL THINKING (8 questions)
-Test: Patterns, if-then logic, problem decomposition
-Examples:
-- "What comes next: 2, 4, 6, 8, ?"
-- "If sales go up when temperature rises, does temperature cause sales?"
-
-Scoring:
-- 7-8: STRONG (Green)
-- 5-6: GOOD (Green)
-- 3-4: BASIC (Yellow)
-- 1-2: WEAK (Orange)
-- 0: GAP (Red)
-
-### 5. COMMUNICATION BASICS (5 questions)
-Test: Writing clearly, explaining simply
-Examples:
-- "Explain what 'average' means to someone who's never heard the term"
-
-Scoring:
-- 5/5: EXCELLENT (Green)
-- 4/5: GOOD (Green)
-- 3/5: ADEQUATE (Yellow)
-- 1-2: WEAK (Orange)
-- 0: GAP (Red)
-
-### 6. LEARNING MINDSET (7 questions)
-Test: Self-direction, handling mistakes, resilience
-Examples:
-- "You get an error message. What do you do first?"
-- "How many hours per week can you commit to learning?"
-
-Scoring:
-- 6-7: EXCELLENT (Green)
-- 5: GOOD (Green)
-- 3-4: DEVELOPING (Yellow)
-- 1-2: WEAK (Orange)
-- 0: NOT READY (Red)
-
-## CONVERSATION FLOW
-1. Start warmly
-2. Work through each pillar naturally
-3. Give immediate feedback
-4. Track scores internally
-5. After all 6 pillars: Provide complete results
-
-## 5 READINESS LEVELS
-
-**Level 1: READY TO START** ✅
-- All/most pillars Green
-- Action: Begin Milestone 1
-
-**Level 2: READY WITH QUICK PREP** ✅⚠️
-- Mix of Green and Yellow
-- Action: 1-2 week prep
-
-**Level 3: NEED FOUNDATION WORK** ⚠️
-- Some Orange
-- Action: 4-6 week foundation program
-
-**Level 4: NEED COMPREHENSIVE PREP** 🛠️
-- Multiple Orange, some Red
-- Action: 8-12 week prep
-
-**Level 5: NOT YET READY** 📚
-- Multiple Red
-- Action: Build foundations first (6-12 months)
-
-## FINAL OUTPUT FORMAT
-After completing all pillars, provide results as JSON:
-
-{
-  "assessment_complete": true,
-  "pillars": {
-    "numeracy": {"score": X, "level": "STRONG/ADEQUATE/BASIC/WEAK/GAP", "color": "green/yellow/orange/red"},
-    "reading": {"score": X, "level": "...", "color": "..."},
-    "computer": {"score": X, "level": "...", "color": "..."},
-    "logic": {"score": X, "level": "...", "color": "..."},
-    "communication": {"score": X, "level": "...", "color": "..."},
-    "mindset": {"score": X, "level": "...", "color": "..."}
-  },
-  "readiness_level": 1-5,
-  "readiness_title": "Ready to Start / Ready with Quick Prep / etc",
-  "overall_message": "Encouraging summary",
-  "strengths": ["List strong areas"],
-  "areas_to_develop": ["Specific gaps"],
-  "next_steps": "Concrete action plan",
-  "estimated_prep_time": "0 weeks / 1-2 weeks / etc"
-}
-
-Be warm, encouraging, and natural!`;
+    // System prompt, generated from the milestone's rubric (lib/milestones/),
+    // plus this turn's question bank instructions
+    const systemPrompt = bank
+      ? `${buildSystemPrompt(milestone)}\n\n${buildQuestionPrompt(bank, milestone, {
+          answers,
+          graded: gradedAnswer && { question: bank.questionsById.get(gradedAnswer.questionId), correct: gradedAnswer.correct },
+          nextQuestion,
+          repeating
+        })}`
+      : buildSystemPrompt(milestone);
 
     // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 2000,
-        system: systemPrompt,
-        messages: messages
-      })
-    });
+    // TEACHING MOMENT: When streaming, each piece of text is relayed to the
+    // browser as a 'delta' event the moment it arrives. Everything after
+    // this (validation, saving) still waits for the COMPLETE reply, and the
+    // final 'done' event carries the same payload as the JSON response.
+    const response = stream === true
+      ? await modelClient.stream(systemPrompt, messages, {
+          onStart: () => {
+            startEventStream(res);
+            streaming = true;
+          },
+          onText: text => sendEvent(res, 'delta', { text })
+        })
+      : await modelClient.complete(systemPrompt, messages);
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Anthropic API error:', response.status, errorData);
-      return res.status(response.status).json({
+      console.error('Anthropic API error:', response.status, response.errorData);
+      return sendResult(res, streaming, response.status, {
         error: 'AI service error',
-        details: errorData.error?.message || 'Unknown error'
+        details: response.errorData.error?.message || 'Unknown error'
       });
     }
 
-    const data = await response.json();
+    let data = response.data;
+    let aiText = data.content?.[0]?.text || '';
 
     // =========================================================
-    // DATABASE SAVE LOGIC
+    // RESULTS VALIDATION
     // TEACHING MOMENT: We check if this response contains final
     // assessment results. The AI returns JSON with "assessment_complete": true
-    // when the quiz is finished.
+    // when the quiz is finished. Before trusting it, we check it against
+    // the rubric - and give the AI ONE chance to fix any mistakes.
     // =========================================================
 
-    const aiText = data.content?.[0]?.text || '';
-    let assessmentResults = null;
+    let parsed = parseAssessmentResults(aiText, milestone);
+
+    if (parsed.found && parsed.errors.length > 0) {
+      console.error('[Chat] Invalid assessment results, asking model to re-emit:', parsed.errors);
+
+      const repair = await modelClient.complete(systemPrompt, [
+        ...messages,
+        { role: 'assistant', content: aiText },
+        { role: 'user', content: buildRepairPrompt(parsed.errors, milestone) }
+      ]);
+      const repairedText = repair.ok ? (repair.data.content?.[0]?.text || '') : '';
+      const repaired = parseAssessmentResults(repairedText, milestone);
+
+      if (repaired.results) {
+        console.log('[Chat] Model re-emitted valid assessment results');
+        data = repair.data;
+        aiText = repairedText;
+        parsed = repaired;
+      } else {
+        const reason = !repair.ok ? `API error ${repair.status}`
+          : !repaired.found ? 'no results JSON in retry'
+          : repaired.errors;
+        console.error('[Chat] Assessment results still invalid after retry, NOT saving:', reason);
+      }
+    }
 
-    // Try to extract JSON assessment results from the AI response
-    try {
-      // Look for JSON object with assessment_complete: true
-      const jsonMatch = aiText.match(/\{[\s\S]*"assessment_complete":\s*true[\s\S]*\}/);
-      if (jsonMatch) {
-        assessmentResults = JSON.parse(jsonMatch[0]);
-        console.log('[Chat] Assessment complete detected');
+    let assessmentResults = parsed.results;
+    if (assessmentResults) {
+      console.log('[Chat] Assessment complete detected');
+    }
+
+    // =========================================================
+    // SESSION TRANSCRIPT
+    // TEACHING MOMENT: Unlike the assessment save below, this one is NOT
+    // optional - without the transcript the next turn would lose context.
+    // =========================================================
+
+    const sessionId = requestedSessionId || createSessionId();
+    const sessionCohort = session ? session.cohort : normalizeCohort(cohort);
+
+    const sessionReady = requestedSessionId
+      ? true
+      : await createSession({ sessionId, ipHash, ipHashKeyVersion, cohort: sessionCohort, milestone: milestone.id });
+    const turnsSaved = sessionReady && await appendTurns(sessionId, [
+      userMessage,
+      { role: 'assistant', content: aiText }
+    ], {
+      answer: gradedAnswer,
+      currentQuestionId: nextQuestion ? nextQuestion.id : null
+    });
+
+    if (!turnsSaved) {
+      console.error('[Chat] Failed to save conversation turns');
+      return sendResult(res, streaming, 503, {
+        error: 'Session storage unavailable',
+        details: 'Your message could not be saved. Please try again.'
+      });
+    }
+
+    // =========================================================
+    // DATABASE SAVE LOGIC
+    // =========================================================
+
+    // Recompute levels, colors and readiness from the raw scores
+    // TEACHING MOMENT: The model's scores are kept, but anything derived
+    // from them comes from our scoring engine so stored data is consistent.
+    // Question bank pillars use the server's own grades instead.
+    if (assessmentResults) {
+      const gradedScores = {};
+      if (bank) {
+        for (const [pillar, tally] of Object.entries(scoreBankPillars(bank, milestone, answers))) {
+          if (tally.score !== null) gradedScores[pillar] = tally.score;
+          else console.log(`[Chat] ${pillar}: ${tally.answered}/${tally.planned} bank questions answered, keeping model score`);
+        }
+      }
+      const { results, discrepancies } = reconcileResults(assessmentResults, milestone, gradedScores);
+      if (discrepancies.length > 0) {
+        console.log('[Chat] Model scoring disagreed with rubric, corrected:', JSON.stringify(discrepancies));
+      }
+      assessmentResults = results;
+
+      // Turn the weak pillars into a week-by-week schedule (null when the
+      // milestone has no resource catalog)
+      assessmentResults.prep_plan = buildPrepPlan(assessmentResults, milestone);
+
+      // Percentiles against other students' saved results - worked out
+      // BEFORE this attempt is saved, so nobody is compared with themselves.
+      // null when there aren't enough students to compare with yet.
+      assessmentResults.benchmarks = null;
+      try {
+        const { group: benchmarkGroup, minSample } = getBenchmarkConfig();
+        const { group, filters } = getBenchmarkFilters(benchmarkGroup, { milestone, cohort: sessionCohort });
+        const others = await getBenchmarkScores(filters);
+        assessmentResults.benchmarks = buildBenchmarks(assessmentResults, milestone, others, { group, minSample });
+      } catch (benchmarkError) {
+        console.error('[Chat] Benchmark error (results still shown):', benchmarkError.message);
       }
-    } catch (parseError) {
-      // Not a final result, just a normal conversation turn - that's fine
-      console.log('[Chat] No assessment results in this response (normal)');
     }
 
     // If we have completed assessment results AND user consented, save to database
-    if (assessmentResults && assessmentResults.assessment_complete && consentGiven === true) {
+    let learnerToken = null;
+    let reportUrl = null;
+    let receiptToken = null;
+    if (assessmentResults && consentGiven === true) {
       try {
-        // Dynamic import of database helper (CommonJS module)
-        const { insertAssessment } = await import('./lib/db.js');
+        const pillars = assessmentResults.pillars;
+
+        // Progress tracking: reuse the browser's token, or start a new one
+        if (trackProgress === true) {
+          learnerToken = isLearnerToken(requestedLearnerToken) ? requestedLearnerToken : createLearnerToken();
+        }
 
-        const clientIp = getClientIp(req);
-        const ipHash = hashIp(clientIp);
-        const pillars = assessmentResults.pillars || {};
+        // The student's key to see, download or delete this record later
+        receiptToken = createReceiptToken();
 
         // Prepare assessment data for database
+        // (one score per pillar the milestone defines)
         const assessmentData = {
-          sessionId: `session_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-          numeracyScore: pillars.numeracy?.score || 0,
-          readingScore: pillars.reading?.score || 0,
-          computerScore: pillars.computer?.score || 0,
-          logicScore: pillars.logic?.score || 0,
-          communicationScore: pillars.communication?.score || 0,
-          mindsetScore: pillars.mindset?.score || 0,
-          readinessLevel: assessmentResults.readiness_level || 0,
-          readinessTitle: assessmentResults.readiness_title || '',
+          sessionId: sessionId,
+          milestone: milestone.id,
+          scores: milestone.pillars.map(pillar => ({
+            pillar: pillar.key,
+            score: pillars[pillar.key].score,
+            max: pillar.max
+          })),
+          readinessLevel: assessmentResults.readiness_level,
+          readinessTitle: assessmentResults.readiness_title,
           ipHash: ipHash,
-          consentGiven: true
+          ipHashKeyVersion: ipHashKeyVersion,
+          consentGiven: true,
+          cohort: sessionCohort,
+          promptVersion: milestone.version,
+          learnerId: learnerToken && hashLearnerToken(learnerToken),
+          results: assessmentResults,
+          receiptHash: hashReceiptToken(receiptToken)
         };
 
         const success = await insertAssessment(assessmentData);
 
         if (success) {
           console.log('[Chat] Assessment saved to database (user consented)');
+          // Only opens with the receipt token in a header, too
+          reportUrl = `/api/report/${sessionId}.pdf`;
         } else {
           console.error('[Chat] Failed to save assessment to database');
+          // Nothing was linked or saved, so don't hand out tokens for it
+          learnerToken = null;
+          receiptToken = null;
         }
       } catch (dbError) {
         // TEACHING MOMENT: Database errors should NOT break the quiz!
         // The user still gets their results even if we can't save them.
         console.error('[Chat] Database error (quiz still works):', dbError.message);
+        learnerToken = null;
+        receiptToken = null;
       }
-    } else if (assessmentResults && assessmentResults.assessment_complete) {
+    } else if (assessmentResults) {
       // Assessment complete but user opted out
       console.log('[Chat] Assessment NOT saved (user opted out of data collection)');
     }
 
-    // Always return the AI response to the frontend
-    return res.status(200).json(data);
+    // Close the session once results are in, keeping the transcript only
+    // for students who consented to data collection
+    if (assessmentResults) {
+      await completeSession(sessionId, { keepTranscript: consentGiven === true });
+
+      if (ipHash) {
+        await rateLimiter.recordCompletion(ipHash).catch(limitError => {
+          console.error('[Chat] Rate limiter error:', limitError.message);
+        });
+      }
+    }
+
+    // Always return the AI response to the frontend, plus the session id
+    // the browser should send with its next message and (on the final turn)
+    // the corrected results to display, plus the learner token to keep if
+    // this attempt was linked for progress tracking, where to download
+    // the PDF report and the receipt token for /api/my-data (only saved
+    // results have them)
+    return sendResult(res, streaming, 200, {
+      ...data,
+      sessionId,
+      milestone: milestone.id,
+      assessmentResults,
+      learnerToken,
+      reportUrl,
+      receiptToken,
+      resultsError: parsed.found && !assessmentResults
+        ? 'Your results could not be verified. Reply "show my results" to try again.'
+        : null
+    });
 
   } catch (error) {
     console.error('Server error:', error);
-    return res.status(500).json({ 
+    return sendResult(res, streaming, 500, { 
       error: 'Internal server error',
       message: error.message 
     });
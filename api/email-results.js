@@ -0,0 +1,108 @@
+/**
+ * Email Results Endpoint
+ *
+ * TEACHING MOMENT: A student can have their results emailed at the end of
+ * the assessment. This is a SEPARATE opt-in from data collection:
+ * - the request must say emailConsent: true (the checkbox next to the field)
+ * - the consent is recorded on the assessment row (email_consent) once
+ *   the email has actually been sent
+ * - the address is used to send this one email and then forgotten - it is
+ *   never stored, so it can't be reused for marketing or anything else
+ *
+ * Usage:
+ *   POST /api/email-results
+ *   X-Receipt-Token: rcp_...
+ *   { "email": "me@example.com", "emailConsent": true }
+ *
+ * Like the PDF report, the results are found with the student's receipt
+ * token (lib/receipt.js) - NOT the session id, which instructors see in
+ * the CSV export. Only saved (consented) assessments have a receipt.
+ * Each assessment can be emailed MAX_EMAILS times.
+ *
+ * Errors: 400 bad input, 404 no saved results, 429 limit reached,
+ * 502 the mail server refused, 503 email not configured
+ */
+
+const { getReceiptReport, reserveResultsEmail, releaseResultsEmail, recordEmailConsent } = require('./lib/db.js');
+const { isReceiptToken, hashReceiptToken } = require('./lib/receipt.js');
+const { getMilestone } = require('./lib/rubric.js');
+const { isValidEmail, getMailTransport } = require('./lib/mailer.js');
+const { buildResultsEmail } = require('./lib/results-email.js');
+
+// Enough to fix a typo in the address, too few to flood an inbox
+const MAX_EMAILS = 3;
+
+module.exports = async function handler(req, res) {
+  // CORS headers - needed for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Receipt-Token');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  const token = req.headers['x-receipt-token'];
+  if (!isReceiptToken(token)) {
+    return res.status(400).json({ error: 'A valid X-Receipt-Token header is required' });
+  }
+
+  const { email, emailConsent } = req.body || {};
+  if (emailConsent !== true) {
+    return res.status(400).json({ error: 'Please confirm you want your results emailed to you' });
+  }
+  const to = typeof email === 'string' ? email.trim() : '';
+  if (!isValidEmail(to)) {
+    return res.status(400).json({ error: 'Please enter a valid email address' });
+  }
+
+  const transport = getMailTransport();
+  if (!transport) {
+    return res.status(503).json({ error: 'Email is not available right now. Try downloading the PDF report instead.' });
+  }
+
+  try {
+    const receiptHash = hashReceiptToken(token);
+    const report = await getReceiptReport(receiptHash);
+    if (!report) {
+      return res.status(404).json({ error: 'No saved results for this receipt' });
+    }
+
+    if (!await reserveResultsEmail(receiptHash, MAX_EMAILS)) {
+      return res.status(429).json({ error: `These results have already been emailed ${MAX_EMAILS} times` });
+    }
+
+    const message = buildResultsEmail({
+      results: report.results,
+      milestone: getMilestone(report.milestone),
+      completedAt: report.timestamp
+    });
+
+    try {
+      await transport.send({ to, ...message });
+    } catch (mailError) {
+      // Never log the address itself
+      console.error(`[Email] ${transport.name} transport failed:`, mailError.message);
+      // Nothing was sent: give the reserved send back, record no consent
+      await releaseResultsEmail(receiptHash);
+      return res.status(502).json({ error: 'The email could not be sent. Please check the address and try again.' });
+    }
+
+    await recordEmailConsent(receiptHash);
+    console.log(`[Email] Results sent via ${transport.name}`);
+    return res.status(200).json({ sent: true });
+
+  } catch (error) {
+    console.error('[Email] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to email results',
+      message: error.message
+    });
+  }
+};
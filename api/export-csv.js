@@ -10,16 +10,43 @@
  * - Each subsequent row is one record
  * - Values separated by commas
  * - Text with commas/quotes wrapped in quotes
+ *
+ * Two shapes (?format=...):
+ * - wide (default): one row per assessment, one column per score
+ * - long:           one row per score - metric,value,date - the format
+ *                   dashboard-automation-web2 imports directly
+ *
+ * One milestone per file (?milestone=..., default Milestone 0), because
+ * each milestone has its own pillars and so its own columns.
+ *
+ * Privacy (see lib/k-anonymity.js and privacy.html):
+ * - rows carry no identifier - no session_id, which would link a row to
+ *   the student's transcript, report and email
+ * - only the DATE is given, not the time, and rows are sorted by date
+ *   and then by their scores - never by the order students finished in
+ * - assessments whose rubric version (prompt_version, the one grouping
+ *   column in the file) has fewer than K_ANONYMITY_MIN rows are left out,
+ *   and the X-Suppressed-Rows header says how many
+ *
+ * Requires an admin token with the 'export' scope (see lib/admin-auth.js):
+ *   curl -H "Authorization: Bearer adm_..." https://.../api/export-csv
+ * Every export is written to the admin audit log.
  */
 
 // Using CommonJS for simplicity (works with dynamic import too)
-const { getAllAssessments } = require('./lib/db.js');
+const { getAllAssessments, insertAuditEvent } = require('./lib/db.js');
+const { requireAdmin } = require('./lib/admin-auth.js');
+const { getMilestone, listMilestones, DEFAULT_MILESTONE_ID } = require('./lib/rubric.js');
+const { getKAnonymityConfig, dropSmallGroups } = require('./lib/k-anonymity.js');
+
+const EXPORT_FORMATS = ['wide', 'long'];
 
 module.exports = async function handler(req, res) {
   // CORS headers - needed for cross-origin requests
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Suppressed-Rows');
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -31,64 +58,57 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed. Use GET.' });
   }
 
+  // Only admins may download student data
+  const admin = await requireAdmin(req, res, 'export');
+  if (!admin) return;
+
+  const format = (req.query && req.query.format) || 'wide';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unknown format "${format}". Use: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const milestone = getMilestone((req.query && req.query.milestone) || DEFAULT_MILESTONE_ID);
+  if (!milestone) {
+    return res.status(400).json({ error: `Unknown milestone. Use: ${listMilestones().map(m => m.id).join(', ')}` });
+  }
+
   try {
-    console.log('[CSV Export] Starting export...');
-
-    // Get all assessments from database
-    const rows = await getAllAssessments();
-
-    console.log(`[CSV Export] Found ${rows.length} assessments`);
-
-    // Define CSV headers
-    // TEACHING MOMENT: The order here must match your dashboard expectations
-    const headers = [
-      'session_id',
-      'timestamp',
-      'numeracy_score',
-      'reading_score',
-      'computer_score',
-      'logic_score',
-      'communication_score',
-      'mindset_score',
-      'readiness_level',
-      'readiness_title'
-    ];
-
-    // Build CSV content
-    const csvLines = [];
-
-    // Add header row
-    csvLines.push(headers.join(','));
-
-    // Add data rows
-    for (const row of rows) {
-      const line = [
-        row.session_id || '',
-        row.timestamp || '',
-        row.numeracy_score ?? '',
-        row.reading_score ?? '',
-        row.computer_score ?? '',
-        row.logic_score ?? '',
-        row.communication_score ?? '',
-        row.mindset_score ?? '',
-        row.readiness_level ?? '',
-        // TEACHING MOMENT: Text fields need special handling
-        // 1. Wrap in quotes if contains comma, quote, or newline
-        // 2. Escape internal quotes by doubling them ("" instead of ")
-        escapeCSVField(row.readiness_title || '')
-      ].join(',');
-
-      csvLines.push(line);
-    }
+    console.log(`[CSV Export] Starting ${format} ${milestone.id} export for "${admin.name}"...`);
+
+    // Get all assessments from database, minus groups too small to share
+    const { minGroupSize } = getKAnonymityConfig();
+    const { rows, suppressed } = dropSmallGroups(
+      await getAllAssessments(milestone.id),
+      row => row.prompt_version || '',
+      minGroupSize
+    );
 
-    // Join all lines with newline character
-    const csvContent = csvLines.join('\n');
+    console.log(`[CSV Export] Found ${rows.length} assessments (${suppressed} suppressed, k=${minGroupSize})`);
+
+    // Build the CSV in the requested shape
+    const exportRows = deidentifyRows(rows, milestone);
+    const csvContent = format === 'long' ? buildLongCsv(exportRows, milestone) : buildWideCsv(exportRows, milestone);
+
+    // TEACHING MOMENT: No audit entry, no data. If we can't record who
+    // exported, we refuse the export rather than hand it out unlogged.
+    const audited = await insertAuditEvent({
+      token: admin,
+      action: 'export-csv',
+      details: { format, milestone: milestone.id, suppressed, minGroupSize },
+      rowCount: rows.length
+    });
+    if (!audited) {
+      return res.status(503).json({ error: 'Export unavailable: audit log could not be written' });
+    }
 
     // Set response headers for file download
     // TEACHING MOMENT: These headers tell the browser to download as a file
     // instead of displaying in the browser window
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', 'attachment; filename="assessments.csv"');
+    // Milestone 0 keeps its original file names
+    const prefix = milestone.id === DEFAULT_MILESTONE_ID ? 'assessments' : `assessments-${milestone.id}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${format === 'long' ? `${prefix}-long` : prefix}.csv"`);
+    res.setHeader('X-Suppressed-Rows', String(suppressed));
 
     console.log('[CSV Export] Export complete');
     return res.status(200).send(csvContent);
@@ -102,6 +122,116 @@ module.exports = async function handler(req, res) {
   }
 };
 
+/**
+ * Strip what could single a student out of the rows
+ *
+ * TEACHING MOMENT: A session id looks harmless, but it's the key to
+ * everything else stored about that student. An exact timestamp is
+ * almost as good: "who finished at 14:32 on Tuesday?" has one answer.
+ * A date alone - in an order that says nothing about time - doesn't.
+ *
+ * @param {Array} rows - Assessment rows from getAllAssessments()
+ * @param {Object} milestone - The milestone's rubric
+ * @returns {Array} - [{ date, scores, readiness_level, readiness_title, prompt_version }]
+ */
+function deidentifyRows(rows, milestone) {
+  const sortKey = row => [
+    row.date,
+    ...milestone.pillars.map(pillar => String(row.scores[pillar.key] ?? '').padStart(6, '0')),
+    row.readiness_level,
+    row.prompt_version || ''
+  ].join('|');
+
+  return rows
+    .map(row => ({
+      date: String(row.timestamp || '').substring(0, 10),
+      scores: row.scores,
+      readiness_level: row.readiness_level,
+      readiness_title: row.readiness_title,
+      prompt_version: row.prompt_version
+    }))
+    .sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+/**
+ * Wide format: one row per assessment
+ *
+ * @param {Array} rows - From deidentifyRows()
+ * @param {Object} milestone - The milestone's rubric (its pillars become columns)
+ * @returns {string} - CSV text
+ */
+function buildWideCsv(rows, milestone) {
+  // Define CSV headers
+  // TEACHING MOMENT: The order here must match your dashboard expectations.
+  // For Milestone 0 that's numeracy_score, reading_score... exactly as before.
+  const headers = [
+    'date',
+    ...milestone.pillars.map(pillar => `${pillar.key}_score`),
+    'readiness_level',
+    'readiness_title',
+    // Added last so existing dashboard imports keep their column positions
+    'prompt_version'
+  ];
+
+  // Build CSV content
+  const csvLines = [];
+
+  // Add header row
+  csvLines.push(headers.join(','));
+
+  // Add data rows
+  for (const row of rows) {
+    const line = [
+      row.date,
+      ...milestone.pillars.map(pillar => row.scores[pillar.key] ?? ''),
+      row.readiness_level ?? '',
+      // TEACHING MOMENT: Text fields need special handling
+      // 1. Wrap in quotes if contains comma, quote, or newline
+      // 2. Escape internal quotes by doubling them ("" instead of ")
+      escapeCSVField(row.readiness_title || ''),
+      escapeCSVField(row.prompt_version || '')
+    ].join(',');
+
+    csvLines.push(line);
+  }
+
+  // Join all lines with newline character
+  return csvLines.join('\n');
+}
+
+/**
+ * Long format: one row per score
+ *
+ * TEACHING MOMENT: "Long" (or "tidy") data has one measurement per row.
+ * Each assessment becomes one row per pillar, plus readiness level:
+ *
+ *   metric,value,date
+ *   numeracy,7,2025-01-15
+ *   reading,2,2025-01-15
+ *   ...
+ *   readiness_level,3,2025-01-15
+ *
+ * Charting tools love this shape: "plot value over date, one line per metric".
+ *
+ * @param {Array} rows - From deidentifyRows()
+ * @param {Object} milestone - The milestone's rubric
+ * @returns {string} - CSV text
+ */
+function buildLongCsv(rows, milestone) {
+  const csvLines = ['metric,value,date'];
+
+  for (const row of rows) {
+    const date = row.date;
+
+    for (const pillar of milestone.pillars) {
+      csvLines.push([pillar.key, row.scores[pillar.key] ?? '', date].join(','));
+    }
+    csvLines.push(['readiness_level', row.readiness_level ?? '', date].join(','));
+  }
+
+  return csvLines.join('\n');
+}
+
 /**
  * Escape a field for CSV format
  *
@@ -0,0 +1,119 @@
+/**
+ * Adaptive Difficulty Engine
+ *
+ * TEACHING MOMENT: A fixed list of questions wastes time at both ends -
+ * a strong student answers ten easy questions, a struggling one faces ten
+ * hard ones. Instead, each pillar works like a staircase:
+ *
+ *   correct answer → next question one step HARDER
+ *   wrong answer   → next question one step EASIER
+ *
+ * and the pillar ends as soon as the picture is clear:
+ *
+ *   stop-strong: every answer right, including at least one hardest question
+ *   stop-weak:   every answer wrong, down to the easiest questions
+ *   stop-limit:  borderline - we kept probing until the planned number of
+ *                questions was reached
+ *
+ * Each decision is saved with the answer (question_answers.next_step), so
+ * the path every student took can be analyzed later.
+ *
+ * Difficulties go from 1 (easy) to 3 (hard). A question bank file can
+ * override the settings below with an "adaptive" section.
+ */
+
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 3;
+
+const DEFAULT_SETTINGS = {
+  startDifficulty: 2,  // first question of each pillar
+  minQuestions: 3      // answers needed before a pillar can stop early
+};
+
+/**
+ * Check a bank's "adaptive" section
+ *
+ * @param {Object} settings - e.g. { startDifficulty: 1, minQuestions: 4 }
+ * @returns {Array} - Error messages (empty if valid)
+ */
+function validateAdaptiveSettings(settings) {
+  const errors = [];
+  if (settings.startDifficulty !== undefined
+    && !(Number.isInteger(settings.startDifficulty)
+      && settings.startDifficulty >= MIN_DIFFICULTY
+      && settings.startDifficulty <= MAX_DIFFICULTY)) {
+    errors.push(`adaptive.startDifficulty must be ${MIN_DIFFICULTY}-${MAX_DIFFICULTY}`);
+  }
+  if (settings.minQuestions !== undefined && !(Number.isInteger(settings.minQuestions) && settings.minQuestions > 0)) {
+    errors.push('adaptive.minQuestions must be a positive whole number');
+  }
+  return errors;
+}
+
+/**
+ * Decide what happens next in one pillar
+ *
+ * @param {Array} answers - This pillar's answers in order: [{ difficulty, correct }]
+ * @param {Object} options - { planned, settings }
+ *   planned:  the most questions this pillar may ask
+ *   settings: overrides for DEFAULT_SETTINGS
+ * @returns {Object} - { done, step, difficulty }
+ *   step: 'start' | 'harder' | 'easier' | 'same' | 'stop-strong' | 'stop-weak' | 'stop-limit'
+ *   difficulty: for the next question (null when done)
+ */
+function nextStep(answers, { planned, settings = {} }) {
+  const { startDifficulty, minQuestions } = { ...DEFAULT_SETTINGS, ...settings };
+
+  if (answers.length === 0) {
+    return { done: false, step: 'start', difficulty: startDifficulty };
+  }
+
+  const last = answers[answers.length - 1];
+  const allRight = answers.every(answer => answer.correct);
+  const allWrong = answers.every(answer => !answer.correct);
+
+  if (answers.length >= minQuestions) {
+    if (allRight && answers.some(answer => answer.difficulty >= MAX_DIFFICULTY)) {
+      return { done: true, step: 'stop-strong', difficulty: null };
+    }
+    if (allWrong && last.difficulty <= MIN_DIFFICULTY) {
+      return { done: true, step: 'stop-weak', difficulty: null };
+    }
+  }
+  if (answers.length >= planned) {
+    return { done: true, step: 'stop-limit', difficulty: null };
+  }
+
+  const difficulty = last.correct
+    ? Math.min(last.difficulty + 1, MAX_DIFFICULTY)
+    : Math.max(last.difficulty - 1, MIN_DIFFICULTY);
+  const step = difficulty > last.difficulty ? 'harder' : difficulty < last.difficulty ? 'easier' : 'same';
+  return { done: false, step, difficulty };
+}
+
+/**
+ * Pick a question as close as possible to the wanted difficulty
+ *
+ * If the bank has no unasked question at that difficulty, the nearest
+ * difficulty is used instead. Ties are broken at random.
+ *
+ * @param {Array} questions - Unasked questions for the pillar
+ * @param {number} difficulty - Wanted difficulty
+ * @param {Function} random - Returns 0 <= n < 1
+ * @returns {Object|null} - A question, or null if none are left
+ */
+function chooseQuestion(questions, difficulty, random = Math.random) {
+  if (questions.length === 0) return null;
+
+  const distance = question => Math.abs(question.difficulty - difficulty);
+  const closest = Math.min(...questions.map(distance));
+  const candidates = questions.filter(question => distance(question) === closest);
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  validateAdaptiveSettings,
+  nextStep,
+  chooseQuestion
+};
@@ -0,0 +1,122 @@
+/**
+ * Admin Authentication
+ *
+ * TEACHING MOMENT: Admin endpoints (CSV export, analytics) hand out data
+ * about every student, so they need a password-like API token:
+ *
+ *   curl -H "Authorization: Bearer adm_..." https://.../api/export-csv
+ *
+ * Tokens are created with the CLI (npm run admin-token -- create <name>)
+ * and shown ONCE. The database only keeps a SHA-256 hash of each token.
+ *
+ * Two different "no" answers:
+ * - 401 Unauthorized: no token, or the token is wrong/revoked ("who are you?")
+ * - 403 Forbidden:    valid token, but not allowed to do THIS ("I know you, but no")
+ *
+ * Each token has scopes saying which admin routes it may use:
+ * - export:    GET /api/export-csv
+ * - analytics: GET /api/analytics
+ */
+
+const crypto = require('crypto');
+const { insertAdminToken, findAdminToken } = require('./db.js');
+
+const ADMIN_SCOPES = ['export', 'analytics'];
+
+/**
+ * Hash a token for storage or lookup
+ *
+ * TEACHING MOMENT: Passwords need slow hashes (bcrypt) because people pick
+ * guessable ones. Our tokens are 32 random bytes - nobody can guess them -
+ * so a fast SHA-256 is enough.
+ *
+ * @param {string} token
+ * @returns {string} - 64-character hex hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a new admin token
+ *
+ * @param {string} name - Who the token is for (shows up in the audit log)
+ * @param {Array} scopes - Subset of ADMIN_SCOPES (default: all)
+ * @returns {Object} - { id, token } - the token is only available here!
+ */
+async function createAdminToken(name, scopes = ADMIN_SCOPES) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Token name is required');
+  }
+  const unknown = scopes.filter(scope => !ADMIN_SCOPES.includes(scope));
+  if (scopes.length === 0 || unknown.length > 0) {
+    throw new Error(`Scopes must be one or more of: ${ADMIN_SCOPES.join(', ')}`);
+  }
+
+  const token = `adm_${crypto.randomBytes(32).toString('base64url')}`;
+  const id = await insertAdminToken({ name: name.trim(), tokenHash: hashToken(token), scopes });
+  if (!id) {
+    throw new Error('Could not save the token');
+  }
+  return { id, token };
+}
+
+// Read "Authorization: Bearer <token>" (null if missing or malformed)
+function getBearerToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (typeof header !== 'string') return null;
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check the request's admin token, or send the error response
+ *
+ * Usage in an endpoint:
+ *   const admin = await requireAdmin(req, res, 'export');
+ *   if (!admin) return;   // 401/403/503 already sent
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} scope - The scope this route needs
+ * @returns {Object|null} - { id, name, scopes } or null if the response was sent
+ */
+async function requireAdmin(req, res, scope) {
+  const token = getBearerToken(req);
+  if (!token) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'Authentication required. Send an admin token as "Authorization: Bearer <token>".' });
+    return null;
+  }
+
+  let admin;
+  try {
+    admin = await findAdminToken(hashToken(token));
+  } catch (error) {
+    console.error('[Admin] Token lookup error:', error.message);
+    res.status(503).json({ error: 'Authentication unavailable. Please try again.' });
+    return null;
+  }
+
+  if (!admin) {
+    res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    res.status(401).json({ error: 'Invalid or revoked admin token' });
+    return null;
+  }
+
+  if (!admin.scopes.includes(scope)) {
+    console.log(`[Admin] Token "${admin.name}" denied: missing scope "${scope}"`);
+    res.status(403).json({ error: `This token is not allowed to access ${scope}` });
+    return null;
+  }
+
+  return admin;
+}
+
+module.exports = {
+  ADMIN_SCOPES,
+  hashToken,
+  createAdminToken,
+  requireAdmin
+};
@@ -0,0 +1,285 @@
+/**
+ * Assessment Analytics
+ *
+ * TEACHING MOMENT: The same numbers are shown in two places - the
+ * terminal report (scripts/verify-patterns.js) and the instructor API
+ * (api/analytics.js). Both call analyzeAssessments() so they can never
+ * disagree about what "struggling" means.
+ *
+ * "Struggling" uses each pillar's weakThreshold from scoring.js - the
+ * top of the red band (e.g. numeracy 4/10 or lower).
+ *
+ * Filters (all optional):
+ * - milestone: which milestone's assessments to analyze (default: the first
+ *              in the registry) - pillars differ, so milestones are never mixed
+ * - from / to: 'YYYY-MM-DD', inclusive, compared against the UTC timestamp
+ * - cohort:    only assessments taken through a /?cohort=... link
+ * - promptVersion: only assessments taken with one rubric version (e.g. 'm0-v1')
+ *
+ * Every breakdown is k-anonymous (lib/k-anonymity.js): groups of fewer
+ * than K_ANONYMITY_MIN students come back as null, and when the whole
+ * filtered set is that small only the total is reported.
+ */
+
+const { getScoringConfig } = require('./scoring.js');
+const { getMilestone, listMilestones, DEFAULT_MILESTONE_ID } = require('./rubric.js');
+const { getKAnonymityConfig, isSmallGroup, cellsToSuppress } = require('./k-anonymity.js');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COHORT_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Clean up a cohort name from a URL or request body
+ *
+ * @param {*} value - Raw value, e.g. 'spring-2025'
+ * @returns {string|null} - The cohort, or null if missing or not allowed
+ */
+function normalizeCohort(value) {
+  if (typeof value !== 'string') return null;
+  const cohort = value.trim();
+  return COHORT_PATTERN.test(cohort) ? cohort : null;
+}
+
+// True for a real calendar date like '2025-02-28' (rejects '2025-02-30')
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Read and check filters from a query string (or CLI flags)
+ *
+ * @param {Object} query - { milestone, from, to, cohort, promptVersion } as strings
+ * @returns {Object} - { filters, errors } where errors is [] when valid
+ */
+function parseAnalyticsFilters(query = {}) {
+  const filters = { milestone: DEFAULT_MILESTONE_ID, from: null, to: null, cohort: null, promptVersion: null };
+  const errors = [];
+
+  if (query.milestone !== undefined && query.milestone !== '') {
+    if (getMilestone(query.milestone)) {
+      filters.milestone = query.milestone;
+    } else {
+      errors.push(`milestone must be one of: ${listMilestones().map(m => m.id).join(', ')}`);
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    const value = query[key];
+    if (value === undefined || value === '') continue;
+    if (typeof value === 'string' && isValidDate(value)) {
+      filters[key] = value;
+    } else {
+      errors.push(`${key} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must be on or before to');
+  }
+
+  if (query.cohort !== undefined && query.cohort !== '') {
+    filters.cohort = normalizeCohort(query.cohort);
+    if (!filters.cohort) {
+      errors.push('cohort may only contain letters, numbers, ".", "_" and "-" (max 64)');
+    }
+  }
+
+  // Rubric versions follow the same naming rules as cohorts
+  if (query.promptVersion !== undefined && query.promptVersion !== '') {
+    filters.promptVersion = normalizeCohort(query.promptVersion);
+    if (!filters.promptVersion) {
+      errors.push('promptVersion may only contain letters, numbers, ".", "_" and "-" (max 64)');
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Turn filters into a WHERE clause with ? placeholders
+ *
+ * TEACHING MOMENT: Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' text,
+ * which sorts the same way as the dates it represents. "On or before
+ * March 5" becomes "earlier than March 6 at 00:00:00".
+ *
+ * @param {Object} filters - { milestone, from, to, cohort, promptVersion }
+ * @returns {Object} - { where, params }
+ */
+function buildWhereClause(filters) {
+  const conditions = ['milestone = ?'];
+  const params = [filters.milestone || DEFAULT_MILESTONE_ID];
+
+  if (filters.from) {
+    conditions.push('timestamp >= ?');
+    params.push(`${filters.from} 00:00:00`);
+  }
+  if (filters.to) {
+    const dayAfter = new Date(`${filters.to}T00:00:00Z`);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    conditions.push('timestamp < ?');
+    params.push(`${dayAfter.toISOString().substring(0, 10)} 00:00:00`);
+  }
+  if (filters.cohort) {
+    conditions.push('cohort = ?');
+    params.push(filters.cohort);
+  }
+  if (filters.promptVersion) {
+    conditions.push('prompt_version = ?');
+    params.push(filters.promptVersion);
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+}
+
+// Percentage rounded to one decimal place (0 when there's nothing to count)
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * Compute the readiness distribution and pillar weakness analysis
+ *
+ * @param {Object} db - Storage adapter (see db.js)
+ * @param {Object} filters - { milestone, from, to, cohort, promptVersion } from parseAnalyticsFilters()
+ * @param {Object} options - { minGroupSize } (default K_ANONYMITY_MIN, see lib/k-anonymity.js)
+ * @returns {Object} - {
+ *   total,
+ *   filters,
+ *   minGroupSize,
+ *   suppressed (true when total is below minGroupSize - every list is then empty),
+ *   readinessDistribution: [{ level, title, count, percent, suppressed }],
+ *   pillars: [{ key, name, max, weakThreshold, struggleCount, struggleRate,
+ *               averageScore, averagePercent, suppressed }]  (highest struggle rate first),
+ *   adaptivePaths: [{ key, name, students, averageQuestions, averageDifficulty,
+ *                     stoppedStrong, stoppedWeak, reachedLimit }]
+ *                  (question bank pillars only, in milestone order)
+ * }
+ *   Suppressed counts and rates are null; adaptive paths with too few
+ *   students are left out.
+ */
+async function analyzeAssessments(db, filters = {}, { minGroupSize = getKAnonymityConfig().minGroupSize } = {}) {
+  const { where, params } = buildWhereClause(filters);
+  const { pillars: rubricPillars, readinessLevels } = getScoringConfig(
+    getMilestone(filters.milestone || DEFAULT_MILESTONE_ID)
+  );
+
+  const totalRow = await db.get(`SELECT COUNT(*) AS count FROM assessments ${where}`, params);
+  const total = totalRow ? totalRow.count : 0;
+
+  // TEACHING MOMENT: With 3 students in a cohort, even an average score
+  // says a lot about each of them - so below k we report the total only.
+  if (isSmallGroup(total, minGroupSize)) {
+    return { total, filters, minGroupSize, suppressed: true, readinessDistribution: [], pillars: [], adaptivePaths: [] };
+  }
+
+  // Readiness distribution - every level is listed, even with 0 students
+  const levelRows = await db.all(`
+    SELECT readiness_level, COUNT(*) AS count
+    FROM assessments ${where}
+    GROUP BY readiness_level
+  `, params);
+  const countsByLevel = Object.fromEntries(levelRows.map(row => [row.readiness_level, row.count]));
+
+  const levelCounts = readinessLevels.map(readiness => countsByLevel[readiness.level] || 0);
+  const hiddenLevels = cellsToSuppress(levelCounts, minGroupSize);
+
+  const readinessDistribution = readinessLevels.map((readiness, index) => {
+    const hidden = hiddenLevels.has(index);
+    return {
+      level: readiness.level,
+      title: readiness.title,
+      count: hidden ? null : levelCounts[index],
+      percent: hidden ? null : percent(levelCounts[index], total),
+      suppressed: hidden
+    };
+  });
+
+  // Pillar weakness analysis
+  // TEACHING MOMENT: Scores live in assessment_scores, one row per pillar.
+  // The subquery picks the assessments that match the filters; thresholds
+  // come from the milestone file, so they can go in the SQL safely.
+  const pillars = [];
+
+  for (const pillar of rubricPillars) {
+    const row = await db.get(`
+      SELECT
+        SUM(CASE WHEN score <= ${pillar.weakThreshold} THEN 1 ELSE 0 END) AS struggle_count,
+        AVG(score) AS average
+      FROM assessment_scores
+      WHERE pillar = ?
+        AND session_id IN (SELECT session_id FROM assessments ${where})
+    `, [pillar.key, ...params]);
+
+    const struggleCount = (row && row.struggle_count) || 0;
+    const average = row && row.average !== null ? row.average : 0;
+    // A handful struggling - or a handful NOT struggling - is too revealing
+    const hidden = cellsToSuppress([struggleCount, total - struggleCount], minGroupSize).size > 0;
+
+    pillars.push({
+      key: pillar.key,
+      name: pillar.name,
+      max: pillar.max,
+      weakThreshold: pillar.weakThreshold,
+      struggleCount: hidden ? null : struggleCount,
+      struggleRate: hidden ? null : percent(struggleCount, total),
+      averageScore: Math.round(average * 100) / 100,
+      averagePercent: percent(average, pillar.max),
+      suppressed: hidden
+    });
+  }
+
+  // Sort by struggle rate (highest first, suppressed ones last)
+  pillars.sort((a, b) => (b.struggleRate ?? -1) - (a.struggleRate ?? -1));
+
+  // Adaptive question paths
+  // TEACHING MOMENT: Each graded bank answer records the engine's next
+  // step. Counting the 'stop-...' steps shows how often students proved
+  // themselves early, and how many pillars needed every question.
+  const pathRows = await db.all(`
+    SELECT
+      pillar,
+      COUNT(DISTINCT session_id) AS students,
+      COUNT(*) AS answers,
+      AVG(difficulty) AS average_difficulty,
+      SUM(CASE WHEN next_step = 'stop-strong' THEN 1 ELSE 0 END) AS stopped_strong,
+      SUM(CASE WHEN next_step = 'stop-weak' THEN 1 ELSE 0 END) AS stopped_weak,
+      SUM(CASE WHEN next_step = 'stop-limit' THEN 1 ELSE 0 END) AS reached_limit
+    FROM question_answers
+    WHERE session_id IN (SELECT session_id FROM assessments ${where})
+    GROUP BY pillar
+  `, params);
+  const pathsByPillar = Object.fromEntries(pathRows.map(row => [row.pillar, row]));
+
+  const adaptivePaths = rubricPillars
+    .filter(pillar => pathsByPillar[pillar.key] && !isSmallGroup(pathsByPillar[pillar.key].students, minGroupSize))
+    .map(pillar => {
+      const row = pathsByPillar[pillar.key];
+      // Each student stops a pillar once, so these are groups of students too
+      const stops = [row.stopped_strong || 0, row.stopped_weak || 0, row.reached_limit || 0];
+      const hiddenStops = cellsToSuppress(stops, minGroupSize);
+      const [stoppedStrong, stoppedWeak, reachedLimit] = stops.map((count, index) => hiddenStops.has(index) ? null : count);
+      return {
+        key: pillar.key,
+        name: pillar.name,
+        students: row.students,
+        averageQuestions: Math.round((row.answers / row.students) * 10) / 10,
+        averageDifficulty: Math.round(row.average_difficulty * 10) / 10,
+        stoppedStrong,
+        stoppedWeak,
+        reachedLimit
+      };
+    });
+
+  return { total, filters, minGroupSize, suppressed: false, readinessDistribution, pillars, adaptivePaths };
+}
+
+module.exports = {
+  normalizeCohort,
+  parseAnalyticsFilters,
+  analyzeAssessments
+};
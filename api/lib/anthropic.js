@@ -0,0 +1,160 @@
+/**
+ * Anthropic API Client
+ *
+ * TEACHING MOMENT: Claude can answer in two ways:
+ * - All at once: we wait for the whole reply, then get one JSON object
+ * - Streaming:   the reply arrives word by word as "server-sent events"
+ *                (SSE), so the student sees text appear while Claude types
+ *
+ * Both functions below return the same shape, so the rest of chat.js
+ * doesn't care which one was used:
+ *   { ok, status, data, errorData, retryAfter }
+ * where data looks like { content: [{ type: 'text', text }], ... }
+ *
+ * Network failures and timeouts don't throw - they come back as
+ * status 502 / 504, so model-client.js can retry them like any 5xx.
+ * That includes a stream that goes quiet for idleTimeoutMs part-way
+ * through: it's cancelled rather than left hanging.
+ *
+ * Settings (model, key, base URL, timeout...) come from model-client.js,
+ * which reads them from environment variables.
+ */
+
+const {
+  postJson,
+  untilDeadline,
+  failureFromResponse,
+  failureFromError,
+  failureFromStreamError,
+  readServerSentEvents
+} = require('./model-http.js');
+
+/**
+ * @typedef {Object} ProviderOptions
+ * @property {string} apiKey
+ * @property {string} baseUrl   - e.g. 'https://api.anthropic.com'
+ * @property {string} model     - e.g. 'claude-haiku-4-5-20251001'
+ * @property {number} maxTokens
+ * @property {number} timeoutMs - How long to wait for Claude to start answering
+ * @property {number} idleTimeoutMs - How long a stream may go without sending anything
+ * @property {number|null} deadline - Date.now() value the call must end by (see model-client.js)
+ */
+
+function postMessages(options, body) {
+  return postJson(`${options.baseUrl}/v1/messages`, {
+    'x-api-key': options.apiKey,
+    'anthropic-version': '2023-06-01'
+  }, body, untilDeadline(options.timeoutMs, options.deadline));
+}
+
+/**
+ * Send the conversation to Claude and wait for the full reply
+ *
+ * @param {ProviderOptions} options
+ * @param {string} system - System prompt
+ * @param {Array} messages - [{ role, content }, ...]
+ * @returns {Object} - { ok, status, data, errorData, retryAfter }
+ */
+async function callAnthropic(options, system, messages) {
+  let request;
+  try {
+    request = await postMessages(options, {
+      model: options.model,
+      max_tokens: options.maxTokens,
+      system: system,
+      messages: messages
+    });
+    const { response } = request;
+
+    if (!response.ok) {
+      return await failureFromResponse(response);
+    }
+    return { ok: true, status: response.status, data: await response.json(), errorData: null };
+  } catch (error) {
+    return failureFromError(error);
+  } finally {
+    if (request) request.clearTimeout();
+  }
+}
+
+/**
+ * Send the conversation to Claude and receive the reply as a stream
+ *
+ * onStart() runs with the first piece of text - only then is it safe to
+ * start streaming to the browser. If Claude refuses (e.g. 429), or the
+ * stream fails before any text, onStart never runs and the caller can
+ * still send a normal JSON error (or retry, or fall back to another model).
+ *
+ * @param {ProviderOptions} options
+ * @param {string} system - System prompt
+ * @param {Array} messages - [{ role, content }, ...]
+ * @param {Object} handlers - { onStart(), onText(text) }
+ * @returns {Object} - { ok, status, data, errorData, retryAfter } with the full text assembled
+ */
+async function streamAnthropic(options, system, messages, { onStart = () => {}, onText = () => {} } = {}) {
+  let request;
+  try {
+    request = await postMessages(options, {
+      model: options.model,
+      max_tokens: options.maxTokens,
+      system: system,
+      messages: messages,
+      stream: true
+    });
+  } catch (error) {
+    return failureFromError(error);
+  }
+  const { response } = request;
+
+  if (!response.ok) {
+    request.clearTimeout();
+    return failureFromResponse(response);
+  }
+
+  // TEACHING MOMENT: A long reply that's actively streaming shouldn't be
+  // cut off, but one that stops half-way must not hang until the platform
+  // kills the function. So from here on the timer is an IDLE timer:
+  // every chunk that arrives starts it again.
+  const stillAlive = () => request.restartTimeout(untilDeadline(options.idleTimeoutMs, options.deadline));
+  stillAlive();
+
+  let started = false;
+  const start = () => {
+    if (!started) onStart();
+    started = true;
+  };
+
+  const data = { type: 'message', role: 'assistant', model: options.model, stop_reason: null };
+  let text = '';
+
+  try {
+    for await (const { event, data: payload } of readServerSentEvents(response.body, { onChunk: stillAlive })) {
+      if (event === 'message_start' && payload.message) {
+        data.id = payload.message.id;
+        data.model = payload.message.model || data.model;
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        start();
+        text += payload.delta.text;
+        onText(payload.delta.text);
+      } else if (event === 'message_delta' && payload.delta) {
+        data.stop_reason = payload.delta.stop_reason || data.stop_reason;
+      } else if (event === 'error') {
+        // Claude can fail part-way through (e.g. overloaded_error)
+        return { ok: false, status: 502, data: null, errorData: payload };
+      }
+    }
+  } catch (error) {
+    return failureFromStreamError(error);
+  } finally {
+    request.clearTimeout();
+  }
+
+  start();
+  data.content = [{ type: 'text', text }];
+  return { ok: true, status: response.status, data, errorData: null };
+}
+
+module.exports = {
+  callAnthropic,
+  streamAnthropic
+};
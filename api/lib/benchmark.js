@@ -0,0 +1,112 @@
+/**
+ * Percentile Benchmarks
+ *
+ * TEACHING MOMENT: "Reading: 2/5" means more next to "you scored better
+ * than 18% of students". A percentile here is the share of OTHER students
+ * (consented, saved assessments of the same milestone) with a strictly
+ * lower score:
+ *
+ *   your score 6, others [2, 4, 6, 6, 8]  →  2 of 5 lower  →  40
+ *
+ * Overall uses the total of all pillar scores as a share of the total max,
+ * so a milestone with 10-point and 5-point pillars still adds up fairly.
+ *
+ * Who counts as "other students" (BENCHMARK_GROUP):
+ *   milestone       everyone who took the same milestone (default)
+ *   cohort          only the student's cohort (everyone, if they have none)
+ *   prompt_version  only assessments taken with the same rubric version
+ *
+ * With fewer than BENCHMARK_MIN_SAMPLE students (default 30) the numbers
+ * would swing wildly - and with 3 students "better than 67%" says a lot
+ * about 2 real people - so no benchmark is shown at all.
+ */
+
+const GROUPS = ['milestone', 'cohort', 'prompt_version'];
+const DEFAULT_MIN_SAMPLE = 30;
+
+/**
+ * Read the benchmark settings from the environment
+ *
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} - { group, minSample }
+ */
+function getBenchmarkConfig(env = process.env) {
+  const minSample = parseInt(env.BENCHMARK_MIN_SAMPLE, 10);
+  return {
+    group: GROUPS.includes(env.BENCHMARK_GROUP) ? env.BENCHMARK_GROUP : 'milestone',
+    minSample: Number.isInteger(minSample) && minSample > 0 ? minSample : DEFAULT_MIN_SAMPLE
+  };
+}
+
+/**
+ * Which stored assessments a student is compared with
+ *
+ * @param {string} group - From getBenchmarkConfig()
+ * @param {Object} student - { milestone (rubric), cohort }
+ * @returns {Object} - { group, filters: { milestone, cohort, promptVersion } } for
+ *   getBenchmarkScores(); group says what was actually used
+ */
+function getBenchmarkFilters(group, { milestone, cohort }) {
+  const filters = { milestone: milestone.id, cohort: null, promptVersion: null };
+  if (group === 'cohort' && cohort) return { group, filters: { ...filters, cohort } };
+  if (group === 'prompt_version') return { group, filters: { ...filters, promptVersion: milestone.version } };
+  return { group: 'milestone', filters };
+}
+
+/**
+ * Share of values strictly below a score, 0-100
+ *
+ * @param {number} score
+ * @param {Array} values - Everyone else's scores
+ * @returns {number} - Whole percent
+ */
+function percentileOf(score, values) {
+  const lower = values.filter(value => value < score).length;
+  return Math.round((lower / values.length) * 100);
+}
+
+/**
+ * Compare a student's results with stored assessments
+ *
+ * @param {Object} results - Reconciled results (pillars with score)
+ * @param {Object} rubric - The milestone the results belong to
+ * @param {Array} others - From getBenchmarkScores(): [{ scores: { pillar: { score, max } } }]
+ * @param {Object} options - { group, minSample }
+ * @returns {Object|null} - { group, sampleSize, overall, pillars: { pillar: percentile } },
+ *   or null below the minimum sample size
+ */
+function buildBenchmarks(results, rubric, others, { group = 'milestone', minSample = DEFAULT_MIN_SAMPLE } = {}) {
+  // Only assessments with a score for every pillar can be compared
+  const complete = others.filter(other => rubric.pillars.every(pillar => other.scores[pillar.key]));
+  if (complete.length < minSample) return null;
+
+  // Compared as a share of the max, in case a rubric version changed it
+  const ratio = ({ score, max }) => (max > 0 ? score / max : 0);
+  const share = scores => {
+    const total = rubric.pillars.reduce((sum, pillar) => sum + scores[pillar.key].score, 0);
+    const max = rubric.pillars.reduce((sum, pillar) => sum + scores[pillar.key].max, 0);
+    return max > 0 ? total / max : 0;
+  };
+
+  const mine = Object.fromEntries(rubric.pillars.map(pillar => [
+    pillar.key,
+    { score: results.pillars[pillar.key].score, max: pillar.max }
+  ]));
+
+  return {
+    group,
+    sampleSize: complete.length,
+    overall: percentileOf(share(mine), complete.map(other => share(other.scores))),
+    pillars: Object.fromEntries(rubric.pillars.map(pillar => [
+      pillar.key,
+      percentileOf(ratio(mine[pillar.key]), complete.map(other => ratio(other.scores[pillar.key])))
+    ]))
+  };
+}
+
+module.exports = {
+  getBenchmarkConfig,
+  getBenchmarkFilters,
+  percentileOf,
+  buildBenchmarks
+};
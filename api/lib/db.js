@@ -1,119 +1,94 @@
 /**
  * Database Helper Module
  *
- * TEACHING MOMENT: This module handles all SQLite database operations.
- * We use sql.js (SQLite compiled to WebAssembly) which works everywhere
- * without requiring native build tools.
+ * TEACHING MOMENT: This module is the ONE place the rest of the app talks
+ * to the database. It doesn't care which database is underneath - that's
+ * the job of a "storage adapter":
+ *
+ * - No DATABASE_URL  → SQLite via sql.js (api/lib/storage/sqlite.js)
+ *                      A single assessments.db file, great for local work
+ * - DATABASE_URL set → Postgres (api/lib/storage/postgres.js)
+ *                      A real server, survives Vercel deployments
+ *
+ * chat.js, export-csv.js and the scripts call the same functions
+ * (insertAssessment, getAllAssessments, ...) either way.
  *
  * Key concepts:
- * - SQLite stores everything in a single file (assessments.db)
- * - We load the file into memory, make changes, then save back to disk
+ * - Queries are written once, with ? placeholders
  * - Prepared statements (?) prevent SQL injection attacks
  */
 
-const initSqlJs = require('sql.js');
-const fs = require('fs');
-const path = require('path');
+const { createSqliteAdapter, getDbPath: getSqlitePath } = require('./storage/sqlite.js');
+const { createPostgresAdapter } = require('./storage/postgres.js');
+const { migrate } = require('./migrate.js');
 
-// Singleton database instance
-let db = null;
-let SQL = null;
+// Singleton adapter instance
+let adapter = null;
+let initPromise = null;
 
-// Determine database file path based on environment
-function getDbPath() {
-  // In production (Vercel), use /tmp which is the only writable location
-  // In development, use the project root
-  if (process.env.VERCEL || process.env.NODE_ENV === 'production') {
-    return '/tmp/assessments.db';
+// Pick the storage adapter based on environment
+function createAdapter() {
+  if (process.env.DATABASE_URL) {
+    return createPostgresAdapter(process.env.DATABASE_URL);
   }
-  return path.join(process.cwd(), 'assessments.db');
+  return createSqliteAdapter();
+}
+
+// Where the data lives: the SQLite file path, or the Postgres URL
+// (without its password) when DATABASE_URL is set
+function getDbPath() {
+  if (adapter) return adapter.describe();
+  return process.env.DATABASE_URL ? 'postgres (DATABASE_URL)' : getSqlitePath();
+}
+
+// Current time in the same 'YYYY-MM-DD HH:MM:SS' (UTC) format both
+// databases use for their timestamp columns
+function nowTimestamp() {
+  return new Date().toISOString().replace('T', ' ').substring(0, 19);
 }
 
 /**
  * Initialize the database connection
  *
- * TEACHING MOMENT: sql.js is async because it needs to load WebAssembly.
- * We cache the connection so we only initialize once.
+ * TEACHING MOMENT: Connecting is async (sql.js loads WebAssembly, Postgres
+ * opens a network connection). We cache the result so we only do it once,
+ * even if several requests arrive at the same moment.
+ *
+ * Pending schema migrations (api/lib/migrations/) are applied here, so
+ * every caller sees the latest schema. scripts/migrate.js passes
+ * { runMigrations: false } so it can manage them by hand.
+ *
+ * @param {Object} options - { runMigrations } (default true)
+ * @returns {Object} - The storage adapter (all/get/run/exec/transaction)
  */
-async function initDb() {
-  if (db) return db;
-
-  // Initialize sql.js (loads WebAssembly)
-  if (!SQL) {
-    SQL = await initSqlJs();
-  }
-
-  const dbPath = getDbPath();
-  console.log(`[DB] Database path: ${dbPath}`);
-
-  // Try to load existing database file
-  try {
-    if (fs.existsSync(dbPath)) {
-      const fileBuffer = fs.readFileSync(dbPath);
-      db = new SQL.Database(fileBuffer);
-      console.log('[DB] Loaded existing database');
-    } else {
-      // Create new database
-      db = new SQL.Database();
-      console.log('[DB] Created new database');
-    }
-  } catch (error) {
-    console.error('[DB] Error loading database, creating new:', error.message);
-    db = new SQL.Database();
+async function initDb({ runMigrations = true } = {}) {
+  if (!initPromise) {
+    initPromise = (async () => {
+      const database = createAdapter();
+      await database.init();
+      if (runMigrations) {
+        await migrate(database);
+      }
+      adapter = database;
+      return database;
+    })().catch(error => {
+      // Let the next call try again instead of caching the failure
+      initPromise = null;
+      throw error;
+    });
   }
-
-  // Create table if it doesn't exist
-  // TEACHING MOMENT: CREATE TABLE IF NOT EXISTS is idempotent -
-  // safe to run multiple times without errors
-  db.run(`
-    CREATE TABLE IF NOT EXISTS assessments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      session_id TEXT UNIQUE NOT NULL,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-
-      -- Pillar scores (match quiz output)
-      -- Each pillar has a different max score based on number of questions
-      numeracy_score INTEGER,      -- out of 10
-      reading_score INTEGER,       -- out of 5
-      computer_score INTEGER,      -- out of 10
-      logic_score INTEGER,         -- out of 8
-      communication_score INTEGER, -- out of 5
-      mindset_score INTEGER,       -- out of 7
-
-      -- Overall assessment result
-      readiness_level INTEGER,     -- 1-5 scale
-      readiness_title TEXT,        -- "Ready to Start", etc.
-
-      -- Ethics & security
-      user_ip_hash TEXT,           -- SHA-256 hash, NOT raw IP
-      consent_given BOOLEAN DEFAULT 1
-    );
-  `);
-
-  // Save to file after creating table
-  saveDb();
-
-  return db;
+  return initPromise;
 }
 
 /**
  * Save database to file
  *
- * TEACHING MOMENT: sql.js keeps everything in memory.
- * We must explicitly write to disk to persist changes.
+ * TEACHING MOMENT: Only matters for SQLite, which keeps everything in
+ * memory. The adapters already save after each change; scripts call this
+ * to be explicit. For Postgres it does nothing.
  */
 function saveDb() {
-  if (!db) return;
-
-  try {
-    const dbPath = getDbPath();
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
-    console.log('[DB] Database saved to disk');
-  } catch (error) {
-    console.error('[DB] Error saving database:', error.message);
-  }
+  if (adapter) adapter.save();
 }
 
 /**
@@ -121,23 +96,67 @@ function saveDb() {
  *
  * Usage:
  *   const db = await getDb();
- *   db.run('INSERT INTO assessments ...');
+ *   const rows = await db.all('SELECT * FROM assessments WHERE readiness_level = ?', [2]);
  */
 async function getDb() {
   return await initDb();
 }
 
+/**
+ * Close the database connection
+ *
+ * Scripts call this when they finish - an open Postgres connection
+ * would otherwise keep Node running.
+ */
+async function closeDb() {
+  if (!initPromise) return;
+  const database = await initPromise.catch(() => null);
+  if (database) await database.close();
+  adapter = null;
+  initPromise = null;
+}
+
+// Milestone 0 scores are ALSO written to these original columns, so the
+// wide CSV and older dashboards keep working (see migration 007)
+const LEGACY_MILESTONE = 'milestone-0';
+const LEGACY_SCORE_COLUMNS = {
+  numeracy: 'numeracy_score',
+  reading: 'reading_score',
+  computer: 'computer_score',
+  logic: 'logic_score',
+  communication: 'communication_score',
+  mindset: 'mindset_score'
+};
+
 /**
  * Insert an assessment record
  *
  * TEACHING MOMENT: We use a prepared statement with ? placeholders.
  * This prevents SQL injection - user input can't become SQL code.
  *
- * @param {Object} assessment - The assessment data to insert
+ * The assessment row and its per-pillar scores are saved in one
+ * transaction: either all of them are stored, or none are.
+ *
+ * @param {Object} assessment - {
+ *   sessionId, milestone, scores: [{ pillar, score, max }],
+ *   readinessLevel, readinessTitle, ipHash, ipHashKeyVersion (see lib/ip-hash.js),
+ *   consentGiven, cohort, promptVersion,
+ *   learnerId (hashed learner token, only with progress tracking),
+ *   results (everything the student was shown, for the PDF report),
+ *   receiptHash (hashed receipt token, so the student can see or delete it)
+ * }
  * @returns {boolean} - True if insert succeeded
  */
 async function insertAssessment(assessment) {
   const database = await getDb();
+  const milestone = assessment.milestone || LEGACY_MILESTONE;
+  const scores = assessment.scores || [];
+
+  const legacyScore = pillar => {
+    if (milestone !== LEGACY_MILESTONE) return null;
+    const entry = scores.find(s => s.pillar === pillar);
+    return entry ? entry.score : null;
+  };
 
   try {
     // TEACHING MOMENT: Prepared statements
@@ -145,36 +164,51 @@ async function insertAssessment(assessment) {
     // This is MUCH safer than string concatenation like:
     // `INSERT INTO assessments VALUES ('${sessionId}', ...)` <-- DANGEROUS!
 
-    database.run(`
-      INSERT INTO assessments (
-        session_id,
-        numeracy_score,
-        reading_score,
-        computer_score,
-        logic_score,
-        communication_score,
-        mindset_score,
-        readiness_level,
-        readiness_title,
-        user_ip_hash,
-        consent_given
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      assessment.sessionId,
-      assessment.numeracyScore,
-      assessment.readingScore,
-      assessment.computerScore,
-      assessment.logicScore,
-      assessment.communicationScore,
-      assessment.mindsetScore,
-      assessment.readinessLevel,
-      assessment.readinessTitle,
-      assessment.ipHash,
-      assessment.consentGiven ? 1 : 0
-    ]);
+    await database.transaction(async tx => {
+      await tx.run(`
+        INSERT INTO assessments (
+          session_id,
+          milestone,
+          numeracy_score,
+          reading_score,
+          computer_score,
+          logic_score,
+          communication_score,
+          mindset_score,
+          readiness_level,
+          readiness_title,
+          user_ip_hash,
+          consent_given,
+          cohort,
+          prompt_version,
+          learner_id,
+          results_json,
+          receipt_hash,
+          ip_hash_key_version
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        assessment.sessionId,
+        milestone,
+        ...Object.keys(LEGACY_SCORE_COLUMNS).map(legacyScore),
+        assessment.readinessLevel,
+        assessment.readinessTitle,
+        assessment.ipHash,
+        assessment.consentGiven ? 1 : 0,
+        assessment.cohort || null,
+        assessment.promptVersion || null,
+        assessment.learnerId || null,
+        assessment.results ? JSON.stringify(assessment.results) : null,
+        assessment.receiptHash || null,
+        assessment.ipHash ? assessment.ipHashKeyVersion ?? null : null
+      ]);
 
-    // Save changes to disk
-    saveDb();
+      for (const entry of scores) {
+        await tx.run(
+          'INSERT INTO assessment_scores (session_id, pillar, score, max_score) VALUES (?, ?, ?, ?)',
+          [assessment.sessionId, entry.pillar, entry.score, entry.max]
+        );
+      }
+    });
 
     console.log('[DB] Assessment inserted successfully');
     return true;
@@ -185,18 +219,25 @@ async function insertAssessment(assessment) {
 }
 
 /**
- * Get all assessments for CSV export
+ * Get all assessments of one milestone for CSV export
  *
- * @returns {Array} - Array of assessment objects
+ * TEACHING MOMENT: Scores live in assessment_scores (one row per pillar).
+ * We fetch them in a second query and attach them to each assessment as
+ * row.scores = { numeracy: 8, reading: 2, ... } - simpler than a JOIN
+ * that would repeat every assessment once per pillar.
+ *
+ * @param {string} milestone - e.g. 'milestone-0'
+ * @returns {Array} - Array of assessment objects, newest first
  */
-async function getAllAssessments() {
+async function getAllAssessments(milestone = LEGACY_MILESTONE) {
   const database = await getDb();
 
   try {
-    const results = database.exec(`
+    const rows = await database.all(`
       SELECT
         session_id,
         timestamp,
+        milestone,
         numeracy_score,
         reading_score,
         computer_score,
@@ -204,30 +245,207 @@ async function getAllAssessments() {
         communication_score,
         mindset_score,
         readiness_level,
-        readiness_title
+        readiness_title,
+        prompt_version
       FROM assessments
+      WHERE milestone = ?
       ORDER BY timestamp DESC
-    `);
+    `, [milestone]);
 
-    // sql.js returns results in a specific format, convert to objects
-    if (results.length === 0) return [];
+    const scoreRows = await database.all(`
+      SELECT s.session_id, s.pillar, s.score
+      FROM assessment_scores s
+      JOIN assessments a ON a.session_id = s.session_id
+      WHERE a.milestone = ?
+    `, [milestone]);
 
-    const columns = results[0].columns;
-    const values = results[0].values;
+    const scoresBySession = {};
+    for (const { session_id: sessionId, pillar, score } of scoreRows) {
+      (scoresBySession[sessionId] = scoresBySession[sessionId] || {})[pillar] = score;
+    }
 
-    return values.map(row => {
-      const obj = {};
-      columns.forEach((col, i) => {
-        obj[col] = row[i];
-      });
-      return obj;
-    });
+    return rows.map(row => ({ ...row, scores: scoresBySession[row.session_id] || {} }));
   } catch (error) {
     console.error('[DB] Query error:', error.message);
     return [];
   }
 }
 
+/**
+ * Get the saved results for a receipt token, for the PDF report and
+ * the results email
+ *
+ * @param {string} receiptHash - hashReceiptToken() of the student's token
+ * @returns {Object|null} - { session_id, timestamp, milestone, results }
+ *   or null if there's no such assessment or it was saved without results
+ */
+async function getReceiptReport(receiptHash) {
+  const database = await getDb();
+
+  const row = await database.get(
+    'SELECT session_id, timestamp, milestone, results_json FROM assessments WHERE receipt_hash = ?',
+    [receiptHash]
+  );
+  if (!row || !row.results_json) return null;
+
+  const { results_json: resultsJson, ...rest } = row;
+  return { ...rest, results: JSON.parse(resultsJson) };
+}
+
+/**
+ * Count a results email before sending it - if the limit allows
+ *
+ * TEACHING MOMENT: Checking the count and adding to it happen in ONE
+ * UPDATE, so two requests at the same moment can't both slip under the
+ * limit. If the send then fails, releaseResultsEmail() gives it back.
+ *
+ * @param {string} receiptHash - hashReceiptToken() of the student's token
+ * @param {number} limit - Most emails one assessment may send
+ * @returns {boolean} - True if this send may go ahead
+ */
+async function reserveResultsEmail(receiptHash, limit) {
+  const database = await getDb();
+
+  const result = await database.run(
+    'UPDATE assessments SET emails_sent = emails_sent + 1 WHERE receipt_hash = ? AND emails_sent < ?',
+    [receiptHash, limit]
+  );
+  return result.changes === 1;
+}
+
+// Un-count a reserved email that could not be sent
+async function releaseResultsEmail(receiptHash) {
+  const database = await getDb();
+  await database.run(
+    'UPDATE assessments SET emails_sent = emails_sent - 1 WHERE receipt_hash = ? AND emails_sent > 0',
+    [receiptHash]
+  );
+}
+
+// Record the student's email consent - only once an email has gone out
+async function recordEmailConsent(receiptHash) {
+  const database = await getDb();
+  await database.run('UPDATE assessments SET email_consent = 1 WHERE receipt_hash = ?', [receiptHash]);
+}
+
+/**
+ * Get every assessment saved under one learner id, oldest first
+ *
+ * @param {string} learnerId - Hashed learner token (see lib/learner.js)
+ * @returns {Array} - [{ session_id, timestamp, milestone, prompt_version,
+ *   readiness_level, readiness_title, scores: { pillar: { score, max } } }]
+ */
+async function getLearnerAttempts(learnerId) {
+  const database = await getDb();
+
+  const rows = await database.all(`
+    SELECT session_id, timestamp, milestone, prompt_version, readiness_level, readiness_title
+    FROM assessments
+    WHERE learner_id = ?
+    ORDER BY timestamp ASC, id ASC
+  `, [learnerId]);
+
+  const scoreRows = await database.all(`
+    SELECT s.session_id, s.pillar, s.score, s.max_score
+    FROM assessment_scores s
+    JOIN assessments a ON a.session_id = s.session_id
+    WHERE a.learner_id = ?
+  `, [learnerId]);
+
+  const scoresBySession = {};
+  for (const { session_id: sessionId, pillar, score, max_score: max } of scoreRows) {
+    (scoresBySession[sessionId] = scoresBySession[sessionId] || {})[pillar] = { score, max };
+  }
+
+  return rows.map(row => ({ ...row, scores: scoresBySession[row.session_id] || {} }));
+}
+
+/**
+ * Get everything stored about one assessment, found by its receipt
+ *
+ * @param {string} receiptHash - Hashed receipt token (see lib/receipt.js)
+ * @returns {Object|null} - { assessment, scores, answers, transcript } (raw rows),
+ *   or null if no assessment has this receipt
+ */
+async function getOwnRecord(receiptHash) {
+  const database = await getDb();
+
+  const assessment = await database.get('SELECT * FROM assessments WHERE receipt_hash = ?', [receiptHash]);
+  if (!assessment) return null;
+
+  const sessionId = assessment.session_id;
+  const [scores, answers, transcript] = await Promise.all([
+    database.all('SELECT pillar, score, max_score FROM assessment_scores WHERE session_id = ?', [sessionId]),
+    database.all(
+      'SELECT question_id, pillar, difficulty, answer, correct, answered_at FROM question_answers WHERE session_id = ? ORDER BY id',
+      [sessionId]
+    ),
+    database.all('SELECT role, content, timestamp FROM chat_turns WHERE session_id = ? ORDER BY turn_index', [sessionId])
+  ]);
+
+  return { assessment, scores, answers, transcript };
+}
+
+/**
+ * Delete one assessment and everything linked to it, found by its receipt
+ *
+ * TEACHING MOMENT: Exports, analytics and benchmarks all read these
+ * tables directly, so once the rows are gone the assessment is gone from
+ * every report too - there's no second copy to forget about.
+ *
+ * @param {string} receiptHash - Hashed receipt token (see lib/receipt.js)
+ * @returns {boolean} - True if a record was deleted, false if there was none
+ */
+async function deleteOwnRecord(receiptHash) {
+  const database = await getDb();
+
+  return database.transaction(async tx => {
+    const row = await tx.get('SELECT session_id FROM assessments WHERE receipt_hash = ?', [receiptHash]);
+    if (!row) return false;
+
+    for (const table of ['assessment_scores', 'question_answers', 'chat_turns', 'chat_sessions', 'assessments']) {
+      await tx.run(`DELETE FROM ${table} WHERE session_id = ?`, [row.session_id]);
+    }
+    return true;
+  });
+}
+
+/**
+ * Get the pillar scores of consented assessments, for percentile benchmarks
+ *
+ * @param {Object} filters - { milestone, cohort, promptVersion } (cohort and
+ *   promptVersion are optional; null means "any")
+ * @returns {Array} - [{ session_id, scores: { pillar: { score, max } } }]
+ */
+async function getBenchmarkScores({ milestone, cohort = null, promptVersion = null }) {
+  const database = await getDb();
+
+  const conditions = ['a.milestone = ?', 'a.consent_given = 1'];
+  const params = [milestone];
+  if (cohort) {
+    conditions.push('a.cohort = ?');
+    params.push(cohort);
+  }
+  if (promptVersion) {
+    conditions.push('a.prompt_version = ?');
+    params.push(promptVersion);
+  }
+
+  const scoreRows = await database.all(`
+    SELECT s.session_id, s.pillar, s.score, s.max_score
+    FROM assessment_scores s
+    JOIN assessments a ON a.session_id = s.session_id
+    WHERE ${conditions.join(' AND ')}
+  `, params);
+
+  const scoresBySession = {};
+  for (const { session_id: sessionId, pillar, score, max_score: max } of scoreRows) {
+    (scoresBySession[sessionId] = scoresBySession[sessionId] || {})[pillar] = { score, max };
+  }
+
+  return Object.entries(scoresBySession).map(([sessionId, scores]) => ({ session_id: sessionId, scores }));
+}
+
 /**
  * Get count of assessments
  *
@@ -237,23 +455,520 @@ async function getAssessmentCount() {
   const database = await getDb();
 
   try {
-    const results = database.exec('SELECT COUNT(*) as count FROM assessments');
-    if (results.length === 0) return 0;
-    return results[0].values[0][0];
+    const row = await database.get('SELECT COUNT(*) AS count FROM assessments');
+    return row ? row.count : 0;
   } catch (error) {
     console.error('[DB] Count error:', error.message);
     return 0;
   }
 }
 
+/**
+ * Start a new chat session
+ *
+ * @param {Object} session - { sessionId, ipHash, ipHashKeyVersion, cohort, milestone }
+ * @returns {boolean} - True if the session was created
+ */
+async function createSession(session) {
+  const database = await getDb();
+
+  try {
+    await database.run(
+      'INSERT INTO chat_sessions (session_id, user_ip_hash, ip_hash_key_version, cohort, milestone) VALUES (?, ?, ?, ?, ?)',
+      [
+        session.sessionId,
+        session.ipHash,
+        session.ipHash ? session.ipHashKeyVersion ?? null : null,
+        session.cohort || null,
+        session.milestone || LEGACY_MILESTONE
+      ]
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] Session create error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Look up a chat session
+ *
+ * @param {string} sessionId
+ * @returns {Object|null} - The session row, or null if it doesn't exist
+ */
+async function getSession(sessionId) {
+  const database = await getDb();
+
+  try {
+    return await database.get(
+      'SELECT session_id, created_at, updated_at, status, cohort, milestone, current_question_id FROM chat_sessions WHERE session_id = ?',
+      [sessionId]
+    );
+  } catch (error) {
+    console.error('[DB] Session lookup error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored conversation for a session, oldest turn first
+ *
+ * @param {string} sessionId
+ * @returns {Array} - [{ role, content }, ...] ready to send to the model
+ */
+async function getSessionTurns(sessionId) {
+  const database = await getDb();
+
+  try {
+    return await database.all(
+      'SELECT role, content FROM chat_turns WHERE session_id = ? ORDER BY turn_index',
+      [sessionId]
+    );
+  } catch (error) {
+    console.error('[DB] Turn query error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a session's graded question-bank answers, oldest first
+ *
+ * @param {string} sessionId
+ * @returns {Array} - [{ questionId, pillar, difficulty, correct, nextStep }, ...]
+ */
+async function getQuestionAnswers(sessionId) {
+  const database = await getDb();
+
+  try {
+    const rows = await database.all(
+      'SELECT question_id, pillar, difficulty, correct, next_step FROM question_answers WHERE session_id = ? ORDER BY id',
+      [sessionId]
+    );
+    return rows.map(row => ({
+      questionId: row.question_id,
+      pillar: row.pillar,
+      difficulty: row.difficulty,
+      correct: Number(row.correct) === 1,
+      nextStep: row.next_step
+    }));
+  } catch (error) {
+    console.error('[DB] Answer query error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Append turns to a session's transcript
+ *
+ * TEACHING MOMENT: We save the student's message and the AI's reply
+ * together, only after the AI has answered. If the AI call fails, nothing
+ * is written, so the transcript never ends with an unanswered question.
+ * The graded bank answer (if any) and the next bank question are saved in
+ * the same transaction, for the same reason.
+ *
+ * @param {string} sessionId
+ * @param {Array} turns - [{ role, content }, ...]
+ * @param {Object} progress - { answer: { questionId, pillar, difficulty, answer, correct, nextStep },
+ *                              currentQuestionId } (both optional)
+ * @returns {boolean} - True if every turn was saved
+ */
+async function appendTurns(sessionId, turns, { answer = null, currentQuestionId = null } = {}) {
+  const database = await getDb();
+
+  try {
+    await database.transaction(async tx => {
+      const row = await tx.get(
+        'SELECT COUNT(*) AS count FROM chat_turns WHERE session_id = ?',
+        [sessionId]
+      );
+      const nextIndex = row.count;
+
+      for (let i = 0; i < turns.length; i++) {
+        await tx.run(
+          'INSERT INTO chat_turns (session_id, turn_index, role, content) VALUES (?, ?, ?, ?)',
+          [sessionId, nextIndex + i, turns[i].role, turns[i].content]
+        );
+      }
+      if (answer) {
+        await tx.run(
+          'INSERT INTO question_answers (session_id, question_id, pillar, difficulty, answer, correct, next_step) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [sessionId, answer.questionId, answer.pillar, answer.difficulty, answer.answer, answer.correct ? 1 : 0, answer.nextStep || null]
+        );
+      }
+      await tx.run(
+        'UPDATE chat_sessions SET updated_at = ?, current_question_id = ? WHERE session_id = ?',
+        [nowTimestamp(), currentQuestionId, sessionId]
+      );
+    });
+    return true;
+  } catch (error) {
+    console.error('[DB] Turn insert error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Mark a session as finished
+ *
+ * TEACHING MOMENT: If the student opted out of data collection, we also
+ * delete their transcript (and graded answers) here. We only kept it so the conversation could
+ * continue - once the assessment is over, we have no reason to hold it.
+ *
+ * @param {string} sessionId
+ * @param {Object} options - { keepTranscript }
+ * @returns {boolean} - True if the update succeeded
+ */
+async function completeSession(sessionId, { keepTranscript = true } = {}) {
+  const database = await getDb();
+
+  try {
+    await database.transaction(async tx => {
+      await tx.run(
+        "UPDATE chat_sessions SET status = 'completed', updated_at = ? WHERE session_id = ?",
+        [nowTimestamp(), sessionId]
+      );
+      if (!keepTranscript) {
+        await tx.run('DELETE FROM chat_turns WHERE session_id = ?', [sessionId]);
+        await tx.run('DELETE FROM question_answers WHERE session_id = ?', [sessionId]);
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error('[DB] Session complete error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Expire active sessions with no activity since the cutoff
+ *
+ * TEACHING MOMENT: These students never finished, so there are no results
+ * to keep - the transcript and graded answers are deleted, and the session
+ * is marked 'expired' so it can't be continued (see session-expiry.js).
+ *
+ * @param {string} cutoff - Timestamp from getExpiryCutoff()
+ * @returns {number} - How many sessions expired
+ */
+async function expireIdleSessions(cutoff) {
+  const database = await getDb();
+  const idle = "SELECT session_id FROM chat_sessions WHERE status = 'active' AND updated_at < ?";
+
+  return database.transaction(async tx => {
+    await tx.run(`DELETE FROM chat_turns WHERE session_id IN (${idle})`, [cutoff]);
+    await tx.run(`DELETE FROM question_answers WHERE session_id IN (${idle})`, [cutoff]);
+    const result = await tx.run(
+      "UPDATE chat_sessions SET status = 'expired', current_question_id = NULL WHERE status = 'active' AND updated_at < ?",
+      [cutoff]
+    );
+    return result.changes;
+  });
+}
+
+/**
+ * Apply the retention policy: clear old IP hashes, purge old rows
+ *
+ * TEACHING MOMENT: The counts are taken first, with the same conditions
+ * the changes use - so a dry run reports exactly what a real run would
+ * do, and a real run logs exactly what it did (in the same transaction).
+ *
+ * @param {Object} cutoffs - From getRetentionCutoffs() in lib/retention.js:
+ *   { ipHashCutoff, rowCutoff (null = keep rows), action: 'anonymize' | 'delete' }
+ * @param {Object} options - { dryRun } (true: count only, change nothing)
+ * @returns {Object} - { ipHashesCleared, rateLimitsDeleted, assessmentsPurged, sessionsPurged }
+ */
+async function purgeExpiredData({ ipHashCutoff, rowCutoff = null, action = 'anonymize' }, { dryRun = false } = {}) {
+  const database = await getDb();
+  // rate_limits windows are Unix seconds, not timestamps
+  const windowCutoff = Math.floor(Date.parse(`${ipHashCutoff.replace(' ', 'T')}Z`) / 1000);
+
+  // Old assessments, and finished (completed/expired) sessions of the same age
+  const oldAssessments = 'SELECT session_id FROM assessments WHERE timestamp < ?';
+  const oldSessions = "SELECT session_id FROM chat_sessions WHERE status <> 'active' AND updated_at < ?";
+  // When anonymizing, only rows that still hold something to remove count
+  const identifiable = 'timestamp < ? AND (user_ip_hash IS NOT NULL OR learner_id IS NOT NULL OR receipt_hash IS NOT NULL OR results_json IS NOT NULL)';
+
+  return database.transaction(async tx => {
+    const count = async (sql, params) => (await tx.get(`SELECT COUNT(*) AS count FROM ${sql}`, params)).count;
+
+    const counts = {
+      ipHashesCleared:
+        await count('assessments WHERE user_ip_hash IS NOT NULL AND timestamp < ?', [ipHashCutoff])
+        + await count('chat_sessions WHERE user_ip_hash IS NOT NULL AND created_at < ?', [ipHashCutoff]),
+      rateLimitsDeleted: await count('rate_limits WHERE window_start < ?', [windowCutoff]),
+      assessmentsPurged: 0,
+      sessionsPurged: 0
+    };
+    if (rowCutoff) {
+      counts.assessmentsPurged = action === 'delete'
+        ? await count('assessments WHERE timestamp < ?', [rowCutoff])
+        : await count(`assessments WHERE ${identifiable}`, [rowCutoff]);
+      counts.sessionsPurged = action === 'delete'
+        ? await count("chat_sessions WHERE status <> 'active' AND updated_at < ?", [rowCutoff])
+        : await count(`chat_sessions WHERE session_id IN (${oldSessions}) AND EXISTS (
+            SELECT 1 FROM chat_turns t WHERE t.session_id = chat_sessions.session_id)`, [rowCutoff]);
+    }
+
+    if (dryRun) return counts;
+
+    // 1. IP hashes and the rate limit counters keyed by them
+    await tx.run('UPDATE assessments SET user_ip_hash = NULL, ip_hash_key_version = NULL WHERE user_ip_hash IS NOT NULL AND timestamp < ?', [ipHashCutoff]);
+    await tx.run('UPDATE chat_sessions SET user_ip_hash = NULL, ip_hash_key_version = NULL WHERE user_ip_hash IS NOT NULL AND created_at < ?', [ipHashCutoff]);
+    await tx.run('DELETE FROM rate_limits WHERE window_start < ?', [windowCutoff]);
+
+    // 2. Old rows
+    if (rowCutoff && action === 'delete') {
+      for (const table of ['assessment_scores', 'question_answers', 'chat_turns']) {
+        await tx.run(`DELETE FROM ${table} WHERE session_id IN (${oldAssessments}) OR session_id IN (${oldSessions})`, [rowCutoff, rowCutoff]);
+      }
+      await tx.run(`DELETE FROM chat_sessions WHERE session_id IN (${oldAssessments}) OR session_id IN (${oldSessions})`, [rowCutoff, rowCutoff]);
+      await tx.run('DELETE FROM assessments WHERE timestamp < ?', [rowCutoff]);
+    } else if (rowCutoff) {
+      // Scores stay for the statistics; whatever could link them to a person goes
+      await tx.run(`DELETE FROM chat_turns WHERE session_id IN (${oldAssessments}) OR session_id IN (${oldSessions})`, [rowCutoff, rowCutoff]);
+      await tx.run(`UPDATE question_answers SET answer = '' WHERE session_id IN (${oldAssessments}) OR session_id IN (${oldSessions})`, [rowCutoff, rowCutoff]);
+      await tx.run(`UPDATE chat_sessions SET user_ip_hash = NULL, ip_hash_key_version = NULL WHERE session_id IN (${oldAssessments}) OR session_id IN (${oldSessions})`, [rowCutoff, rowCutoff]);
+      await tx.run(
+        'UPDATE assessments SET user_ip_hash = NULL, ip_hash_key_version = NULL, learner_id = NULL, receipt_hash = NULL, results_json = NULL WHERE timestamp < ?',
+        [rowCutoff]
+      );
+    }
+
+    await tx.run(`
+      INSERT INTO purge_runs (
+        ran_at, action, ip_hash_cutoff, row_cutoff,
+        ip_hashes_cleared, rate_limits_deleted, assessments_purged, sessions_purged
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      nowTimestamp(), action, ipHashCutoff, rowCutoff,
+      counts.ipHashesCleared, counts.rateLimitsDeleted, counts.assessmentsPurged, counts.sessionsPurged
+    ]);
+
+    return counts;
+  });
+}
+
+/**
+ * Get the most recent purge runs, newest first
+ *
+ * @param {number} limit - How many runs (default 10)
+ * @returns {Array} - Rows of purge_runs
+ */
+async function getPurgeRuns(limit = 10) {
+  const database = await getDb();
+  return database.all('SELECT * FROM purge_runs ORDER BY id DESC LIMIT ?', [limit]);
+}
+
+/**
+ * Read a rate limit counter, starting a fresh window if the old one expired
+ *
+ * @param {Object} database - Storage adapter
+ * @param {string} key - Counter name, e.g. 'requests:<ip hash>'
+ * @param {number} windowSeconds - Window length
+ * @param {number} now - Current Unix time in seconds
+ * @returns {Object} - { count, windowStart }
+ */
+async function readRateLimitWindow(database, key, windowSeconds, now) {
+  const row = await database.get(
+    'SELECT count, window_start FROM rate_limits WHERE bucket_key = ?',
+    [key]
+  );
+
+  if (!row || now >= row.window_start + windowSeconds) {
+    return { count: 0, windowStart: now };
+  }
+  return { count: row.count, windowStart: row.window_start };
+}
+
+/**
+ * Database-backed rate limit store (the default)
+ *
+ * TEACHING MOMENT: This is a "fixed window" counter. The first hit opens a
+ * window (say 1 hour); every hit inside it adds 1; once the hour is over
+ * the count starts again from zero. Any object with the same two methods
+ * (for example one backed by Redis) can be plugged in instead.
+ *
+ * Both methods return { count, resetAt } where resetAt is Unix seconds.
+ */
+const rateLimitStore = {
+  // Add one to the counter and return the new total
+  // TEACHING MOMENT: Reading the count and then writing count + 1 lets two
+  // requests at the same moment both read 99 and both write 100 - and get
+  // past the limit. One upsert does the read, the +1 (or the reset, once
+  // the window is over) and the write atomically, and RETURNING hands
+  // back the result.
+  async increment(key, windowSeconds) {
+    const database = await getDb();
+    const now = Math.floor(Date.now() / 1000);
+    // A window that opened at or before this has run out
+    const expiredBefore = now - windowSeconds;
+
+    // (a transaction so SQLite saves the file afterwards)
+    const row = await database.transaction(tx => tx.get(`
+      INSERT INTO rate_limits (bucket_key, count, window_start) VALUES (?, 1, ?)
+      ON CONFLICT (bucket_key) DO UPDATE SET
+        count = CASE WHEN rate_limits.window_start <= ? THEN 1 ELSE rate_limits.count + 1 END,
+        window_start = CASE WHEN rate_limits.window_start <= ? THEN excluded.window_start ELSE rate_limits.window_start END
+      RETURNING count, window_start
+    `, [key, now, expiredBefore, expiredBefore]));
+
+    return { count: row.count, resetAt: Number(row.window_start) + windowSeconds };
+  },
+
+  // Look at the counter without changing it
+  async peek(key, windowSeconds) {
+    const database = await getDb();
+    const now = Math.floor(Date.now() / 1000);
+    const { count, windowStart } = await readRateLimitWindow(database, key, windowSeconds, now);
+    return { count, resetAt: windowStart + windowSeconds };
+  }
+};
+
+/**
+ * Save a new admin token (its hash only)
+ *
+ * @param {Object} token - { name, tokenHash, scopes } where scopes is an array
+ * @returns {number|null} - The new token's id, or null on failure
+ */
+async function insertAdminToken(token) {
+  const database = await getDb();
+
+  try {
+    await database.run(
+      'INSERT INTO admin_tokens (name, token_hash, scopes) VALUES (?, ?, ?)',
+      [token.name, token.tokenHash, token.scopes.join(',')]
+    );
+    const row = await database.get('SELECT id FROM admin_tokens WHERE token_hash = ?', [token.tokenHash]);
+    return row ? row.id : null;
+  } catch (error) {
+    console.error('[DB] Admin token insert error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Look up an active (not revoked) admin token by its hash
+ *
+ * TEACHING MOMENT: Unlike most helpers here, this one lets errors THROW.
+ * Returning null would look like "wrong token" and send a 401, hiding
+ * the real problem (the database is down) from the caller.
+ *
+ * @param {string} tokenHash - SHA-256 of the presented token
+ * @returns {Object|null} - { id, name, scopes } or null if not found/revoked
+ */
+async function findAdminToken(tokenHash) {
+  const database = await getDb();
+
+  const row = await database.get(
+    'SELECT id, name, scopes FROM admin_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+    [tokenHash]
+  );
+  if (!row) return null;
+
+  await database.run('UPDATE admin_tokens SET last_used_at = ? WHERE id = ?', [nowTimestamp(), row.id]);
+  return { id: row.id, name: row.name, scopes: row.scopes.split(',') };
+}
+
+/**
+ * List every admin token (without hashes)
+ *
+ * @returns {Array} - [{ id, name, scopes, created_at, last_used_at, revoked_at }]
+ */
+async function listAdminTokens() {
+  const database = await getDb();
+  return database.all(
+    'SELECT id, name, scopes, created_at, last_used_at, revoked_at FROM admin_tokens ORDER BY id'
+  );
+}
+
+/**
+ * Revoke an admin token so it stops working immediately
+ *
+ * @param {number} id - Token id (from listAdminTokens)
+ * @returns {boolean} - True if an active token was revoked
+ */
+async function revokeAdminToken(id) {
+  const database = await getDb();
+  const result = await database.run(
+    'UPDATE admin_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+    [nowTimestamp(), id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Record an admin action in the audit log
+ *
+ * @param {Object} event - { token: { id, name }, action, details, rowCount }
+ * @returns {boolean} - True if the event was written
+ */
+async function insertAuditEvent(event) {
+  const database = await getDb();
+
+  try {
+    await database.run(
+      'INSERT INTO admin_audit_log (token_id, token_name, action, details, row_count) VALUES (?, ?, ?, ?, ?)',
+      [
+        event.token.id,
+        event.token.name,
+        event.action,
+        event.details ? JSON.stringify(event.details) : null,
+        event.rowCount ?? null
+      ]
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] Audit log insert error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the most recent audit log entries, newest first
+ *
+ * @param {number} limit - How many entries (default 50)
+ * @returns {Array} - [{ id, token_id, token_name, action, details, row_count, timestamp }]
+ */
+async function getAuditLog(limit = 50) {
+  const database = await getDb();
+  return database.all(
+    'SELECT id, token_id, token_name, action, details, row_count, timestamp FROM admin_audit_log ORDER BY id DESC LIMIT ?',
+    [limit]
+  );
+}
+
 // Export for use in other modules
 // TEACHING MOMENT: CommonJS exports work with both require() and dynamic import()
 module.exports = {
   getDb,
   initDb,
   saveDb,
+  closeDb,
   insertAssessment,
   getAllAssessments,
+  getLearnerAttempts,
+  getBenchmarkScores,
+  getOwnRecord,
+  deleteOwnRecord,
+  getReceiptReport,
+  reserveResultsEmail,
+  releaseResultsEmail,
+  recordEmailConsent,
   getAssessmentCount,
+  createSession,
+  getSession,
+  getSessionTurns,
+  getQuestionAnswers,
+  appendTurns,
+  completeSession,
+  expireIdleSessions,
+  purgeExpiredData,
+  getPurgeRuns,
+  rateLimitStore,
+  insertAdminToken,
+  findAdminToken,
+  listAdminTokens,
+  revokeAdminToken,
+  insertAuditEvent,
+  getAuditLog,
   getDbPath
 };
@@ -0,0 +1,92 @@
+/**
+ * Keyed IP Hashing
+ *
+ * TEACHING MOMENT: We NEVER store raw IP addresses - but a plain SHA-256
+ * of an IPv4 address isn't much better. There are only 2^32 addresses,
+ * so anyone with a copy of the database can hash them all in minutes and
+ * look the answers up. An HMAC mixes in a SERVER SECRET: without the key,
+ * the hashes can't be recomputed, so they can't be reversed.
+ *
+ *   IP_HASH_SECRET        the key (at least 16 characters - use 32+ random bytes)
+ *   IP_HASH_KEY_VERSION   a number stored next to every hash (default 1)
+ *
+ * To rotate the key: set a new IP_HASH_SECRET and bump IP_HASH_KEY_VERSION.
+ * New hashes get the new version; old ones keep theirs (ip_hash_key_version)
+ * until `npm run purge-data` clears them after RETENTION_IP_HASH_DAYS.
+ * Hashes made with different keys never match, so rate limit counters
+ * simply start over.
+ *
+ * In production (VERCEL or NODE_ENV=production) the secret is REQUIRED:
+ * without it every cold start and every instance would hash the same IP
+ * differently, and rate limits would quietly stop working. So we fail
+ * loudly instead. A secret that's too short is always an error.
+ *
+ * In local development only, a missing secret is allowed: each server
+ * process makes up a random key and stores version 0 - still keyed, just
+ * forgotten on restart.
+ */
+
+const crypto = require('crypto');
+
+const MIN_SECRET_LENGTH = 16;
+const DEFAULT_KEY_VERSION = 1;
+// Version 0 marks hashes made with a throwaway per-process key
+const EPHEMERAL_KEY_VERSION = 0;
+const EPHEMERAL_SECRET = crypto.randomBytes(32).toString('hex');
+
+let warnedAboutSecret = false;
+
+// Same rule as the SQLite file location (storage/sqlite.js)
+const isProduction = env => Boolean(env.VERCEL) || env.NODE_ENV === 'production';
+
+/**
+ * Read the IP hashing key from the environment
+ *
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} - { secret, keyVersion, ephemeral }
+ * @throws {Error} - If the secret is too short, or missing in production
+ */
+function getIpHashConfig(env = process.env) {
+  const secret = env.IP_HASH_SECRET;
+  if (secret && secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`IP_HASH_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (!secret) {
+    if (isProduction(env)) {
+      throw new Error('IP_HASH_SECRET is required in production');
+    }
+    if (!warnedAboutSecret) {
+      console.warn('[IP Hash] IP_HASH_SECRET is not set - using a temporary key (development only)');
+      warnedAboutSecret = true;
+    }
+    return { secret: EPHEMERAL_SECRET, keyVersion: EPHEMERAL_KEY_VERSION, ephemeral: true };
+  }
+
+  const keyVersion = parseInt(env.IP_HASH_KEY_VERSION, 10);
+  return {
+    secret,
+    keyVersion: Number.isInteger(keyVersion) && keyVersion > 0 ? keyVersion : DEFAULT_KEY_VERSION,
+    ephemeral: false
+  };
+}
+
+/**
+ * Hash an IP address with the current key
+ *
+ * @param {string} ip - Client IP address
+ * @param {Object} config - From getIpHashConfig() (read fresh by default)
+ * @returns {Object|null} - { hash (64-character hex HMAC-SHA256), keyVersion },
+ *   or null when there is no IP
+ */
+function hashIp(ip, config = getIpHashConfig()) {
+  if (!ip) return null;
+  return {
+    hash: crypto.createHmac('sha256', config.secret).update(ip).digest('hex'),
+    keyVersion: config.keyVersion
+  };
+}
+
+module.exports = {
+  getIpHashConfig,
+  hashIp
+};
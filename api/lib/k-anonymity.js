@@ -0,0 +1,94 @@
+/**
+ * K-Anonymity Safeguards
+ *
+ * TEACHING MOMENT: Aggregates can leak individuals. "1 student in cohort
+ * spring-evening reached Level 1" names that student to anyone who knows
+ * who was in the room. K-ANONYMITY means every group we report on holds
+ * at least k people, so nobody can be singled out.
+ *
+ *   K_ANONYMITY_MIN   smallest group we show (default 5)
+ *
+ * The analytics report and the CSV export both apply it:
+ * - a group of 1..k-1 people is SUPPRESSED (shown as null, or left out);
+ *   empty groups (0) name nobody, so they are still shown
+ * - if only one cell of a breakdown was hidden, the next smallest is
+ *   hidden too - otherwise "total minus the others" gives it away
+ *   (this is called secondary suppression)
+ */
+
+const DEFAULT_MIN_GROUP_SIZE = 5;
+
+/**
+ * Read the k-anonymity threshold from the environment
+ *
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} - { minGroupSize } (1 turns suppression off)
+ */
+function getKAnonymityConfig(env = process.env) {
+  const minGroupSize = parseInt(env.K_ANONYMITY_MIN, 10);
+  return {
+    minGroupSize: Number.isInteger(minGroupSize) && minGroupSize > 0 ? minGroupSize : DEFAULT_MIN_GROUP_SIZE
+  };
+}
+
+/**
+ * Is this group too small to report on?
+ *
+ * @param {number} count - People in the group
+ * @param {number} minGroupSize - k
+ * @returns {boolean} - True for 1..k-1 (0 is fine: it names nobody)
+ */
+function isSmallGroup(count, minGroupSize) {
+  return count > 0 && count < minGroupSize;
+}
+
+/**
+ * Decide which cells of a breakdown to hide
+ *
+ * @param {Array<number>} counts - One count per cell, e.g. students per level
+ * @param {number} minGroupSize - k
+ * @returns {Set<number>} - Indexes of the cells to suppress
+ */
+function cellsToSuppress(counts, minGroupSize) {
+  const hidden = new Set();
+  counts.forEach((count, index) => {
+    if (isSmallGroup(count, minGroupSize)) hidden.add(index);
+  });
+
+  // Secondary suppression: one hidden cell could be worked out from the total
+  if (hidden.size === 1) {
+    const next = counts
+      .map((count, index) => ({ count, index }))
+      .filter(cell => cell.count > 0 && !hidden.has(cell.index))
+      .sort((a, b) => a.count - b.count)[0];
+    if (next) hidden.add(next.index);
+  }
+
+  return hidden;
+}
+
+/**
+ * Drop rows that belong to groups smaller than k
+ *
+ * @param {Array} rows - Any rows
+ * @param {Function} groupOf - row => group key (e.g. its rubric version)
+ * @param {number} minGroupSize - k
+ * @returns {Object} - { rows (the ones kept, in order), suppressed (how many were dropped) }
+ */
+function dropSmallGroups(rows, groupOf, minGroupSize) {
+  const sizes = new Map();
+  for (const row of rows) {
+    const group = groupOf(row);
+    sizes.set(group, (sizes.get(group) || 0) + 1);
+  }
+
+  const kept = rows.filter(row => !isSmallGroup(sizes.get(groupOf(row)), minGroupSize));
+  return { rows: kept, suppressed: rows.length - kept.length };
+}
+
+module.exports = {
+  getKAnonymityConfig,
+  isSmallGroup,
+  cellsToSuppress,
+  dropSmallGroups
+};
@@ -0,0 +1,102 @@
+/**
+ * Learner Tokens & Attempt History
+ *
+ * TEACHING MOMENT: To show "what improved since last time" we have to know
+ * that two assessments came from the same student - without asking for a
+ * name or an email. Students who opt in get a pseudonymous LEARNER TOKEN:
+ *
+ *   lrn_<32 random bytes>   kept in the student's browser (localStorage)
+ *   sha256(token)           stored as assessments.learner_id
+ *
+ * Like admin tokens, the database only ever sees the hash, so a leaked
+ * database can't be used to read anyone's history. Whoever holds the token
+ * can, so the browser sends it in a header, never in the URL.
+ *
+ * Tracking needs BOTH consents: data collection (without it nothing is
+ * saved to link) and the separate progress-tracking checkbox.
+ */
+
+const crypto = require('crypto');
+
+const LEARNER_TOKEN_PATTERN = /^lrn_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Create a new learner token
+ *
+ * @returns {string} - e.g. 'lrn_Xk3...' (47 characters)
+ */
+function createLearnerToken() {
+  return `lrn_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Is this a well-formed learner token?
+ *
+ * @param {*} value - Anything the browser sent
+ * @returns {boolean}
+ */
+function isLearnerToken(value) {
+  return typeof value === 'string' && LEARNER_TOKEN_PATTERN.test(value);
+}
+
+/**
+ * The learner_id stored for a token
+ *
+ * @param {string} token - From createLearnerToken()
+ * @returns {string} - 64-character hex hash
+ */
+function hashLearnerToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Number the attempts and work out what changed since the previous one
+ *
+ * Attempts are compared within a milestone only - Milestone 1 scores say
+ * nothing about Milestone 0 pillars. A pillar missing from either attempt
+ * (e.g. after a rubric change) gets no delta.
+ *
+ * @param {Array} rows - From getLearnerAttempts(), oldest first
+ * @returns {Array} - [{ attempt, completedAt, milestone, promptVersion,
+ *   readinessLevel, readinessTitle, scores: { pillar: { score, max } },
+ *   deltas: { pillar: number } | null, readinessChange: number | null }]
+ *   deltas and readinessChange are null for a milestone's first attempt.
+ *   readinessChange is negative when the student moved closer to level 1.
+ */
+function buildAttemptHistory(rows) {
+  const previousByMilestone = {};
+
+  return rows.map(row => {
+    const previous = previousByMilestone[row.milestone];
+    const attempt = previous ? previous.attempt + 1 : 1;
+
+    let deltas = null;
+    if (previous) {
+      deltas = {};
+      for (const [pillar, { score }] of Object.entries(row.scores)) {
+        if (previous.scores[pillar]) deltas[pillar] = score - previous.scores[pillar].score;
+      }
+    }
+
+    const entry = {
+      attempt,
+      completedAt: row.timestamp,
+      milestone: row.milestone,
+      promptVersion: row.prompt_version,
+      readinessLevel: row.readiness_level,
+      readinessTitle: row.readiness_title,
+      scores: row.scores,
+      deltas,
+      readinessChange: previous ? row.readiness_level - previous.readinessLevel : null
+    };
+    previousByMilestone[row.milestone] = entry;
+    return entry;
+  });
+}
+
+module.exports = {
+  createLearnerToken,
+  isLearnerToken,
+  hashLearnerToken,
+  buildAttemptHistory
+};
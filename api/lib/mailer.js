@@ -0,0 +1,200 @@
+/**
+ * Mailer
+ *
+ * TEACHING MOMENT: Like the model client, the code that sends email
+ * doesn't care HOW it's delivered. It asks for "the mail transport" - any
+ * object with one method:
+ *
+ *   send({ to, subject, text, html })  → { messageId }
+ *
+ * Transports:
+ *   smtp  a real mail server (lib/smtp.js) - or `npm run smtp-sink` locally
+ *   log   prints the message instead of sending it (local development)
+ *
+ * Configuration (environment variables):
+ *
+ *   MAIL_TRANSPORT   'smtp' or 'log' (default: 'smtp' when SMTP_HOST is set,
+ *                    otherwise email is switched off)
+ *   SMTP_HOST        e.g. smtp.sendgrid.net, or localhost for the sink
+ *   SMTP_PORT        default 587 (465 when SMTP_SECURE=true)
+ *   SMTP_SECURE      'true' for implicit TLS; otherwise STARTTLS is used
+ *                    whenever the server offers it
+ *   SMTP_USER / SMTP_PASS   login, if the server needs one - only sent
+ *                    over TLS
+ *   SMTP_ALLOW_INSECURE_AUTH  'true' to log in without TLS anyway (a local
+ *                    test server only - never a real one)
+ *   SMTP_TIMEOUT_MS  default 10000
+ *   MAIL_FROM        default 'Data Analyst Bootcamp <no-reply@localhost>'
+ */
+
+const crypto = require('crypto');
+const { sendSmtp } = require('./smtp.js');
+
+const DEFAULT_FROM = 'Data Analyst Bootcamp <no-reply@localhost>';
+
+// Set by tests with setMailTransport(); null means "use the configured one"
+let overrideTransport = null;
+
+/**
+ * Is this a plausible email address?
+ *
+ * TEACHING MOMENT: The only real test is sending to it. This just keeps
+ * out typos and anything that could break the message headers
+ * (spaces, line breaks, angle brackets).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidEmail(value) {
+  return typeof value === 'string'
+    && value.length <= 254
+    && /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]+$/.test(value);
+}
+
+/**
+ * Read the mail settings from environment variables
+ *
+ * @param {Object} env - Usually process.env
+ * @returns {Object} - { transport, from, smtp: { host, port, secure, user, pass, timeoutMs, allowInsecureAuth } }
+ *   transport is null when email isn't configured
+ */
+function getMailConfig(env = process.env) {
+  const readInt = (name, fallback) => {
+    const value = parseInt(env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+  };
+  const secure = env.SMTP_SECURE === 'true';
+
+  return {
+    transport: env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : null),
+    from: env.MAIL_FROM || DEFAULT_FROM,
+    smtp: {
+      host: env.SMTP_HOST || null,
+      port: readInt('SMTP_PORT', secure ? 465 : 587),
+      secure,
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      allowInsecureAuth: env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+      timeoutMs: readInt('SMTP_TIMEOUT_MS', 10000)
+    }
+  };
+}
+
+// 'Name <a@b.c>' → 'a@b.c' (the envelope wants the bare address)
+const bareAddress = address => (address.match(/<([^>]+)>/) || [null, address])[1].trim();
+
+// Non-ASCII header text must be encoded, e.g. =?UTF-8?B?...?=
+const encodeHeader = text => (/^[\x20-\x7e]*$/.test(text)
+  ? text
+  : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`);
+
+// Base64 body, in lines of 76 characters as email requires
+const base64Lines = text => Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+/**
+ * Build the raw message: headers plus a text part and an HTML part
+ *
+ * TEACHING MOMENT: "multipart/alternative" means "the same message, twice".
+ * Mail apps show the HTML version and fall back to plain text. Both parts
+ * are base64-encoded so long lines and non-English characters arrive intact.
+ *
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Object} - { messageId, data }
+ */
+function buildMimeMessage({ from, to, subject, text, html }) {
+  const domain = bareAddress(from).split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+  const boundary = `bootcamp-${crypto.randomBytes(12).toString('hex')}`;
+
+  const data = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+
+  return { messageId, data };
+}
+
+/**
+ * Transport that sends through an SMTP server
+ *
+ * @param {Object} smtp - From getMailConfig().smtp
+ * @param {string} from - Sender, e.g. 'Bootcamp <no-reply@example.com>'
+ */
+function createSmtpTransport(smtp, from = DEFAULT_FROM) {
+  return {
+    name: 'smtp',
+    async send(message) {
+      const { messageId, data } = buildMimeMessage({ from, ...message });
+      await sendSmtp(smtp, { from: bareAddress(from), to: message.to, data });
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Transport that prints the message instead of sending it
+ *
+ * The address is masked - logs are kept longer than emails should be.
+ */
+function createLogTransport(from = DEFAULT_FROM) {
+  return {
+    name: 'log',
+    async send(message) {
+      const { messageId } = buildMimeMessage({ from, ...message });
+      console.log(`[Mail] (log transport) To: ${message.to.replace(/^(.).*@/, '$1***@')}`);
+      console.log(`[Mail] Subject: ${message.subject}\n${message.text}`);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Use a different mail transport (tests), or null to go back to the configured one
+ *
+ * @param {Object|null} transport
+ */
+function setMailTransport(transport) {
+  overrideTransport = transport;
+}
+
+/**
+ * Get the transport to send with
+ *
+ * @returns {Object|null} - The transport, or null if email isn't configured
+ */
+function getMailTransport() {
+  if (overrideTransport) return overrideTransport;
+
+  const config = getMailConfig();
+  if (config.transport === 'log') return createLogTransport(config.from);
+  if (config.transport === 'smtp' && config.smtp.host) return createSmtpTransport(config.smtp, config.from);
+  return null;
+}
+
+module.exports = {
+  isValidEmail,
+  getMailConfig,
+  buildMimeMessage,
+  createSmtpTransport,
+  createLogTransport,
+  setMailTransport,
+  getMailTransport
+};
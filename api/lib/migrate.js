@@ -0,0 +1,176 @@
+/**
+ * Schema Migrations
+ *
+ * TEACHING MOMENT: A "migration" is a small, numbered script that changes
+ * the database schema (add a table, add a column...). Each database
+ * remembers which migrations it has already run in a schema_migrations
+ * table, so an old assessments.db file can be upgraded step by step to
+ * the latest schema without losing data.
+ *
+ * Every migration has:
+ * - up(db):   apply the change
+ * - down(db): undo it (used by rollback)
+ *
+ * initDb() runs pending migrations automatically. To manage them by hand:
+ *   npm run migrate               # apply pending migrations
+ *   npm run migrate -- status     # show what has been applied
+ *   npm run migrate -- down       # roll back the most recent migration
+ *   npm run migrate -- down 2     # roll back the last 2
+ */
+
+const MIGRATIONS = require('./migrations/index.js');
+
+// Any fixed number works - it just has to be the same in every process
+const MIGRATION_LOCK_ID = 72610506;
+
+/**
+ * Make other migration runs wait until this transaction ends
+ *
+ * TEACHING MOMENT: On Vercel, two cold starts can call initDb() at the
+ * same moment against the same Postgres. Without a lock both would see
+ * migration 005 as pending and both would try to apply it. An advisory
+ * lock is a named lock Postgres keeps for us - the _xact_ version is let
+ * go automatically at COMMIT or ROLLBACK, so it can never be left behind.
+ * SQLite needs nothing here: its adapter already runs one transaction at
+ * a time.
+ *
+ * @param {Object} tx - Transaction handle from db.transaction()
+ */
+async function lockMigrations(tx) {
+  if (tx.dialect === 'postgres') {
+    await tx.get(`SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_ID})`);
+  }
+}
+
+/**
+ * Check, while holding the lock, whether a migration is applied
+ *
+ * @param {Object} tx - Transaction handle holding lockMigrations()
+ * @param {string} id - Migration id
+ * @returns {boolean}
+ */
+async function isApplied(tx, id) {
+  return Boolean(await tx.get('SELECT id FROM schema_migrations WHERE id = ?', [id]));
+}
+
+/**
+ * Create the tracking table if needed
+ *
+ * @param {Object} db - Storage adapter
+ */
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,           -- e.g. '001_create_assessments'
+      applied_at ${db.types.timestamp}
+    );
+  `);
+}
+
+/**
+ * Get the ids of migrations already applied, oldest first
+ *
+ * @param {Object} db - Storage adapter
+ * @returns {Array} - ['001_create_assessments', ...]
+ */
+async function getAppliedIds(db) {
+  const rows = await db.all('SELECT id FROM schema_migrations ORDER BY id');
+  return rows.map(row => row.id);
+}
+
+/**
+ * Apply every migration that hasn't run yet
+ *
+ * TEACHING MOMENT: Each migration runs inside a transaction together with
+ * its schema_migrations row. If it fails halfway, NOTHING is changed and
+ * the error stops the run - we never leave a half-upgraded database.
+ * The transaction takes the migration lock first and checks the row
+ * again, so two runs at once apply each migration exactly once.
+ *
+ * @param {Object} db - Storage adapter
+ * @returns {Array} - Ids of the migrations applied by this call
+ */
+async function migrate(db) {
+  await db.transaction(async tx => {
+    await lockMigrations(tx);
+    await ensureMigrationsTable(tx);
+  });
+  const applied = new Set(await getAppliedIds(db));
+  const ran = [];
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.id)) continue;
+
+    const didRun = await db.transaction(async tx => {
+      await lockMigrations(tx);
+      // Another process may have applied it while we waited for the lock
+      if (await isApplied(tx, migration.id)) return false;
+
+      console.log(`[Migrate] Applying ${migration.id}`);
+      await migration.up(tx);
+      await tx.run('INSERT INTO schema_migrations (id) VALUES (?)', [migration.id]);
+      return true;
+    });
+    if (didRun) ran.push(migration.id);
+  }
+
+  return ran;
+}
+
+/**
+ * Undo the most recent migrations
+ *
+ * @param {Object} db - Storage adapter
+ * @param {number} steps - How many migrations to roll back (default 1)
+ * @returns {Array} - Ids of the migrations rolled back, newest first
+ */
+async function rollback(db, steps = 1) {
+  await ensureMigrationsTable(db);
+  const appliedIds = await getAppliedIds(db);
+  const toUndo = appliedIds.slice(-steps).reverse();
+  const rolledBack = [];
+
+  for (const id of toUndo) {
+    const migration = MIGRATIONS.find(m => m.id === id);
+    if (!migration) {
+      throw new Error(`Migration ${id} is recorded in the database but its file is missing`);
+    }
+
+    const didRun = await db.transaction(async tx => {
+      await lockMigrations(tx);
+      if (!(await isApplied(tx, id))) return false;
+
+      console.log(`[Migrate] Rolling back ${id}`);
+      await migration.down(tx);
+      await tx.run('DELETE FROM schema_migrations WHERE id = ?', [id]);
+      return true;
+    });
+    if (didRun) rolledBack.push(id);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * List every known migration and whether it has been applied
+ *
+ * @param {Object} db - Storage adapter
+ * @returns {Array} - [{ id, applied, appliedAt }, ...]
+ */
+async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT id, applied_at FROM schema_migrations');
+  const appliedAt = Object.fromEntries(rows.map(row => [row.id, row.applied_at]));
+
+  return MIGRATIONS.map(migration => ({
+    id: migration.id,
+    applied: migration.id in appliedAt,
+    appliedAt: appliedAt[migration.id] || null
+  }));
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  getMigrationStatus
+};
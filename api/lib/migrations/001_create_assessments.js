@@ -0,0 +1,42 @@
+/**
+ * Migration 001: assessments table
+ *
+ * The original schema - one row per completed (consented) assessment.
+ * Uses IF NOT EXISTS so databases created before migrations existed
+ * are adopted as-is.
+ */
+
+module.exports = {
+  async up(db) {
+    const t = db.types;
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS assessments (
+        id ${t.id},
+        session_id TEXT UNIQUE NOT NULL,
+        timestamp ${t.timestamp},
+
+        -- Pillar scores (match quiz output)
+        -- Each pillar has a different max score based on number of questions
+        numeracy_score INTEGER,      -- out of 10
+        reading_score INTEGER,       -- out of 5
+        computer_score INTEGER,      -- out of 10
+        logic_score INTEGER,         -- out of 8
+        communication_score INTEGER, -- out of 5
+        mindset_score INTEGER,       -- out of 7
+
+        -- Overall assessment result
+        readiness_level INTEGER,     -- 1-5 scale
+        readiness_title TEXT,        -- "Ready to Start", etc.
+
+        -- Ethics & security
+        user_ip_hash TEXT,           -- SHA-256 hash, NOT raw IP
+        consent_given ${t.boolean} DEFAULT 1
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS assessments');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Migration 002: chat session tables
+ *
+ * TEACHING MOMENT: The server owns the transcript. The browser only sends
+ * its session id and the newest message, so a client can't rewrite
+ * earlier turns (or invent a fake history) to steer the assessment.
+ */
+
+module.exports = {
+  async up(db) {
+    const t = db.types;
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_sessions (
+        session_id TEXT PRIMARY KEY,
+        created_at ${t.timestamp},
+        updated_at ${t.timestamp},
+        status TEXT DEFAULT 'active', -- 'active', 'completed', or 'expired' once idle
+                                      -- past SESSION_TTL_HOURS (scripts/expire-sessions.js)
+        user_ip_hash TEXT             -- SHA-256 hash, NOT raw IP
+      );
+    `);
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_turns (
+        id ${t.id},
+        session_id TEXT NOT NULL,
+        turn_index INTEGER NOT NULL,  -- 0, 1, 2... in conversation order
+        role TEXT NOT NULL,           -- 'user' or 'assistant'
+        content TEXT NOT NULL,
+        timestamp ${t.timestamp},
+        UNIQUE (session_id, turn_index)
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS chat_turns');
+    await db.exec('DROP TABLE IF EXISTS chat_sessions');
+  }
+};
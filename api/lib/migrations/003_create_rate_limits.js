@@ -0,0 +1,22 @@
+/**
+ * Migration 003: rate limit counters
+ *
+ * One row per counter, e.g. 'requests:<ip hash>' (see api/lib/rate-limit.js).
+ * Keys only ever contain the IP HASH, never the raw IP.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL DEFAULT 0,
+        window_start BIGINT NOT NULL  -- Unix time (seconds) the window opened
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS rate_limits');
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration 004: cohort column
+ *
+ * TEACHING MOMENT: A "cohort" is a group of students taking the assessment
+ * together (e.g. 'spring-2025'). Instructors share a link like
+ * /?cohort=spring-2025 and can then filter analytics to just their group.
+ *
+ * The session remembers the cohort from the first message; the assessment
+ * row copies it when the results are saved.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec('ALTER TABLE chat_sessions ADD COLUMN cohort TEXT');
+    await db.exec('ALTER TABLE assessments ADD COLUMN cohort TEXT');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE assessments DROP COLUMN cohort');
+    await db.exec('ALTER TABLE chat_sessions DROP COLUMN cohort');
+  }
+};
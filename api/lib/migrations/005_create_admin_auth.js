@@ -0,0 +1,42 @@
+/**
+ * Migration 005: admin API tokens and audit log
+ *
+ * TEACHING MOMENT: We store a HASH of each token, never the token itself.
+ * If the database ever leaks, the hashes can't be used to log in - just
+ * like we store IP hashes instead of IPs.
+ */
+
+module.exports = {
+  async up(db) {
+    const t = db.types;
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_tokens (
+        id ${t.id},
+        name TEXT NOT NULL,              -- who holds it, e.g. 'jane-instructor'
+        token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token, NOT the token
+        scopes TEXT NOT NULL,            -- comma-separated, e.g. 'export,analytics'
+        created_at ${t.timestamp},
+        last_used_at TEXT,
+        revoked_at TEXT                  -- set when revoked; NULL = active
+      );
+    `);
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id ${t.id},
+        token_id INTEGER,
+        token_name TEXT,                 -- copied so the log survives token changes
+        action TEXT NOT NULL,            -- e.g. 'export-csv'
+        details TEXT,                    -- JSON: filters, format...
+        row_count INTEGER,               -- how many records were handed out
+        timestamp ${t.timestamp}
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS admin_audit_log');
+    await db.exec('DROP TABLE IF EXISTS admin_tokens');
+  }
+};
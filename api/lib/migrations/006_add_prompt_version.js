@@ -0,0 +1,20 @@
+/**
+ * Migration 006: prompt_version column
+ *
+ * TEACHING MOMENT: The rubric (and the prompt generated from it) will
+ * change over time. Each assessment records which version it was taken
+ * with - e.g. 'm0-v1' - so we can compare cohorts across rubric changes
+ * instead of mixing them together.
+ *
+ * Assessments saved before this migration keep prompt_version = NULL.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec('ALTER TABLE assessments ADD COLUMN prompt_version TEXT');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE assessments DROP COLUMN prompt_version');
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Migration 007: milestones and generic pillar scores
+ *
+ * TEACHING MOMENT: The assessments table has one column per Milestone 0
+ * pillar (numeracy_score, reading_score...). Milestone 1 has different
+ * pillars, and adding columns for every milestone would never end.
+ *
+ * Instead, scores move to their own "long" table - one row per pillar:
+ *
+ *   session_id | pillar   | score | max_score
+ *   session_1  | numeracy | 8     | 10
+ *   session_1  | reading  | 2     | 5
+ *
+ * Any milestone fits without a schema change. Milestone 0 rows still fill
+ * the original six columns too, so the wide CSV and older dashboards keep
+ * working.
+ *
+ * Existing rows are copied over here. The pillar list and maxima are
+ * written out (not read from the milestone files) because a migration
+ * must do the same thing forever, even after the rubric changes.
+ */
+
+const MILESTONE_0_COLUMNS = [
+  { pillar: 'numeracy', column: 'numeracy_score', max: 10 },
+  { pillar: 'reading', column: 'reading_score', max: 5 },
+  { pillar: 'computer', column: 'computer_score', max: 10 },
+  { pillar: 'logic', column: 'logic_score', max: 8 },
+  { pillar: 'communication', column: 'communication_score', max: 5 },
+  { pillar: 'mindset', column: 'mindset_score', max: 7 }
+];
+
+module.exports = {
+  async up(db) {
+    // Everything before this migration was Milestone 0
+    await db.exec("ALTER TABLE chat_sessions ADD COLUMN milestone TEXT NOT NULL DEFAULT 'milestone-0'");
+    await db.exec("ALTER TABLE assessments ADD COLUMN milestone TEXT NOT NULL DEFAULT 'milestone-0'");
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS assessment_scores (
+        session_id TEXT NOT NULL,     -- assessments.session_id
+        pillar TEXT NOT NULL,         -- pillar key from the milestone file, e.g. 'numeracy'
+        score INTEGER NOT NULL,
+        max_score INTEGER NOT NULL,   -- the pillar's max when this was scored
+        PRIMARY KEY (session_id, pillar)
+      );
+    `);
+
+    // Values come from the constant above, never from user input, so they
+    // can go straight into the SQL (Postgres can't infer ? types in a SELECT list)
+    for (const { pillar, column, max } of MILESTONE_0_COLUMNS) {
+      await db.exec(`
+        INSERT INTO assessment_scores (session_id, pillar, score, max_score)
+        SELECT session_id, '${pillar}', ${column}, ${max}
+        FROM assessments
+        WHERE ${column} IS NOT NULL
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS assessment_scores');
+    await db.exec('ALTER TABLE assessments DROP COLUMN milestone');
+    await db.exec('ALTER TABLE chat_sessions DROP COLUMN milestone');
+  }
+};
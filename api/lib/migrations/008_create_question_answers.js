@@ -0,0 +1,37 @@
+/**
+ * Migration 008: question bank answers
+ *
+ * TEACHING MOMENT: Each answer to a question-bank question gets its own
+ * row, graded by the server. Pillar scores for those pillars are counted
+ * from these rows, and later we can see which questions students miss most.
+ *
+ * chat_sessions.current_question_id remembers which bank question the model
+ * was told to ask, so the student's next message is graded against it.
+ */
+
+module.exports = {
+  async up(db) {
+    const t = db.types;
+
+    await db.exec('ALTER TABLE chat_sessions ADD COLUMN current_question_id TEXT');
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS question_answers (
+        id ${t.id},                    -- also the order the answers were given
+        session_id TEXT NOT NULL,
+        question_id TEXT NOT NULL,     -- id from the question bank, e.g. 'num-01'
+        pillar TEXT NOT NULL,
+        difficulty INTEGER,            -- 1 (easy) to 3 (hard)
+        answer TEXT NOT NULL,          -- what the student typed
+        correct ${t.boolean} NOT NULL, -- graded by the server, not the model
+        answered_at ${t.timestamp},
+        UNIQUE (session_id, question_id)
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS question_answers');
+    await db.exec('ALTER TABLE chat_sessions DROP COLUMN current_question_id');
+  }
+};
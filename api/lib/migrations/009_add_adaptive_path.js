@@ -0,0 +1,19 @@
+/**
+ * Migration 009: adaptive path
+ *
+ * TEACHING MOMENT: With adaptive difficulty, two students can take very
+ * different routes through a pillar. Saving the engine's decision after
+ * each answer ('harder', 'easier', 'stop-strong'...) next to the answer's
+ * difficulty lets us replay and analyze every route later, even after the
+ * engine's rules change.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec('ALTER TABLE question_answers ADD COLUMN next_step TEXT');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE question_answers DROP COLUMN next_step');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 010: learner_id column
+ *
+ * TEACHING MOMENT: Every assessment used to be an island - a random
+ * session_id and nothing else - so a retake couldn't be compared with the
+ * first attempt. Students who opt in to progress tracking get a random
+ * learner token in their browser; each of their assessments stores a
+ * SHA-256 hash of it here (see api/lib/learner.js).
+ *
+ * The column is NULL for everyone who didn't opt in, and for every
+ * assessment saved before this migration.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec('ALTER TABLE assessments ADD COLUMN learner_id TEXT');
+    // Attempt history looks rows up by learner
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_assessments_learner_id ON assessments (learner_id)');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_assessments_learner_id');
+    await db.exec('ALTER TABLE assessments DROP COLUMN learner_id');
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 011: results_json column
+ *
+ * TEACHING MOMENT: The assessments table stores scores and readiness for
+ * analysis, but not the words the student was shown - overall message,
+ * strengths, areas to develop, next steps. The PDF report needs all of
+ * it, so consented assessments now keep the full results as JSON.
+ *
+ * Assessments saved before this migration have no report (NULL).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec('ALTER TABLE assessments ADD COLUMN results_json TEXT');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE assessments DROP COLUMN results_json');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 012: results email consent
+ *
+ * TEACHING MOMENT: Emailing results needs its own consent, separate from
+ * "use my scores to improve the curriculum". We record that the student
+ * agreed (email_consent) and how many times the results were sent
+ * (emails_sent, capped so nobody can use us to spam an inbox).
+ *
+ * The email ADDRESS is never stored - it's used once to send and then
+ * forgotten, so it can't be reused for anything else (like marketing).
+ */
+
+module.exports = {
+  async up(db) {
+    const t = db.types;
+    await db.exec(`ALTER TABLE assessments ADD COLUMN email_consent ${t.boolean} DEFAULT 0`);
+    await db.exec('ALTER TABLE assessments ADD COLUMN emails_sent INTEGER NOT NULL DEFAULT 0');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE assessments DROP COLUMN emails_sent');
+    await db.exec('ALTER TABLE assessments DROP COLUMN email_consent');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 013: receipt_hash column
+ *
+ * TEACHING MOMENT: A saved assessment used to belong to nobody - the
+ * student had no way to find it again, so "you're in control of your
+ * data" was a promise we couldn't keep. Every saved assessment now comes
+ * with a secret RECEIPT TOKEN for the student; this column stores its
+ * SHA-256 hash (see api/lib/receipt.js), so the token can look up,
+ * download or delete exactly that one record.
+ *
+ * NULL for assessments saved before this migration.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec('ALTER TABLE assessments ADD COLUMN receipt_hash TEXT');
+    // One record per receipt, found by hash (NULLs don't clash)
+    await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_assessments_receipt_hash ON assessments (receipt_hash)');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_assessments_receipt_hash');
+    await db.exec('ALTER TABLE assessments DROP COLUMN receipt_hash');
+  }
+};
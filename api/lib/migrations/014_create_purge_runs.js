@@ -0,0 +1,34 @@
+/**
+ * Migration 014: purge run log
+ *
+ * TEACHING MOMENT: A retention policy is only a promise until you can
+ * show it ran. Every real purge (`npm run purge-data`, see
+ * api/lib/retention.js) adds one row here: when it ran, which cutoffs it
+ * used and how much it removed. Dry runs change nothing and aren't logged.
+ *
+ * Only counts are stored - never which records were purged.
+ */
+
+module.exports = {
+  async up(db) {
+    const t = db.types;
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS purge_runs (
+        id ${t.id},
+        ran_at ${t.timestamp},
+        action TEXT NOT NULL,                 -- what happened to old rows: 'anonymize' or 'delete'
+        ip_hash_cutoff TEXT NOT NULL,         -- IP hashes older than this were cleared
+        row_cutoff TEXT,                      -- rows older than this were purged (NULL = kept)
+        ip_hashes_cleared INTEGER NOT NULL DEFAULT 0,
+        rate_limits_deleted INTEGER NOT NULL DEFAULT 0,
+        assessments_purged INTEGER NOT NULL DEFAULT 0,
+        sessions_purged INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS purge_runs');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 015: ip_hash_key_version columns
+ *
+ * TEACHING MOMENT: IP hashes are now HMACs keyed with a server secret
+ * (see api/lib/ip-hash.js), and that secret can be rotated. Each hash
+ * records which key made it, so after a rotation we can tell old hashes
+ * from new ones - they never match each other.
+ *
+ *   NULL  hashes saved before this migration (plain, unkeyed SHA-256)
+ *   0     a temporary per-process key (no IP_HASH_SECRET set)
+ *   1+    IP_HASH_KEY_VERSION at the time
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec('ALTER TABLE assessments ADD COLUMN ip_hash_key_version INTEGER');
+    await db.exec('ALTER TABLE chat_sessions ADD COLUMN ip_hash_key_version INTEGER');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE chat_sessions DROP COLUMN ip_hash_key_version');
+    await db.exec('ALTER TABLE assessments DROP COLUMN ip_hash_key_version');
+  }
+};
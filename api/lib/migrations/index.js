@@ -0,0 +1,32 @@
+/**
+ * Migration List
+ *
+ * TEACHING MOMENT: Migrations run in the order listed here, and each one
+ * runs only once per database (tracked in the schema_migrations table).
+ *
+ * To change the schema, NEVER edit a migration that has already shipped -
+ * add a new file with the next number and list it at the bottom:
+ *
+ *   004_add_something.js  →  { id: '004_add_something', ...require('./004_add_something.js') }
+ *
+ * We list files by hand (instead of reading the folder) so Vercel's
+ * bundler can see and include every migration.
+ */
+
+module.exports = [
+  { id: '001_create_assessments', ...require('./001_create_assessments.js') },
+  { id: '002_create_chat_sessions', ...require('./002_create_chat_sessions.js') },
+  { id: '003_create_rate_limits', ...require('./003_create_rate_limits.js') },
+  { id: '004_add_cohort', ...require('./004_add_cohort.js') },
+  { id: '005_create_admin_auth', ...require('./005_create_admin_auth.js') },
+  { id: '006_add_prompt_version', ...require('./006_add_prompt_version.js') },
+  { id: '007_create_assessment_scores', ...require('./007_create_assessment_scores.js') },
+  { id: '008_create_question_answers', ...require('./008_create_question_answers.js') },
+  { id: '009_add_adaptive_path', ...require('./009_add_adaptive_path.js') },
+  { id: '010_add_learner_id', ...require('./010_add_learner_id.js') },
+  { id: '011_add_results_json', ...require('./011_add_results_json.js') },
+  { id: '012_add_email_consent', ...require('./012_add_email_consent.js') },
+  { id: '013_add_receipt_hash', ...require('./013_add_receipt_hash.js') },
+  { id: '014_create_purge_runs', ...require('./014_create_purge_runs.js') },
+  { id: '015_add_ip_hash_key_version', ...require('./015_add_ip_hash_key_version.js') }
+];
@@ -0,0 +1,334 @@
+/**
+ * Model Client
+ *
+ * TEACHING MOMENT: chat.js never talks to Anthropic directly. It asks for
+ * "the model client" - any object with these two methods:
+ *
+ *   complete(system, messages)                      → { ok, status, data, errorData }
+ *   stream(system, messages, { onStart, onText })   → same, text relayed as it arrives
+ *
+ * In production that's a real model API, wrapped with retries and an
+ * optional fallback. In tests we plug in a scripted fake that replays
+ * canned replies, so the whole assessment flow can be checked without an
+ * API key, a network or any cost.
+ *
+ * Configuration (environment variables - set them per Vercel environment):
+ *
+ *   MODEL_PROVIDER      'anthropic' (default) or 'openai' (any OpenAI-compatible server)
+ *   MODEL_NAME          default 'claude-haiku-4-5-20251001'
+ *   MODEL_BASE_URL      default ANTHROPIC_BASE_URL or https://api.anthropic.com
+ *   MODEL_API_KEY       default ANTHROPIC_API_KEY
+ *   MODEL_MAX_TOKENS    default 2000
+ *   MODEL_TIMEOUT_MS    default 30000 - wait this long for the model to start answering
+ *   MODEL_IDLE_TIMEOUT_MS default 15000 - give up on a stream that sends nothing for this long
+ *   MODEL_MAX_RETRIES   default 2 - extra attempts after a 429 / 5xx / timeout
+ *   MODEL_RETRY_BASE_MS default 500 - first retry delay, doubled each time
+ *   MODEL_TOTAL_TIMEOUT_MS default 55000 - the most one chat turn may spend on the model,
+ *                       shared by every retry and the fallback (0 = no limit)
+ *
+ *   FALLBACK_PROVIDER, FALLBACK_MODEL, FALLBACK_BASE_URL, FALLBACK_API_KEY
+ *     Optional second model, used when the first is still failing (429 / 5xx /
+ *     timeout) after its retries. Setting FALLBACK_MODEL or FALLBACK_PROVIDER turns it on; the
+ *     others default to the primary's settings. Examples:
+ *       FALLBACK_MODEL=claude-sonnet-4-5                         (another Claude model)
+ *       FALLBACK_PROVIDER=openai FALLBACK_BASE_URL=http://localhost:8000 FALLBACK_MODEL=llama3
+ */
+
+const { callAnthropic, streamAnthropic } = require('./anthropic.js');
+const { callOpenAiCompatible, streamOpenAiCompatible } = require('./openai-compatible.js');
+
+const PROVIDERS = {
+  anthropic: { complete: callAnthropic, stream: streamAnthropic },
+  openai: { complete: callOpenAiCompatible, stream: streamOpenAiCompatible }
+};
+
+const DEFAULT_MODEL = 'claude-haiku-4-5-20251001';
+
+// Never wait longer than this between retries - a serverless function
+// has a time limit, and the student is waiting
+const MAX_RETRY_DELAY_MS = 8000;
+
+// Set by tests with setModelClient(); null means "use the real API"
+let overrideClient = null;
+
+/**
+ * Read the model settings from environment variables
+ *
+ * @param {Object} env - Usually process.env
+ * @returns {Object} - { primary, fallback, maxRetries, retryBaseMs, totalTimeoutMs }
+ *   where primary/fallback are { provider, model, baseUrl, apiKey, maxTokens, timeoutMs, idleTimeoutMs }
+ */
+function getModelConfig(env = process.env) {
+  const readInt = (name, fallback) => {
+    const value = parseInt(env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+  };
+  const trimUrl = url => url && url.replace(/\/+$/, '');
+
+  const provider = env.MODEL_PROVIDER || 'anthropic';
+  const primary = {
+    provider,
+    model: env.MODEL_NAME || DEFAULT_MODEL,
+    baseUrl: trimUrl(env.MODEL_BASE_URL || (provider === 'anthropic'
+      ? env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'
+      : null)),
+    apiKey: env.MODEL_API_KEY || (provider === 'anthropic' ? env.ANTHROPIC_API_KEY : null) || null,
+    maxTokens: readInt('MODEL_MAX_TOKENS', 2000),
+    timeoutMs: readInt('MODEL_TIMEOUT_MS', 30000),
+    idleTimeoutMs: readInt('MODEL_IDLE_TIMEOUT_MS', 15000)
+  };
+
+  let fallback = null;
+  if (env.FALLBACK_PROVIDER || env.FALLBACK_MODEL) {
+    const fallbackProvider = env.FALLBACK_PROVIDER || provider;
+    const sameProvider = fallbackProvider === provider;
+    fallback = {
+      ...primary,
+      provider: fallbackProvider,
+      model: env.FALLBACK_MODEL || primary.model,
+      baseUrl: trimUrl(env.FALLBACK_BASE_URL) || (sameProvider ? primary.baseUrl : null),
+      apiKey: env.FALLBACK_API_KEY || (sameProvider ? primary.apiKey : null)
+    };
+  }
+
+  return {
+    primary,
+    fallback,
+    maxRetries: readInt('MODEL_MAX_RETRIES', 2),
+    retryBaseMs: readInt('MODEL_RETRY_BASE_MS', 500),
+    totalTimeoutMs: readInt('MODEL_TOTAL_TIMEOUT_MS', 55000)
+  };
+}
+
+/**
+ * A client for one provider + model (no retries)
+ *
+ * complete() and stream() also take an optional { deadline } - a
+ * Date.now() value the call must be finished by, however its own
+ * timeouts are set.
+ *
+ * @param {Object} options - { provider, model, baseUrl, apiKey, maxTokens, timeoutMs, idleTimeoutMs }
+ * @returns {Object} - Model client
+ */
+function createProviderClient(options) {
+  const provider = PROVIDERS[options.provider];
+  if (!provider) {
+    throw new Error(`Unknown model provider "${options.provider}". Use: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!options.baseUrl) {
+    throw new Error(`No base URL configured for the ${options.provider} provider`);
+  }
+
+  return {
+    name: `${options.provider}:${options.model}`,
+    complete: (system, messages, { deadline = null } = {}) =>
+      provider.complete({ ...options, deadline }, system, messages),
+    stream: (system, messages, { deadline = null, ...handlers } = {}) =>
+      provider.stream({ ...options, deadline }, system, messages, handlers)
+  };
+}
+
+// 429 Too Many Requests and 5xx (incl. Anthropic's 529 Overloaded,
+// and our own 502/504 for network errors and timeouts) are worth retrying.
+// 4xx errors like 400 or 401 will fail the same way every time.
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wrap clients with retries and an optional fallback
+ *
+ * TEACHING MOMENT: "Exponential backoff" means waiting longer after each
+ * failure (500ms, 1s, 2s...). A busy server gets room to recover instead
+ * of being hammered. If the server says exactly how long to wait
+ * (Retry-After), we listen - unless it's too long, in which case we go
+ * straight to the fallback.
+ *
+ * Streaming can only be retried if nothing was sent to the browser yet.
+ * Once text is on the student's screen, a failure is final.
+ *
+ * TEACHING MOMENT: Timeouts add up. Three 30s attempts on the primary
+ * plus three on the fallback is minutes - long after the serverless
+ * function has been killed. So each request gets ONE time budget
+ * (totalTimeoutMs): every attempt, every wait between them and the
+ * fallback all come out of it, and when it's spent we stop and return
+ * the last error.
+ *
+ * @param {Object} options - { primary, fallback, maxRetries, retryBaseMs, totalTimeoutMs }
+ * @returns {Object} - Model client
+ */
+function createResilientClient({ primary, fallback = null, maxRetries = 2, retryBaseMs = 500, totalTimeoutMs = 0 }) {
+  async function attemptWithRetries(client, call, deadline) {
+    for (let attempt = 0; ; attempt++) {
+      const state = { started: false };
+      const result = await call(client, state, deadline);
+
+      if (result.ok || state.started || !isRetryable(result.status) || attempt >= maxRetries) {
+        return { result, started: state.started };
+      }
+
+      const backoff = retryBaseMs * 2 ** attempt;
+      const delay = result.retryAfter ? result.retryAfter * 1000 : backoff;
+      if (delay > MAX_RETRY_DELAY_MS) {
+        console.log(`[Model] ${client.name} asked us to wait ${delay}ms - not retrying`);
+        return { result, started: false };
+      }
+      if (deadline && Date.now() + delay >= deadline) {
+        console.log(`[Model] ${client.name} returned ${result.status} - out of time, not retrying`);
+        return { result, started: false };
+      }
+
+      console.log(`[Model] ${client.name} returned ${result.status}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  async function run(call) {
+    const deadline = totalTimeoutMs ? Date.now() + totalTimeoutMs : null;
+
+    const first = await attemptWithRetries(primary, call, deadline);
+    if (first.result.ok || first.started || !fallback || !isRetryable(first.result.status)) {
+      return first.result;
+    }
+    if (deadline && Date.now() >= deadline) {
+      console.log(`[Model] ${primary.name} failed (${first.result.status}) - out of time for the fallback`);
+      return first.result;
+    }
+
+    console.log(`[Model] ${primary.name} failed (${first.result.status}), falling back to ${fallback.name}`);
+    const second = await attemptWithRetries(fallback, call, deadline);
+    return second.result;
+  }
+
+  return {
+    name: fallback ? `${primary.name} (fallback: ${fallback.name})` : primary.name,
+
+    complete(system, messages) {
+      return run((client, state, deadline) => client.complete(system, messages, { deadline }));
+    },
+
+    stream(system, messages, { onStart = () => {}, onText = () => {} } = {}) {
+      return run((client, state, deadline) => client.stream(system, messages, {
+        onStart: () => {
+          state.started = true;
+          onStart();
+        },
+        onText,
+        deadline
+      }));
+    }
+  };
+}
+
+/**
+ * A fake model that replays a script, one step per call
+ *
+ * Each step is either:
+ *   'Some reply text'                        → a successful reply
+ *   { error: { status: 529, message } }      → an API error
+ *
+ * Every call is recorded in client.calls ({ system, messages }) so tests
+ * can check what the model was sent.
+ *
+ * @param {Array} steps - The replies, in order
+ * @returns {Object} - Model client with extra calls / remaining() helpers
+ */
+function createScriptedClient(steps) {
+  const queue = [...steps];
+  const calls = [];
+
+  const nextReply = (system, messages) => {
+    calls.push({ system, messages });
+    if (queue.length === 0) {
+      throw new Error(`Scripted model client ran out of replies (call #${calls.length})`);
+    }
+
+    const step = queue.shift();
+    if (step && typeof step === 'object' && step.error) {
+      return {
+        ok: false,
+        status: step.error.status || 500,
+        data: null,
+        errorData: { type: 'error', error: { type: 'api_error', message: step.error.message || 'Scripted error' } }
+      };
+    }
+
+    return {
+      ok: true,
+      status: 200,
+      data: {
+        type: 'message',
+        role: 'assistant',
+        model: 'scripted',
+        content: [{ type: 'text', text: step }],
+        stop_reason: 'end_turn'
+      },
+      errorData: null
+    };
+  };
+
+  return {
+    name: 'scripted',
+    calls,
+    remaining: () => queue.length,
+
+    async complete(system, messages) {
+      return nextReply(system, messages);
+    },
+
+    async stream(system, messages, { onStart = () => {}, onText = () => {} } = {}) {
+      const reply = nextReply(system, messages);
+      if (reply.ok) {
+        onStart();
+        // Word by word, like the real stream
+        for (const piece of reply.data.content[0].text.match(/\S+\s*|\s+/g) || []) {
+          onText(piece);
+        }
+      }
+      return reply;
+    }
+  };
+}
+
+/**
+ * Use a different model client (tests), or null to go back to the real one
+ *
+ * @param {Object|null} client
+ */
+function setModelClient(client) {
+  overrideClient = client;
+}
+
+/**
+ * Get the model client chat.js should use
+ *
+ * @returns {Object|null} - The client, or null if the primary model isn't
+ *                          configured (e.g. no ANTHROPIC_API_KEY)
+ */
+function getModelClient() {
+  if (overrideClient) return overrideClient;
+
+  const config = getModelConfig();
+  const { primary } = config;
+  if (primary.provider === 'anthropic' && !primary.apiKey) return null;
+  if (!primary.baseUrl) return null;
+
+  return createResilientClient({
+    primary: createProviderClient(primary),
+    fallback: config.fallback ? createProviderClient(config.fallback) : null,
+    maxRetries: config.maxRetries,
+    retryBaseMs: config.retryBaseMs,
+    totalTimeoutMs: config.totalTimeoutMs
+  });
+}
+
+module.exports = {
+  getModelConfig,
+  createProviderClient,
+  createResilientClient,
+  createScriptedClient,
+  setModelClient,
+  getModelClient
+};
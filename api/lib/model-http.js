@@ -0,0 +1,184 @@
+/**
+ * Model HTTP Helpers
+ *
+ * Small pieces shared by every model provider (anthropic.js,
+ * openai-compatible.js): sending a request with a timeout, turning
+ * failures into one standard result, and reading streamed replies.
+ *
+ * Every provider function returns:
+ *   { ok, status, data, errorData, retryAfter }
+ */
+
+/**
+ * POST a JSON body, giving up after timeoutMs
+ *
+ * TEACHING MOMENT: fetch() has no timeout of its own - if the server
+ * never answers, neither does fetch. An AbortController lets us cancel
+ * the request ourselves when the timer fires.
+ *
+ * @param {string} url
+ * @param {Object} headers - Extra headers (auth, versions...)
+ * @param {Object} body - Sent as JSON
+ * @param {number} timeoutMs
+ * @returns {Object} - { response, clearTimeout, restartTimeout(ms) } - call
+ *   clearTimeout() once you no longer want the timer to cancel the request,
+ *   restartTimeout(ms) to give it ms more from now (it also cancels a
+ *   response body that's still being read)
+ */
+async function postJson(url, headers, body, timeoutMs) {
+  const controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    return {
+      response,
+      clearTimeout: () => clearTimeout(timer),
+      restartTimeout: ms => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), ms);
+      }
+    };
+  } catch (error) {
+    clearTimeout(timer);
+    throw error;
+  }
+}
+
+/**
+ * Shorten a timeout so it runs out by the deadline, if there is one
+ *
+ * @param {number} ms - The timeout on its own
+ * @param {number|null} deadline - Date.now() value the whole request must end by
+ * @returns {number}
+ */
+function untilDeadline(ms, deadline) {
+  return deadline ? Math.max(0, Math.min(ms, deadline - Date.now())) : ms;
+}
+
+/**
+ * Turn an HTTP error response into a failed result
+ *
+ * Reads Retry-After (sent with 429 "slow down" replies) so the retry
+ * logic knows how long the provider asked us to wait.
+ *
+ * @param {Response} response
+ * @returns {Object} - { ok: false, status, data: null, errorData, retryAfter }
+ */
+async function failureFromResponse(response) {
+  const errorData = await response.json().catch(() => ({}));
+  const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+
+  return {
+    ok: false,
+    status: response.status,
+    data: null,
+    errorData,
+    retryAfter: Number.isInteger(retryAfter) ? retryAfter : null
+  };
+}
+
+/**
+ * Turn a thrown fetch() error (network down, timeout) into a failed result
+ *
+ * 504 Gateway Timeout when we gave up waiting, 502 Bad Gateway otherwise.
+ *
+ * @param {Error} error
+ * @returns {Object} - { ok: false, status, data: null, errorData, retryAfter: null }
+ */
+function failureFromError(error) {
+  const timedOut = error.name === 'AbortError';
+  return {
+    ok: false,
+    status: timedOut ? 504 : 502,
+    data: null,
+    errorData: { error: { message: timedOut ? 'Model request timed out' : `Network error: ${error.message}` } },
+    retryAfter: null
+  };
+}
+
+/**
+ * Turn an error thrown while reading a stream into a failed result
+ *
+ * 504 when the idle timer cancelled a stream that went quiet, so it can
+ * be retried like any timeout; 502 for anything else (connection lost).
+ *
+ * @param {Error} error
+ * @returns {Object} - { ok: false, status, data: null, errorData, retryAfter: null }
+ */
+function failureFromStreamError(error) {
+  const stalled = error.name === 'AbortError';
+  return {
+    ok: false,
+    status: stalled ? 504 : 502,
+    data: null,
+    errorData: { error: { message: stalled ? 'Model stream stalled' : error.message } },
+    retryAfter: null
+  };
+}
+
+/**
+ * Read server-sent events from a fetch() response body
+ *
+ * TEACHING MOMENT: An SSE stream is plain text. Each event is a few
+ * "field: value" lines followed by a blank line:
+ *
+ *   event: content_block_delta
+ *   data: {"delta":{"type":"text_delta","text":"Hello"}}
+ *
+ * Network chunks don't line up with events, so we buffer until we see
+ * the blank line that ends one.
+ *
+ * @param {ReadableStream} body - response.body
+ * @param {Object} options - { onChunk() } called whenever bytes arrive
+ *   (even half an event), e.g. to restart an idle timer
+ * @yields {Object} - { event, data } with data already JSON-parsed
+ */
+async function* readServerSentEvents(body, { onChunk = () => {} } = {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseEvent = block => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    }
+    if (dataLines.length === 0) return null;
+    try {
+      return { event, data: JSON.parse(dataLines.join('\n')) };
+    } catch (error) {
+      return null;
+    }
+  };
+
+  for await (const chunk of body) {
+    onChunk();
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const parsed = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+    }
+  }
+
+  const last = parseEvent(buffer);
+  if (last) yield last;
+}
+
+module.exports = {
+  postJson,
+  untilDeadline,
+  failureFromResponse,
+  failureFromError,
+  failureFromStreamError,
+  readServerSentEvents
+};
@@ -0,0 +1,147 @@
+/**
+ * OpenAI-Compatible API Client
+ *
+ * TEACHING MOMENT: Many model servers - OpenAI itself, and self-hosted
+ * ones like vLLM, Ollama or llama.cpp - speak the same "chat completions"
+ * format. Supporting it means we can fall back to a model we run
+ * ourselves if Anthropic has an outage.
+ *
+ * Differences from Anthropic that this file hides:
+ * - The system prompt is the first message, not a separate field
+ * - The reply text is in choices[0].message.content
+ * - Streamed chunks are "data: {...}" lines ending with "data: [DONE]"
+ *
+ * Replies are converted to the Anthropic shape ({ content: [{ type, text }] })
+ * so chat.js handles both the same way.
+ */
+
+const {
+  postJson,
+  untilDeadline,
+  failureFromResponse,
+  failureFromError,
+  failureFromStreamError,
+  readServerSentEvents
+} = require('./model-http.js');
+
+function postChatCompletion(options, system, messages, stream) {
+  // Local servers often need no key at all
+  const headers = options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {};
+
+  return postJson(`${options.baseUrl}/v1/chat/completions`, headers, {
+    model: options.model,
+    max_tokens: options.maxTokens,
+    messages: [{ role: 'system', content: system }, ...messages],
+    stream
+  }, untilDeadline(options.timeoutMs, options.deadline));
+}
+
+// Build an Anthropic-style message from the reply text
+function toMessage(text, model, stopReason) {
+  return {
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: stopReason === 'length' ? 'max_tokens' : 'end_turn'
+  };
+}
+
+/**
+ * Send the conversation and wait for the full reply
+ *
+ * @param {Object} options - { apiKey, baseUrl, model, maxTokens, timeoutMs, deadline }
+ * @param {string} system - System prompt
+ * @param {Array} messages - [{ role, content }, ...]
+ * @returns {Object} - { ok, status, data, errorData, retryAfter }
+ */
+async function callOpenAiCompatible(options, system, messages) {
+  let request;
+  try {
+    request = await postChatCompletion(options, system, messages, false);
+    const { response } = request;
+
+    if (!response.ok) {
+      return await failureFromResponse(response);
+    }
+
+    const body = await response.json();
+    const choice = body.choices?.[0] || {};
+    return {
+      ok: true,
+      status: response.status,
+      data: toMessage(choice.message?.content || '', body.model || options.model, choice.finish_reason),
+      errorData: null
+    };
+  } catch (error) {
+    return failureFromError(error);
+  } finally {
+    if (request) request.clearTimeout();
+  }
+}
+
+/**
+ * Send the conversation and receive the reply as a stream
+ *
+ * Same contract as streamAnthropic(): onStart() with the first piece of
+ * text, onText(piece) for every piece, and the idle timer.
+ *
+ * @param {Object} options - { apiKey, baseUrl, model, maxTokens, timeoutMs, idleTimeoutMs, deadline }
+ * @param {string} system - System prompt
+ * @param {Array} messages - [{ role, content }, ...]
+ * @param {Object} handlers - { onStart(), onText(text) }
+ * @returns {Object} - { ok, status, data, errorData, retryAfter }
+ */
+async function streamOpenAiCompatible(options, system, messages, { onStart = () => {}, onText = () => {} } = {}) {
+  let request;
+  try {
+    request = await postChatCompletion(options, system, messages, true);
+  } catch (error) {
+    return failureFromError(error);
+  }
+  const { response } = request;
+
+  if (!response.ok) {
+    request.clearTimeout();
+    return failureFromResponse(response);
+  }
+
+  const stillAlive = () => request.restartTimeout(untilDeadline(options.idleTimeoutMs, options.deadline));
+  stillAlive();
+
+  let started = false;
+  const start = () => {
+    if (!started) onStart();
+    started = true;
+  };
+
+  let text = '';
+  let model = options.model;
+  let finishReason = null;
+
+  try {
+    // "data: [DONE]" isn't JSON, so readServerSentEvents() skips it
+    for await (const { data: chunk } of readServerSentEvents(response.body, { onChunk: stillAlive })) {
+      const choice = chunk.choices?.[0];
+      model = chunk.model || model;
+      if (choice?.delta?.content) {
+        start();
+        text += choice.delta.content;
+        onText(choice.delta.content);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+    }
+  } catch (error) {
+    return failureFromStreamError(error);
+  } finally {
+    request.clearTimeout();
+  }
+
+  start();
+  return { ok: true, status: response.status, data: toMessage(text, model, finishReason), errorData: null };
+}
+
+module.exports = {
+  callOpenAiCompatible,
+  streamOpenAiCompatible
+};
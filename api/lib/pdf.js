@@ -0,0 +1,261 @@
+/**
+ * Minimal PDF Writer
+ *
+ * TEACHING MOMENT: A PDF is a text-like file of numbered "objects"
+ * (catalog → pages → page → content stream) followed by a table of byte
+ * offsets so readers can jump to each object. For a report with text,
+ * boxes and lines we don't need a library or an external service - just
+ * the two fonts every PDF reader has built in (Helvetica and
+ * Helvetica-Bold) and a few drawing commands:
+ *
+ *   BT /F1 12 Tf 72 700 Td (Hello) Tj ET    draw text
+ *   72 600 200 40 re f                      fill a rectangle
+ *
+ * Coordinates here are in points (1/72 inch) from the TOP-left corner,
+ * like a web page - PDF itself counts from the bottom, so we flip them.
+ *
+ * Built-in fonts only cover Western European characters (WinAnsi): smart
+ * quotes and dashes are mapped, anything else (e.g. emoji) is dropped.
+ */
+
+const PAGE_WIDTH = 612;   // US Letter: 8.5in x 11in
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+  regular: { id: 'F1', name: 'Helvetica' },
+  bold: { id: 'F2', name: 'Helvetica-Bold' }
+};
+
+// Character widths (per 1000 units of font size) for ASCII 32-126, from
+// the standard Adobe font metrics - needed to wrap text ourselves
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// Unicode characters with a WinAnsi code outside Latin-1
+const WIN_ANSI = {
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '…': 0x85, '€': 0x80
+};
+
+/**
+ * Convert text to the single-byte characters the built-in fonts can show
+ *
+ * @param {string} text
+ * @returns {string} - One char per byte (write it out as 'latin1')
+ */
+function toWinAnsi(text) {
+  let output = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) output += String.fromCharCode(WIN_ANSI[char]);
+    else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) output += char;
+    else if (char === '\t' || char === '\n') output += ' ';
+    // Everything else (emoji, other scripts) can't be drawn - leave it out
+  }
+  return output;
+}
+
+/**
+ * How wide a line of text is, in points
+ *
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {string} font - 'regular' | 'bold'
+ * @returns {number}
+ */
+function measureText(text, size, font = 'regular') {
+  let units = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH;
+  }
+  return units * size / 1000;
+}
+
+/**
+ * Break text into lines that fit a width (words longer than a line are
+ * left whole - they overflow rather than get cut)
+ *
+ * @param {string} text
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @param {string} font - 'regular' | 'bold'
+ * @returns {Array} - Lines of text
+ */
+function wrapText(text, width, size, font = 'regular') {
+  const lines = [];
+  for (const paragraph of String(text).split(/\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, size, font) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Escape the characters that end or break a PDF string
+const escapeString = text => text.replace(/[\\()]/g, match => `\\${match}`);
+
+// '#7c3aed' → '0.486 0.227 0.929' (PDF colors are 0-1 per channel)
+function toRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 255, value & 255].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+const num = value => Number(value.toFixed(2));
+
+/**
+ * Start a new PDF document
+ *
+ * Usage:
+ *   const doc = createPdfDocument({ title: 'My report' });
+ *   doc.addPage();
+ *   doc.rect(0, 0, doc.width, 80, { fill: '#7c3aed' });
+ *   doc.text('Hello', 72, 50, { size: 24, font: 'bold', color: '#ffffff' });
+ *   const buffer = doc.toBuffer();
+ *
+ * @param {Object} info - { title, author } for the file's properties
+ * @returns {Object} - Drawing methods (all coordinates from the top-left)
+ */
+function createPdfDocument(info = {}) {
+  const pages = [];
+  let current = null;
+
+  const requirePage = () => {
+    if (!current) throw new Error('Call addPage() before drawing');
+    return current;
+  };
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return pages.length;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    // Go back to an earlier page (1-based), e.g. to add page numbers at the end
+    setPage(number) {
+      if (!pages[number - 1]) throw new Error(`No page ${number}`);
+      current = pages[number - 1];
+    },
+
+    /**
+     * Draw one line of text; y is the text's baseline
+     * @param {Object} options - { size = 11, font = 'regular', color = '#111827' }
+     */
+    text(text, x, y, { size = 11, font = 'regular', color = '#111827' } = {}) {
+      requirePage().push(
+        `BT ${toRgb(color)} rg /${FONTS[font].id} ${size} Tf ${num(x)} ${num(PAGE_HEIGHT - y)} Td (${escapeString(toWinAnsi(text))}) Tj ET`
+      );
+    },
+
+    /**
+     * Draw a rectangle (x, y is its top-left corner)
+     * @param {Object} options - { fill, stroke, lineWidth = 1 } colors as '#rrggbb'
+     */
+    rect(x, y, width, height, { fill, stroke, lineWidth = 1 } = {}) {
+      const parts = [];
+      if (fill) parts.push(`${toRgb(fill)} rg`);
+      if (stroke) parts.push(`${toRgb(stroke)} RG ${lineWidth} w`);
+      parts.push(`${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re`);
+      parts.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+      requirePage().push(parts.join(' '));
+    },
+
+    /**
+     * Draw a straight line
+     * @param {Object} options - { color = '#d1d5db', lineWidth = 1 }
+     */
+    line(x1, y1, x2, y2, { color = '#d1d5db', lineWidth = 1 } = {}) {
+      requirePage().push(
+        `${toRgb(color)} RG ${lineWidth} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+      );
+    },
+
+    measureText,
+    wrapText,
+
+    /**
+     * Assemble the finished file
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      if (pages.length === 0) this.addPage();
+
+      // Object numbers: 1 catalog, 2 page list, 3-4 fonts, 5 info,
+      // then a page object and a content stream for each page
+      const objects = [];
+      const pageIds = pages.map((page, index) => 6 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.name} /Encoding /WinAnsiEncoding >>`;
+      objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.name} /Encoding /WinAnsiEncoding >>`;
+      objects[5] = `<< /Title (${escapeString(toWinAnsi(info.title || ''))}) /Author (${escapeString(toWinAnsi(info.author || ''))}) /Producer (Data Analyst Bootcamp) >>`;
+
+      pages.forEach((commands, index) => {
+        const pageId = pageIds[index];
+        const content = commands.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+          + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+      });
+
+      // TEACHING MOMENT: The xref table lists where each object starts, in
+      // BYTES - so every piece is measured as the bytes we'll write
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+}
+
+module.exports = {
+  createPdfDocument,
+  measureText,
+  wrapText,
+  toWinAnsi
+};
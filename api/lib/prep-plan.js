@@ -0,0 +1,235 @@
+/**
+ * Personalized Prep Plan
+ *
+ * TEACHING MOMENT: "Need Foundation Work - 4-6 weeks" tells a student HOW
+ * LONG, but not WHAT to do. The prep plan turns their weak pillars into a
+ * week-by-week schedule:
+ *
+ *   1. Every pillar that isn't green gets the resources listed for its
+ *      level in resources/milestone-N.json (e.g. reading WEAK → 3 items)
+ *   2. The worst pillars come first (red, then orange, then yellow)
+ *   3. The total hours are spread over a number of weeks that fits the
+ *      readiness level's prep time - never fewer weeks than it promises,
+ *      never more
+ *
+ * Each resource catalog looks like:
+ *   { "milestone": "milestone-0", "hoursPerWeek": 6,
+ *     "pillars": { "numeracy": { "GAP": [
+ *       { "id": "num-gap-arithmetic", "title": "...", "type": "course",
+ *         "hours": 12, "url": "https://..." } ] } } }
+ *
+ * hoursPerWeek is how much study time we plan for a student with a job;
+ * the plan goes below it when the readiness level allows more weeks.
+ */
+
+const CATALOG_LIST = require('./resources/index.js');
+const { getMilestone } = require('./rubric.js');
+
+const TYPES = ['course', 'video', 'article', 'practice'];
+
+// Worst first - the order pillars appear in the plan
+const COLOR_ORDER = ['red', 'orange', 'yellow'];
+
+/**
+ * Check a resource catalog against its milestone
+ *
+ * @param {Object} catalog - One parsed resources file
+ * @param {Object} rubric - The milestone it belongs to
+ * @returns {Array} - Error messages (empty if the catalog is valid)
+ */
+function validateResourceCatalog(catalog, rubric) {
+  const errors = [];
+  const pillars = catalog.pillars && typeof catalog.pillars === 'object' ? catalog.pillars : {};
+
+  if (typeof catalog.hoursPerWeek !== 'number' || catalog.hoursPerWeek <= 0) {
+    errors.push('hoursPerWeek must be a number > 0');
+  }
+
+  for (const key of Object.keys(pillars)) {
+    if (!rubric.pillars.some(pillar => pillar.key === key)) {
+      errors.push(`pillar "${key}" is not in the milestone`);
+    }
+  }
+
+  const ids = new Set();
+  for (const pillar of rubric.pillars) {
+    const levels = pillars[pillar.key] || {};
+    const bandLevels = pillar.bands.map(band => band.level);
+
+    for (const level of Object.keys(levels)) {
+      if (!bandLevels.includes(level)) {
+        errors.push(`pillar "${pillar.key}": level "${level}" must be one of ${bandLevels.join(', ')}`);
+      }
+    }
+
+    // Every level a student can be sent to prep for needs something to do
+    for (const band of pillar.bands.filter(band => band.color !== 'green')) {
+      const resources = levels[band.level];
+      if (!Array.isArray(resources) || resources.length === 0) {
+        errors.push(`pillar "${pillar.key}": level "${band.level}" needs at least one resource`);
+        continue;
+      }
+
+      for (const resource of resources) {
+        const where = `resource "${resource.id}"`;
+        if (typeof resource.id !== 'string' || !/^[a-z0-9-]+$/.test(resource.id)) {
+          errors.push(`${where}: id must be lowercase letters, numbers or "-"`);
+        }
+        if (ids.has(resource.id)) errors.push(`${where}: duplicate id`);
+        ids.add(resource.id);
+
+        if (typeof resource.title !== 'string' || !resource.title.trim()) {
+          errors.push(`${where}: title is required`);
+        }
+        if (!TYPES.includes(resource.type)) {
+          errors.push(`${where}: type must be ${TYPES.join(', ')}`);
+        }
+        if (typeof resource.hours !== 'number' || resource.hours <= 0) {
+          errors.push(`${where}: hours must be a number > 0`);
+        }
+        if (resource.url !== undefined && !/^https:\/\/\S+$/.test(resource.url)) {
+          errors.push(`${where}: url must start with https://`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Check every catalog once, when this module is first loaded
+const CATALOGS = {};
+for (const file of CATALOG_LIST) {
+  const rubric = getMilestone(file.milestone);
+  const catalogErrors = rubric ? validateResourceCatalog(file, rubric) : [`milestone "${file.milestone}" does not exist`];
+  if (CATALOGS[file.milestone]) catalogErrors.push('milestone already has a resource catalog');
+  if (catalogErrors.length > 0) {
+    throw new Error(`Invalid resource catalog for "${file.milestone}": ${catalogErrors.join('; ')}`);
+  }
+
+  CATALOGS[file.milestone] = file;
+}
+
+/**
+ * Look up the resource catalog for a milestone
+ *
+ * @param {string} milestoneId - e.g. 'milestone-0'
+ * @returns {Object|null} - The catalog, or null if the milestone has none
+ */
+function getResourceCatalog(milestoneId) {
+  return Object.prototype.hasOwnProperty.call(CATALOGS, milestoneId) ? CATALOGS[milestoneId] : null;
+}
+
+/**
+ * Read a prep time from the rubric as a range of weeks
+ *
+ * '0 weeks' → { 0, 0 }, '1 week' → { 1, 1 }, '4-6 weeks' → { 4, 6 },
+ * '6-12 months' → { 24, 48 } (a month counts as 4 weeks)
+ *
+ * @param {string} text - A readiness level's prepTime
+ * @returns {Object|null} - { minWeeks, maxWeeks }, or null if it can't be read
+ */
+function parsePrepTime(text) {
+  const match = String(text || '').match(/^\s*(\d+)(?:\s*-\s*(\d+))?\s*(weeks?|months?)\s*$/i);
+  if (!match) return null;
+
+  const perUnit = /^month/i.test(match[3]) ? 4 : 1;
+  const min = parseInt(match[1], 10) * perUnit;
+  const max = parseInt(match[2] || match[1], 10) * perUnit;
+  return { minWeeks: Math.min(min, max), maxWeeks: Math.max(min, max) };
+}
+
+// 4.333 → 4.3 (hours are estimates; one decimal is plenty)
+const roundHours = hours => Math.round(hours * 10) / 10;
+
+/**
+ * Build a week-by-week prep plan from a student's results
+ *
+ * TEACHING MOMENT: Resources are laid end to end and cut into equal weeks,
+ * so a 12-hour course can start in week 1 and finish in week 3 - the
+ * later weeks list it again with continued: true.
+ *
+ * @param {Object} results - Reconciled results (pillars with score/level/color)
+ * @param {Object} rubric - The milestone the results belong to
+ * @param {Object} catalog - From getResourceCatalog() (defaults to the milestone's)
+ * @returns {Object|null} - { prepTime, totalHours, hoursPerWeek, weeks: [{ week, hours,
+ *   items: [{ pillar, pillarName, id, title, type, url, hours, continued }] }] },
+ *   or null if the milestone has no catalog. weeks is empty when no prep is needed.
+ */
+function buildPrepPlan(results, rubric, catalog = getResourceCatalog(rubric.id)) {
+  if (!catalog || !results || !results.pillars) return null;
+
+  const readiness = rubric.readinessLevels.find(level => level.level === results.readiness_level);
+  const prepTime = readiness ? readiness.prepTime : results.estimated_prep_time || null;
+  const range = parsePrepTime(prepTime) || { minWeeks: 1, maxWeeks: Infinity };
+
+  // Weak pillars, worst color first, then lowest share of the max score
+  const gaps = rubric.pillars
+    .map(pillar => ({ pillar, result: results.pillars[pillar.key] }))
+    .filter(({ result }) => result && COLOR_ORDER.includes(result.color))
+    .sort((a, b) => COLOR_ORDER.indexOf(a.result.color) - COLOR_ORDER.indexOf(b.result.color)
+      || a.result.score / a.pillar.max - b.result.score / b.pillar.max);
+
+  const queue = [];
+  for (const { pillar, result } of gaps) {
+    const resources = (catalog.pillars[pillar.key] || {})[result.level] || [];
+    for (const resource of resources) {
+      queue.push({ pillar: pillar.key, pillarName: pillar.name, ...resource });
+    }
+  }
+
+  const totalHours = queue.reduce((sum, item) => sum + item.hours, 0);
+  if (totalHours === 0 || range.maxWeeks === 0) {
+    return { prepTime, totalHours: 0, hoursPerWeek: 0, weeks: [] };
+  }
+
+  const weekCount = Math.min(range.maxWeeks, Math.max(range.minWeeks, 1, Math.ceil(totalHours / catalog.hoursPerWeek)));
+  const perWeek = totalHours / weekCount;
+
+  // Each item covers [start, end) of the total hours; week N covers
+  // [(N-1) * perWeek, N * perWeek). Their overlap is that week's share.
+  const weeks = [];
+  let start = 0;
+  const spans = queue.map(item => {
+    const span = { item, start, end: start + item.hours };
+    start = span.end;
+    return span;
+  });
+
+  for (let week = 1; week <= weekCount; week++) {
+    const weekStart = (week - 1) * perWeek;
+    const weekEnd = week * perWeek;
+    const items = [];
+
+    for (const { item, start: itemStart, end: itemEnd } of spans) {
+      const hours = Math.min(itemEnd, weekEnd) - Math.max(itemStart, weekStart);
+      if (hours < 0.05) continue;
+      items.push({
+        pillar: item.pillar,
+        pillarName: item.pillarName,
+        id: item.id,
+        title: item.title,
+        type: item.type,
+        url: item.url || null,
+        hours: roundHours(hours),
+        continued: itemStart < weekStart - 0.05
+      });
+    }
+
+    weeks.push({ week, hours: roundHours(perWeek), items });
+  }
+
+  return {
+    prepTime,
+    totalHours: roundHours(totalHours),
+    hoursPerWeek: roundHours(perWeek),
+    weeks
+  };
+}
+
+module.exports = {
+  validateResourceCatalog,
+  getResourceCatalog,
+  parsePrepTime,
+  buildPrepPlan
+};
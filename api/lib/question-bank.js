@@ -0,0 +1,416 @@
+/**
+ * Question Bank & Auto-Grading
+ *
+ * TEACHING MOMENT: "What is 10% of 200?" has exactly one right answer, so
+ * why ask the model to keep count? For pillars with bank questions the
+ * server does the work instead:
+ *
+ *   1. It picks the next question (see adaptive.js for how hard it should
+ *      be) and tells the model to ask it word for word
+ *   2. It grades the student's reply against the accepted answers
+ *   3. It stores one record per answer (question_answers table)
+ *   4. It scores those pillars from the records, ignoring the model's tally
+ *
+ * Open-ended pillars (communication, mindset) have no bank questions and
+ * are still assessed by the model.
+ *
+ * Each question in question-bank/*.json looks like:
+ *   { "id": "num-01", "pillar": "numeracy", "difficulty": 1,
+ *     "type": "number", "prompt": "What is 10% of 200?",
+ *     "answers": [20], "tolerance": 0 }
+ *
+ * type "number": the student's number must be within tolerance of an answer
+ * type "text":   the student's reply must contain one of the answers
+ *                (whole words, ignoring case and punctuation) - and not
+ *                negated ("it did not go up") or hedged ("up or down")
+ *
+ * Text questions that offer a choice ("increase or decrease?", "yes or
+ * no") also list the wrong choices, so the one the student picked counts:
+ *   "answers": ["increase", ...], "distractors": ["decrease", ...]
+ * Keep distractors specific - a common word like "on" or "less" turns up
+ * in right answers too ("cancelled, based on the rule").
+ *
+ * A bank file may also have an "adaptive" section, e.g.
+ *   "adaptive": { "startDifficulty": 2, "minQuestions": 3 }
+ */
+
+const BANK_LIST = require('./question-bank/index.js');
+const { getMilestone } = require('./rubric.js');
+const { validateAdaptiveSettings, nextStep, chooseQuestion } = require('./adaptive.js');
+
+const TYPES = ['number', 'text'];
+const DIFFICULTIES = [1, 2, 3];
+
+// 'Ctrl+C!' → 'ctrl c'
+const normalizeText = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Check a question bank against its milestone
+ *
+ * @param {Object} bank - One parsed question-bank file
+ * @param {Object} rubric - The milestone it belongs to
+ * @returns {Array} - Error messages (empty if the bank is valid)
+ */
+function validateQuestionBank(bank, rubric) {
+  const errors = [];
+  const pillarKeys = rubric.pillars.map(pillar => pillar.key);
+  const questions = Array.isArray(bank.questions) ? bank.questions : [];
+  if (questions.length === 0) errors.push('questions must be a non-empty list');
+
+  errors.push(...validateAdaptiveSettings(bank.adaptive || {}));
+
+  const ids = new Set();
+  for (const question of questions) {
+    const where = `question "${question.id}"`;
+    if (typeof question.id !== 'string' || !/^[a-z0-9-]+$/.test(question.id)) {
+      errors.push(`${where}: id must be lowercase letters, numbers or "-"`);
+    }
+    if (ids.has(question.id)) errors.push(`${where}: duplicate id`);
+    ids.add(question.id);
+
+    if (!pillarKeys.includes(question.pillar)) {
+      errors.push(`${where}: pillar must be one of ${pillarKeys.join(', ')}`);
+    }
+    if (!DIFFICULTIES.includes(question.difficulty)) {
+      errors.push(`${where}: difficulty must be ${DIFFICULTIES.join(', ')}`);
+    }
+    if (typeof question.prompt !== 'string' || !question.prompt.trim()) {
+      errors.push(`${where}: prompt is required`);
+    }
+    if (!TYPES.includes(question.type)) {
+      errors.push(`${where}: type must be ${TYPES.join(' or ')}`);
+    }
+
+    const answers = Array.isArray(question.answers) ? question.answers : [];
+    const answerType = question.type === 'number' ? 'number' : 'string';
+    if (answers.length === 0 || answers.some(answer => typeof answer !== answerType || answer === '')) {
+      errors.push(`${where}: answers must be a non-empty list of ${answerType}s`);
+    }
+    if (question.type === 'number' && !(typeof question.tolerance === 'number' && question.tolerance >= 0)) {
+      errors.push(`${where}: tolerance must be a number >= 0`);
+    }
+
+    if (question.distractors !== undefined) {
+      const distractors = Array.isArray(question.distractors) ? question.distractors : [];
+      if (question.type !== 'text') {
+        errors.push(`${where}: only text questions can have distractors`);
+      } else if (distractors.length === 0 || distractors.some(wrong => typeof wrong !== 'string' || wrong === '')) {
+        errors.push(`${where}: distractors must be a non-empty list of strings`);
+      } else if (distractors.some(wrong => answers.some(answer => normalizeText(answer) === normalizeText(wrong)))) {
+        errors.push(`${where}: a distractor can't also be an answer`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Check every bank once, when this module is first loaded
+const BANKS = {};
+for (const file of BANK_LIST) {
+  const rubric = getMilestone(file.milestone);
+  const bankErrors = rubric ? validateQuestionBank(file, rubric) : [`milestone "${file.milestone}" does not exist`];
+  if (BANKS[file.milestone]) bankErrors.push('milestone already has a question bank');
+  if (bankErrors.length > 0) {
+    throw new Error(`Invalid question bank for "${file.milestone}": ${bankErrors.join('; ')}`);
+  }
+
+  BANKS[file.milestone] = {
+    milestone: file.milestone,
+    questions: file.questions,
+    adaptive: file.adaptive || {},
+    questionsById: new Map(file.questions.map(question => [question.id, question]))
+  };
+}
+
+/**
+ * Look up the question bank for a milestone
+ *
+ * @param {string} milestoneId - e.g. 'milestone-0'
+ * @returns {Object|null} - { milestone, questions, adaptive, questionsById }, or null
+ *   if the model scores every pillar of this milestone
+ */
+function getQuestionBank(milestoneId) {
+  return Object.prototype.hasOwnProperty.call(BANKS, milestoneId) ? BANKS[milestoneId] : null;
+}
+
+// '$1,200 or .5' → [1200, 0.5]
+// "didn't" / "didnt" → "did not", so negations are always the word "not"
+const expandNegations = text => String(text)
+  .replace(/\b(do|does|did|is|are|was|were|has|have|had|ca|wo|could|would|should)n['’]?t\b/gi, '$1 not');
+
+// Replies that admit not knowing are wrong answers, not clarifying questions
+const NON_ANSWERS = ['no idea', 'not sure', 'do not know', 'no clue', 'idk', 'dunno', 'unsure'];
+const NEGATIONS = ['not', 'never'];
+// How many words before a match a negation still applies to ("did not go up")
+const NEGATION_WINDOW = 3;
+
+// Does a negation come just before this point? ("not 9am", "did not go up")
+const isNegated = wordsBefore => wordsBefore.slice(-NEGATION_WINDOW).some(word => NEGATIONS.includes(word));
+
+// '1,200 and 3.5' → [{ value: 1200, negated: false }, { value: 3.5, negated: false }]
+function extractNumbers(text) {
+  const expanded = expandNegations(text);
+  return [...expanded.matchAll(/\d+(?:,\d{3})*(?:\.\d+)?|\.\d+/g)].map(match => ({
+    value: parseFloat(match[0].replace(/,/g, '')),
+    negated: isNegated(normalizeText(expanded.slice(0, match.index)).split(' '))
+  }));
+}
+
+/**
+ * Grade a student's reply to one bank question
+ *
+ * TEACHING MOMENT: Students show their working, so for number questions:
+ * - "22 / 4 = 5.5, so 6 days" → only what follows the last "=" counts,
+ *                               and its LAST number is the answer
+ * - "11am, not 9am"           → negated numbers are never the answer
+ * - "20, since 10% of 200"    → numbers copied from the question are
+ *                               skipped and the LAST number left is taken
+ * - "11am - 9am is weekdays"  → if every number is from the question,
+ *                               the student picked one: the FIRST they named
+ *
+ * A reply with no number at all ("what do you mean?") isn't graded - the
+ * question stays open and is asked again. Text questions work the same
+ * way (see gradeTextAnswer()).
+ *
+ * @param {Object} question - A bank question
+ * @param {string} reply - What the student typed
+ * @returns {boolean|null} - true/false, or null if there was no answer to grade
+ */
+function gradeAnswer(question, reply) {
+  if (question.type === 'number') {
+    if (extractNumbers(reply).length === 0) return null;
+
+    const stated = extractNumbers(String(reply).split('=').at(-1)).filter(n => !n.negated).map(n => n.value);
+    if (stated.length === 0) return false;
+
+    const fromQuestion = extractNumbers(question.prompt).map(n => n.value);
+    const own = stated.filter(n => !fromQuestion.includes(n));
+    const answer = own.length > 0 ? own.at(-1) : stated[0];
+    return question.answers.some(accepted => Math.abs(answer - accepted) <= question.tolerance + 1e-9);
+  }
+
+  return gradeTextAnswer(question, reply);
+}
+
+/**
+ * Where each phrase appears in a reply, and whether it's negated
+ *
+ * Where phrases overlap ("went up" and "up"), only the longest counts.
+ *
+ * @param {Array} words - The normalized reply, split into words
+ * @param {Array} phrases - Accepted answers or distractors
+ * @param {boolean} right - Stored on each match, so both kinds can be sorted together
+ * @returns {Array} - [{ start, end, negated, right }] one per occurrence
+ */
+function findPhrases(words, phrases, right) {
+  const found = [];
+  for (const phrase of phrases) {
+    const target = normalizeText(phrase).split(' ');
+    for (let i = 0; i + target.length <= words.length; i++) {
+      if (target.every((word, j) => words[i + j] === word)) {
+        found.push({ start: i, end: i + target.length, negated: isNegated(words.slice(0, i)), right });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Grade a reply to a text question
+ *
+ * TEACHING MOMENT: "Does the reply mention the answer?" is too generous -
+ * "it did not go up" mentions "up", and "increase or decrease" hedges
+ * between both. But mentioning a wrong choice isn't wrong either: "1/2 is
+ * larger than 1/4" and "https, because http isn't encrypted" are right.
+ * So we find the option the student CHOSE:
+ * - two choices joined by "or" ("http or https") is a hedge - wrong
+ * - otherwise it's the first option named without a negation
+ *
+ * Not graded (null, asked again): a question back ("what do you mean?"),
+ * or - for questions with choices - a reply naming none of them.
+ */
+function gradeTextAnswer(question, reply) {
+  const words = normalizeText(expandNegations(reply)).split(' ');
+  const padded = ` ${words.join(' ')} `;
+
+  if (NON_ANSWERS.some(phrase => padded.includes(` ${phrase} `))) return false;
+  if (String(reply).trim().endsWith('?')) return null;
+
+  const all = [
+    ...findPhrases(words, question.answers, true),
+    ...findPhrases(words, question.distractors || [], false)
+  ];
+  const mentions = all
+    .filter(match => !all.some(other => other !== match &&
+      other.start <= match.start && other.end >= match.end && other.end - other.start > match.end - match.start))
+    .sort((a, b) => a.start - b.start);
+  if (mentions.length === 0) {
+    return question.distractors ? null : false;
+  }
+
+  const hedged = mentions.some((match, i) => {
+    const next = mentions[i + 1];
+    return next && next.right !== match.right && words.slice(match.end, next.start).join(' ') === 'or';
+  });
+  if (hedged) return false;
+
+  const chosen = mentions.find(match => !match.negated);
+  return Boolean(chosen && chosen.right);
+}
+
+/**
+ * The most bank questions each pillar can ask in one assessment
+ *
+ * The milestone's "questions" count, or fewer if the bank is smaller.
+ * The adaptive engine may stop a pillar sooner.
+ *
+ * @returns {Array} - [{ pillar, questions, planned }] for pillars with bank questions
+ */
+function planPillars(bank, rubric) {
+  return rubric.pillars
+    .map(pillar => {
+      const questions = bank.questions.filter(question => question.pillar === pillar.key);
+      return { pillar, questions, planned: Math.min(pillar.questions, questions.length) };
+    })
+    .filter(entry => entry.planned > 0);
+}
+
+// The adaptive engine's decision for one pillar, given the answers so far
+function stepFor(bank, { pillar, planned }, answers) {
+  const mine = answers.filter(answer => answer.pillar === pillar.key);
+  return nextStep(mine, { planned, settings: bank.adaptive });
+}
+
+/**
+ * What the adaptive engine decides after the answers so far in one pillar
+ *
+ * chat.js saves this with each graded answer (question_answers.next_step).
+ *
+ * @param {Object} bank - From getQuestionBank()
+ * @param {Object} rubric - The milestone
+ * @param {Array} answers - [{ questionId, pillar, difficulty, correct }] so far
+ * @param {string} pillarKey - e.g. 'numeracy'
+ * @returns {Object} - { done, step, difficulty } (see adaptive.js)
+ */
+function getPillarStep(bank, rubric, answers, pillarKey) {
+  const entry = planPillars(bank, rubric).find(e => e.pillar.key === pillarKey);
+  return stepFor(bank, entry, answers);
+}
+
+/**
+ * Choose the next bank question to ask
+ *
+ * Pillars are covered in milestone order. Within a pillar, the adaptive
+ * engine decides how hard the next question should be (or that the
+ * pillar is finished); an unasked question of that difficulty is picked
+ * at random.
+ *
+ * @param {Object} bank - From getQuestionBank()
+ * @param {Object} rubric - The milestone
+ * @param {Array} answers - [{ questionId, pillar, difficulty, correct }] so far
+ * @param {Function} random - Returns 0 <= n < 1 (tests can pass their own)
+ * @returns {Object|null} - The question, or null when the bank is finished
+ */
+function pickNextQuestion(bank, rubric, answers, random = Math.random) {
+  const answered = new Set(answers.map(answer => answer.questionId));
+
+  for (const entry of planPillars(bank, rubric)) {
+    const step = stepFor(bank, entry, answers);
+    if (step.done) continue;
+
+    const remaining = entry.questions.filter(question => !answered.has(question.id));
+    return chooseQuestion(remaining, step.difficulty, random);
+  }
+  return null;
+}
+
+/**
+ * Score the bank pillars from the answer records
+ *
+ * score = correct / answered, scaled to the pillar's max. A pillar only
+ * gets a server score once the adaptive engine has finished it - if the
+ * model ended early, its own tally for that pillar is kept.
+ *
+ * @param {Object} bank - From getQuestionBank()
+ * @param {Object} rubric - The milestone
+ * @param {Array} answers - [{ questionId, pillar, difficulty, correct }]
+ * @returns {Object} - { numeracy: { correct, answered, planned, step, score }, ... }
+ *   (score is null while the pillar is unfinished)
+ */
+function scoreBankPillars(bank, rubric, answers) {
+  const scores = {};
+  for (const entry of planPillars(bank, rubric)) {
+    const { pillar, planned } = entry;
+    const mine = answers.filter(answer => answer.pillar === pillar.key);
+    const correct = mine.filter(answer => answer.correct).length;
+    const step = stepFor(bank, entry, answers);
+    scores[pillar.key] = {
+      correct,
+      answered: mine.length,
+      planned,
+      step: step.step,
+      score: step.done ? Math.round((correct / mine.length) * pillar.max) : null
+    };
+  }
+  return scores;
+}
+
+/**
+ * The per-turn instructions added to the system prompt
+ *
+ * TEACHING MOMENT: The model still runs the conversation - we just tell it,
+ * each turn, how the last answer was graded (so its feedback matches) and
+ * exactly which question to ask next.
+ *
+ * @param {Object} bank - From getQuestionBank()
+ * @param {Object} rubric - The milestone
+ * @param {Object} turn - { answers, graded, nextQuestion, repeating }
+ *   graded:     { question, correct } for the reply just graded, or null
+ *   repeating:  true if nextQuestion was asked but not answered yet
+ * @returns {string} - A "## QUESTION BANK" prompt section
+ */
+function buildQuestionPrompt(bank, rubric, { answers, graded, nextQuestion, repeating }) {
+  const plan = planPillars(bank, rubric);
+  const bankKeys = plan.map(entry => entry.pillar.key);
+  const names = list => list.map(pillar => pillar.name).join(', ');
+  const lines = [
+    '## QUESTION BANK',
+    `The server grades ${names(plan.map(entry => entry.pillar))} itself, using a fixed question bank. For these pillars, ask ONLY the question given below, word for word, one per message - never make up your own.`
+  ];
+
+  if (graded) {
+    lines.push(graded.correct
+      ? `Their last answer (to "${graded.question.prompt}") was CORRECT. Confirm it briefly.`
+      : `Their last answer (to "${graded.question.prompt}") was INCORRECT - an accepted answer is ${graded.question.answers[0]}. Explain it briefly and kindly.`);
+  }
+
+  if (nextQuestion) {
+    if (repeating) {
+      lines.push(`They haven't answered "${nextQuestion.prompt}" yet. Help if they're stuck, then ask it again.`);
+    }
+    const pillar = rubric.pillars.find(p => p.key === nextQuestion.pillar);
+    lines.push(`Next question (${pillar.name}): "${nextQuestion.prompt}"`);
+    return lines.join('\n\n');
+  }
+
+  const scores = scoreBankPillars(bank, rubric, answers);
+  const modelPillars = rubric.pillars.filter(pillar => !bankKeys.includes(pillar.key));
+  lines.push(`All question bank questions are done. Use these exact scores in the final results:\n${plan
+    .map(({ pillar }) => `- ${pillar.name}: ${scores[pillar.key].score}/${pillar.max}`)
+    .join('\n')}`);
+  if (modelPillars.length > 0) {
+    lines.push(`Now assess the remaining pillars (${names(modelPillars)}) yourself, then give the final results.`);
+  }
+  return lines.join('\n\n');
+}
+
+module.exports = {
+  validateQuestionBank,
+  getQuestionBank,
+  gradeAnswer,
+  getPillarStep,
+  pickNextQuestion,
+  scoreBankPillars,
+  buildQuestionPrompt
+};
@@ -0,0 +1,17 @@
+/**
+ * Question Bank List
+ *
+ * TEACHING MOMENT: A question bank holds the questions that have ONE right
+ * answer ("What is 10% of 200?"). The server asks them, grades them and
+ * scores their pillars itself - see question-bank.js. Pillars without bank
+ * questions (communication, mindset) are still assessed by the model.
+ *
+ * Each file names its milestone. A milestone without a bank file works
+ * exactly as before: the model scores every pillar.
+ *
+ * Like the milestones, files are listed by hand so Vercel's bundler can see them.
+ */
+
+module.exports = [
+  require('./milestone-0.json')
+];
@@ -0,0 +1,134 @@
+/**
+ * Rate Limiting
+ *
+ * TEACHING MOMENT: Every /api/chat request costs us money (a Claude API
+ * call). Without limits, one person with a script could drain our credits.
+ * We count requests per HASHED IP address and say "429 Too Many Requests"
+ * once a visitor goes over the limit.
+ *
+ * Two limits, both configurable with environment variables:
+ * - RATE_LIMIT_REQUESTS_PER_HOUR   chat messages per hour (default 100)
+ * - RATE_LIMIT_ASSESSMENTS_PER_DAY completed assessments per day (default 5)
+ *
+ * A full assessment is ~45 questions, so the hourly limit has to leave room
+ * for one honest student to finish in one sitting.
+ *
+ * The counters live in a "store". The default is SQLite (see db.js), but
+ * anything with the same increment()/peek() methods works - see
+ * createMemoryStore() below for the smallest possible example.
+ */
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+/**
+ * Read limits from environment variables (falling back to defaults)
+ *
+ * @returns {Object} - { requestsPerHour, assessmentsPerDay }
+ */
+function getLimitsFromEnv() {
+  const readInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+  };
+
+  return {
+    requestsPerHour: readInt('RATE_LIMIT_REQUESTS_PER_HOUR', 100),
+    assessmentsPerDay: readInt('RATE_LIMIT_ASSESSMENTS_PER_DAY', 5)
+  };
+}
+
+/**
+ * In-memory store
+ *
+ * Handy for local experiments. NOT for production on Vercel: each
+ * serverless instance would keep its own separate counts.
+ */
+function createMemoryStore() {
+  const buckets = new Map();
+
+  const read = (key, windowSeconds, now) => {
+    const bucket = buckets.get(key);
+    if (!bucket || now >= bucket.windowStart + windowSeconds) {
+      return { count: 0, windowStart: now };
+    }
+    return bucket;
+  };
+
+  return {
+    async increment(key, windowSeconds) {
+      const now = Math.floor(Date.now() / 1000);
+      const bucket = read(key, windowSeconds, now);
+      const updated = { count: bucket.count + 1, windowStart: bucket.windowStart };
+      buckets.set(key, updated);
+      return { count: updated.count, resetAt: updated.windowStart + windowSeconds };
+    },
+
+    async peek(key, windowSeconds) {
+      const now = Math.floor(Date.now() / 1000);
+      const bucket = read(key, windowSeconds, now);
+      return { count: bucket.count, resetAt: bucket.windowStart + windowSeconds };
+    }
+  };
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} store - { increment(key, windowSeconds), peek(key, windowSeconds) }
+ * @param {Object} limits - { requestsPerHour, assessmentsPerDay }
+ * @returns {Object} - { checkRequest, recordCompletion }
+ */
+function createRateLimiter(store, limits = getLimitsFromEnv()) {
+  const secondsUntil = resetAt => Math.max(1, resetAt - Math.floor(Date.now() / 1000));
+
+  return {
+    /**
+     * Count one chat request and decide whether to allow it
+     *
+     * @param {string} ipHash - Hashed client IP
+     * @param {Object} options - { newSession } true on the first turn
+     * @returns {Object} - { allowed, retryAfter, reason }
+     */
+    async checkRequest(ipHash, { newSession = false } = {}) {
+      // Only new assessments count against the daily limit, so a student
+      // who hits it can still finish the one they're already taking
+      if (newSession) {
+        const completed = await store.peek(`assessments:${ipHash}`, DAY_SECONDS);
+        if (completed.count >= limits.assessmentsPerDay) {
+          return {
+            allowed: false,
+            retryAfter: secondsUntil(completed.resetAt),
+            reason: `Limit: ${limits.assessmentsPerDay} completed assessments per day.`
+          };
+        }
+      }
+
+      const requests = await store.increment(`requests:${ipHash}`, HOUR_SECONDS);
+      if (requests.count > limits.requestsPerHour) {
+        return {
+          allowed: false,
+          retryAfter: secondsUntil(requests.resetAt),
+          reason: `Limit: ${limits.requestsPerHour} messages per hour.`
+        };
+      }
+
+      return { allowed: true, retryAfter: 0, reason: null };
+    },
+
+    /**
+     * Count one completed assessment
+     *
+     * @param {string} ipHash - Hashed client IP
+     */
+    async recordCompletion(ipHash) {
+      await store.increment(`assessments:${ipHash}`, DAY_SECONDS);
+    }
+  };
+}
+
+module.exports = {
+  getLimitsFromEnv,
+  createMemoryStore,
+  createRateLimiter
+};
@@ -0,0 +1,100 @@
+/**
+ * Receipt Tokens (a student's own record)
+ *
+ * TEACHING MOMENT: The Five C's promise CONTROL - so a student who shared
+ * their results must be able to see exactly what we kept, take a copy,
+ * and take it back. There are no accounts, so every saved assessment
+ * comes with a RECEIPT TOKEN instead:
+ *
+ *   rcp_<32 random bytes>   shown to the student once, kept in their browser
+ *   sha256(token)           stored as assessments.receipt_hash
+ *
+ * Like learner tokens, the database only ever sees the hash. Whoever holds
+ * the token can read and delete the record (and download its PDF report,
+ * api/report.js), so it travels in a header, never in the URL.
+ *
+ * Deleting is a real DELETE of every row about that assessment - scores,
+ * answers, transcript, session - so it disappears from the CSV export,
+ * analytics, benchmarks and attempt history at the same moment.
+ */
+
+const crypto = require('crypto');
+
+const RECEIPT_TOKEN_PATTERN = /^rcp_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Create a new receipt token
+ *
+ * @returns {string} - e.g. 'rcp_Xk3...' (47 characters)
+ */
+function createReceiptToken() {
+  return `rcp_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Is this a well-formed receipt token?
+ *
+ * @param {*} value - Anything the browser sent
+ * @returns {boolean}
+ */
+function isReceiptToken(value) {
+  return typeof value === 'string' && RECEIPT_TOKEN_PATTERN.test(value);
+}
+
+/**
+ * The receipt_hash stored for a token
+ *
+ * @param {string} token - From createReceiptToken()
+ * @returns {string} - 64-character hex hash
+ */
+function hashReceiptToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Lay out a stored record for the student to read or download
+ *
+ * TEACHING MOMENT: Everything we hold about the assessment is included -
+ * even the IP hash - except the hashes of the student's own tokens, which
+ * are only useful to an attacker.
+ *
+ * @param {Object} record - From getOwnRecord()
+ * @returns {Object} - { assessment, scores, answers, transcript }
+ */
+function formatOwnRecord({ assessment, scores, answers, transcript }) {
+  return {
+    assessment: {
+      sessionId: assessment.session_id,
+      completedAt: assessment.timestamp,
+      milestone: assessment.milestone,
+      promptVersion: assessment.prompt_version,
+      cohort: assessment.cohort,
+      readinessLevel: assessment.readiness_level,
+      readinessTitle: assessment.readiness_title,
+      ipHash: assessment.user_ip_hash,
+      ipHashKeyVersion: assessment.ip_hash_key_version,
+      consentGiven: Boolean(assessment.consent_given),
+      progressTracking: Boolean(assessment.learner_id),
+      emailConsent: Boolean(assessment.email_consent),
+      emailsSent: assessment.emails_sent,
+      results: assessment.results_json ? JSON.parse(assessment.results_json) : null
+    },
+    scores: scores.map(row => ({ pillar: row.pillar, score: row.score, max: row.max_score })),
+    answers: answers.map(row => ({
+      questionId: row.question_id,
+      pillar: row.pillar,
+      difficulty: row.difficulty,
+      answer: row.answer,
+      correct: Boolean(row.correct),
+      answeredAt: row.answered_at
+    })),
+    transcript: transcript.map(row => ({ role: row.role, content: row.content, timestamp: row.timestamp }))
+  };
+}
+
+module.exports = {
+  createReceiptToken,
+  isReceiptToken,
+  hashReceiptToken,
+  formatOwnRecord
+};
@@ -0,0 +1,173 @@
+/**
+ * Results Report (PDF)
+ *
+ * TEACHING MOMENT: The results dashboard disappears when the student
+ * closes the tab. This turns the same results - readiness, pillar cards,
+ * strengths, areas to develop, next steps - into a printable PDF they
+ * can keep or share with an advisor. It's drawn with our own small PDF
+ * writer (lib/pdf.js), so nothing leaves the server.
+ *
+ * The layout works like a typewriter: a cursor moves down the page, and
+ * when the next block doesn't fit we start a new page.
+ */
+
+const { createPdfDocument } = require('./pdf.js');
+
+const MARGIN = 54;
+const FOOTER_SPACE = 40;
+
+// Same palette as the results dashboard in index.html
+const COLORS = {
+  brand: '#7c3aed',
+  brandDark: '#4f46e5',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#e5e7eb',
+  panel: '#f9fafb',
+  green: '#10b981',
+  yellow: '#f59e0b',
+  orange: '#f97316',
+  red: '#ef4444'
+};
+
+/**
+ * Render an assessment's results as a PDF
+ *
+ * @param {Object} report - {
+ *   results: the saved results (as shown on the dashboard),
+ *   milestone: the milestone's rubric, or null if it no longer exists,
+ *   completedAt: timestamp the assessment was saved
+ * }
+ * @returns {Buffer} - The PDF file
+ */
+function renderResultsReport({ results, milestone, completedAt }) {
+  const milestoneName = milestone ? milestone.name : 'Assessment';
+  const doc = createPdfDocument({ title: `${milestoneName} - Results`, author: 'Data Analyst Bootcamp' });
+  const contentWidth = doc.width - MARGIN * 2;
+  const date = String(completedAt || '').substring(0, 10);
+  let y = 0;
+
+  const newPage = () => {
+    doc.addPage();
+    // Brand band across the top of every page
+    doc.rect(0, 0, doc.width, 36, { fill: COLORS.brand });
+    doc.text('DATA ANALYST BOOTCAMP', MARGIN, 23, { size: 10, font: 'bold', color: '#ffffff' });
+    y = 66;
+  };
+  const ensureSpace = height => {
+    if (y + height > doc.height - MARGIN - FOOTER_SPACE) newPage();
+  };
+
+  // Wrapped paragraph at the cursor
+  const paragraph = (text, { size = 11, font = 'regular', color = COLORS.text, indent = 0 } = {}) => {
+    const lineHeight = size * 1.4;
+    for (const line of doc.wrapText(text, contentWidth - indent, size, font)) {
+      ensureSpace(lineHeight);
+      y += lineHeight;
+      doc.text(line, MARGIN + indent, y, { size, font, color });
+    }
+  };
+  const heading = text => {
+    ensureSpace(40);
+    y += 24;
+    doc.text(text, MARGIN, y, { size: 14, font: 'bold', color: COLORS.brandDark });
+    y += 4;
+  };
+  const bullets = (items, marker) => {
+    for (const item of items) {
+      const lines = doc.wrapText(item, contentWidth - 18, 11);
+      ensureSpace(lines.length * 15.4);
+      lines.forEach((line, index) => {
+        y += 15.4;
+        if (index === 0) doc.text(marker, MARGIN + 2, y, { size: 11, font: 'bold', color: COLORS.brand });
+        doc.text(line, MARGIN + 18, y, { size: 11 });
+      });
+    }
+  };
+
+  newPage();
+
+  // Title
+  doc.text(milestoneName, MARGIN, y + 8, { size: 22, font: 'bold' });
+  y += 30;
+  if (milestone && milestone.subtitle) {
+    doc.text(milestone.subtitle, MARGIN, y, { size: 11, color: COLORS.muted });
+    y += 16;
+  }
+  if (date) {
+    doc.text(`Assessment completed ${date}`, MARGIN, y, { size: 10, color: COLORS.muted });
+    y += 10;
+  }
+
+  // Readiness
+  y += 14;
+  doc.rect(MARGIN, y, contentWidth, 58, { fill: '#f5f3ff', stroke: '#ddd6fe' });
+  doc.text(`Readiness level ${results.readiness_level}`, MARGIN + 16, y + 22, { size: 10, font: 'bold', color: COLORS.brand });
+  doc.text(results.readiness_title || '', MARGIN + 16, y + 44, { size: 18, font: 'bold' });
+  if (results.estimated_prep_time) {
+    const prep = `Estimated prep time: ${results.estimated_prep_time}`;
+    doc.text(prep, MARGIN + contentWidth - 16 - doc.measureText(prep, 10), y + 22, { size: 10, color: COLORS.muted });
+  }
+  y += 58;
+
+  if (results.overall_message) {
+    y += 8;
+    paragraph(results.overall_message);
+  }
+
+  // Pillar cards: name, level, score, color bar
+  heading('Your Skills');
+  const pillars = milestone
+    ? milestone.pillars.filter(pillar => results.pillars[pillar.key])
+    : Object.keys(results.pillars).map(key => ({ key, name: key, max: null }));
+  const cardWidth = (contentWidth - 12) / 2;
+  pillars.forEach((pillar, index) => {
+    const column = index % 2;
+    if (column === 0) {
+      ensureSpace(52);
+      y += 10;
+    }
+    const data = results.pillars[pillar.key];
+    const x = MARGIN + column * (cardWidth + 12);
+    doc.rect(x, y, cardWidth, 42, { fill: COLORS.panel, stroke: COLORS.border });
+    doc.rect(x, y, 4, 42, { fill: COLORS[data.color] || COLORS.muted });
+    doc.text(pillar.name, x + 14, y + 17, { size: 11, font: 'bold' });
+    doc.text(data.level || '', x + 14, y + 33, { size: 9, font: 'bold', color: COLORS[data.color] || COLORS.muted });
+    if (pillar.max) {
+      const score = `${data.score}/${pillar.max}`;
+      doc.text(score, x + cardWidth - 12 - doc.measureText(score, 14, 'bold'), y + 27, { size: 14, font: 'bold' });
+    }
+    if (column === 1 || index === pillars.length - 1) y += 42;
+  });
+
+  if (results.strengths && results.strengths.length > 0) {
+    heading('Your Strengths');
+    bullets(results.strengths, '+');
+  }
+
+  if (results.areas_to_develop && results.areas_to_develop.length > 0) {
+    heading('Areas to Develop');
+    bullets(results.areas_to_develop, '>');
+  }
+
+  if (results.next_steps) {
+    heading('Next Steps');
+    paragraph(results.next_steps);
+  }
+
+  // Footer with page numbers, added last so we know the page count
+  const pageCount = doc.pageCount;
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.line(MARGIN, doc.height - MARGIN + 4, doc.width - MARGIN, doc.height - MARGIN + 4);
+    doc.text('Generated by the Data Analyst Bootcamp assessment', MARGIN, doc.height - MARGIN + 20, { size: 8, color: COLORS.muted });
+    const label = `Page ${page} of ${pageCount}`;
+    doc.text(label, doc.width - MARGIN - doc.measureText(label, 8), doc.height - MARGIN + 20, { size: 8, color: COLORS.muted });
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  renderResultsReport
+};
@@ -0,0 +1,16 @@
+/**
+ * Resource Catalog List
+ *
+ * TEACHING MOMENT: Each catalog file lists study resources for one
+ * milestone - per pillar, per score level, with estimated hours. The prep
+ * plan (prep-plan.js) picks the ones matching a student's weak pillars and
+ * spreads them over the weeks their readiness level allows.
+ *
+ * A milestone without a catalog file simply gets no prep plan.
+ *
+ * Like the milestones, files are listed by hand so Vercel's bundler can see them.
+ */
+
+module.exports = [
+  require('./milestone-0.json')
+];
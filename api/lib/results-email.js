@@ -0,0 +1,103 @@
+/**
+ * Results Email
+ *
+ * TEACHING MOMENT: The same results as the dashboard and the PDF report,
+ * written twice: as plain text (every mail app can show it) and as simple
+ * HTML with inline styles (mail apps ignore <style> sheets and scripts).
+ *
+ * Everything the model wrote is HTML-escaped - an "overall message"
+ * containing <script> must arrive as text, not as code.
+ */
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Same colors as the pillar cards in index.html
+const PILLAR_COLORS = { green: '#10b981', yellow: '#f59e0b', orange: '#f97316', red: '#ef4444' };
+
+/**
+ * Build the results email
+ *
+ * @param {Object} report - { results, milestone (rubric or null), completedAt }
+ * @returns {Object} - { subject, text, html }
+ */
+function buildResultsEmail({ results, milestone, completedAt }) {
+  const milestoneName = milestone ? milestone.name : 'Assessment';
+  const date = String(completedAt || '').substring(0, 10);
+  const pillars = (milestone
+    ? milestone.pillars.filter(pillar => results.pillars[pillar.key])
+    : Object.keys(results.pillars).map(key => ({ key, name: key, max: null })))
+    .map(pillar => ({ ...pillar, ...results.pillars[pillar.key] }));
+  const strengths = results.strengths || [];
+  const areas = results.areas_to_develop || [];
+
+  const subject = `Your ${milestoneName} results: ${results.readiness_title}`;
+
+  // ---- Plain text ----
+  const text = [
+    `${milestoneName} - your results${date ? ` (${date})` : ''}`,
+    '',
+    `Readiness: ${results.readiness_title} (level ${results.readiness_level})`,
+    results.estimated_prep_time ? `Estimated prep time: ${results.estimated_prep_time}` : null,
+    '',
+    results.overall_message || null,
+    results.overall_message ? '' : null,
+    'Your skills:',
+    ...pillars.map(pillar => `- ${pillar.name}: ${pillar.level}${pillar.max ? ` (${pillar.score}/${pillar.max})` : ''}`),
+    ...(strengths.length > 0 ? ['', 'Your strengths:', ...strengths.map(item => `- ${item}`)] : []),
+    ...(areas.length > 0 ? ['', 'Areas to develop:', ...areas.map(item => `- ${item}`)] : []),
+    ...(results.next_steps ? ['', 'Next steps:', results.next_steps] : []),
+    '',
+    '--',
+    'You asked us to email these results. We used your address only to send',
+    'this message - it is not stored and will never be used for marketing.'
+  ].filter(line => line !== null).join('\n');
+
+  // ---- HTML ----
+  const section = (title, body) => `
+    <h2 style="font-size:16px;color:#4f46e5;margin:24px 0 8px;">${escapeHtml(title)}</h2>
+    ${body}`;
+  const list = items => `<ul style="margin:0;padding-left:20px;">${items.map(item => `<li style="margin:4px 0;">${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f5f7fa;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+  <div style="max-width:600px;margin:0 auto;background:#ffffff;">
+    <div style="background:#7c3aed;color:#ffffff;padding:16px 24px;font-weight:bold;font-size:13px;letter-spacing:1px;">DATA ANALYST BOOTCAMP</div>
+    <div style="padding:24px;">
+      <h1 style="font-size:22px;margin:0 0 4px;">${escapeHtml(milestoneName)}</h1>
+      ${date ? `<p style="color:#6b7280;font-size:13px;margin:0 0 16px;">Assessment completed ${escapeHtml(date)}</p>` : ''}
+      <div style="background:#f5f3ff;border:1px solid #ddd6fe;border-radius:8px;padding:16px;">
+        <div style="color:#7c3aed;font-size:12px;font-weight:bold;">READINESS LEVEL ${escapeHtml(results.readiness_level)}</div>
+        <div style="font-size:20px;font-weight:bold;margin-top:4px;">${escapeHtml(results.readiness_title)}</div>
+        ${results.estimated_prep_time ? `<div style="color:#6b7280;font-size:13px;margin-top:4px;">Estimated prep time: ${escapeHtml(results.estimated_prep_time)}</div>` : ''}
+      </div>
+      ${results.overall_message ? `<p style="line-height:1.5;">${escapeHtml(results.overall_message)}</p>` : ''}
+      ${section('Your Skills', `<table style="width:100%;border-collapse:collapse;">${pillars.map(pillar => `
+        <tr>
+          <td style="padding:6px 8px;border-left:4px solid ${PILLAR_COLORS[pillar.color] || '#6b7280'};">${escapeHtml(pillar.name)}</td>
+          <td style="padding:6px 8px;color:#6b7280;font-size:13px;">${escapeHtml(pillar.level)}</td>
+          <td style="padding:6px 8px;text-align:right;font-weight:bold;">${pillar.max ? `${escapeHtml(pillar.score)}/${escapeHtml(pillar.max)}` : ''}</td>
+        </tr>`).join('')}
+      </table>`)}
+      ${strengths.length > 0 ? section('Your Strengths', list(strengths)) : ''}
+      ${areas.length > 0 ? section('Areas to Develop', list(areas)) : ''}
+      ${results.next_steps ? section('Next Steps', `<p style="line-height:1.5;margin:0;">${escapeHtml(results.next_steps)}</p>`) : ''}
+      <p style="color:#9ca3af;font-size:12px;margin-top:32px;border-top:1px solid #e5e7eb;padding-top:12px;">
+        You asked us to email these results. We used your address only to send this message -
+        it is not stored and will never be used for marketing.
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+module.exports = {
+  buildResultsEmail
+};
@@ -0,0 +1,74 @@
+/**
+ * Data Retention
+ *
+ * TEACHING MOMENT: "We only keep what we need" has to include "for as long
+ * as we need it". Two rules, both run by `npm run purge-data`:
+ *
+ * 1. IP hashes are only needed for rate limiting and spotting abuse, so
+ *    after RETENTION_IP_HASH_DAYS (default 30) they are cleared from
+ *    assessments and sessions, and old rate limit counters are deleted.
+ *
+ * 2. After RETENTION_MONTHS (default 24) whole assessments are either
+ *    - anonymized (RETENTION_ACTION=anonymize, the default): scores,
+ *      readiness level, cohort and rubric version stay for the statistics;
+ *      the transcript, stored results text and every token hash (learner,
+ *      receipt) are removed, so nothing links the row to a person
+ *    - deleted (RETENTION_ACTION=delete): every row about the assessment
+ *      goes, like a student deleting it themselves
+ *    Finished or expired sessions of the same age get the same treatment.
+ *    RETENTION_MONTHS=0 keeps assessments forever (rule 1 still applies).
+ *
+ * Every real purge is logged in purge_runs; --dry-run only reports.
+ */
+
+const ACTIONS = ['anonymize', 'delete'];
+const DEFAULT_IP_HASH_DAYS = 30;
+const DEFAULT_MONTHS = 24;
+
+/**
+ * Read the retention settings from the environment
+ *
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} - { ipHashDays, months (0 = keep forever), action }
+ */
+function getRetentionConfig(env = process.env) {
+  const ipHashDays = parseInt(env.RETENTION_IP_HASH_DAYS, 10);
+  const months = parseInt(env.RETENTION_MONTHS, 10);
+  return {
+    ipHashDays: Number.isInteger(ipHashDays) && ipHashDays > 0 ? ipHashDays : DEFAULT_IP_HASH_DAYS,
+    months: Number.isInteger(months) && months >= 0 ? months : DEFAULT_MONTHS,
+    action: ACTIONS.includes(env.RETENTION_ACTION) ? env.RETENTION_ACTION : 'anonymize'
+  };
+}
+
+// 'YYYY-MM-DD HH:MM:SS' (UTC), the format the timestamp columns use
+const toTimestamp = date => date.toISOString().replace('T', ' ').substring(0, 19);
+
+/**
+ * Work out what "too old" means right now
+ *
+ * @param {Object} config - From getRetentionConfig()
+ * @param {Date} now - Current time (tests can pass their own)
+ * @returns {Object} - { ipHashCutoff, rowCutoff (null when rows are kept), action }
+ *   as timestamps, e.g. '2025-03-01 09:30:00'
+ */
+function getRetentionCutoffs({ ipHashDays, months, action }, now = new Date()) {
+  const ipHashCutoff = new Date(now.getTime() - ipHashDays * 24 * 60 * 60 * 1000);
+
+  let rowCutoff = null;
+  if (months > 0) {
+    rowCutoff = new Date(now.getTime());
+    rowCutoff.setUTCMonth(rowCutoff.getUTCMonth() - months);
+  }
+
+  return {
+    ipHashCutoff: toTimestamp(ipHashCutoff),
+    rowCutoff: rowCutoff && toTimestamp(rowCutoff),
+    action
+  };
+}
+
+module.exports = {
+  getRetentionConfig,
+  getRetentionCutoffs
+};
@@ -0,0 +1,225 @@
+/**
+ * Assessment Rubrics (Milestone Registry)
+ *
+ * TEACHING MOMENT: Each milestone's pillars, example questions, score
+ * bands and readiness rules live in a JSON file in milestones/ - data,
+ * not code. Two things are built from that one file:
+ * - The system prompt the model follows (buildSystemPrompt below)
+ * - The scoring engine that checks the model's results (scoring.js)
+ * so the instructions and the checks can never drift apart.
+ *
+ * Changing a rubric:
+ * 1. Edit milestones/milestone-N.json
+ * 2. Bump its "version" (e.g. 'm0-v1' → 'm0-v2')
+ *
+ * Every saved assessment records its milestone and the version it was
+ * taken with (prompt_version), so analytics can compare cohorts before
+ * and after. Rows saved before versioning existed have prompt_version = NULL.
+ */
+
+const MILESTONE_LIST = require('./milestones/index.js');
+
+const COLORS = ['green', 'yellow', 'orange', 'red'];
+const VERSION_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Check a rubric for mistakes that would break scoring
+ *
+ * TEACHING MOMENT: A typo in a milestone file (bands out of order, a level
+ * number missing) would silently mis-score every student. We check the
+ * file when it's loaded, so a bad edit fails loudly on the first request
+ * instead.
+ *
+ * @param {Object} rubric - One parsed milestone file
+ * @returns {Array} - Error messages (empty if the rubric is valid)
+ */
+function validateRubric(rubric) {
+  const errors = [];
+
+  if (typeof rubric.id !== 'string' || !VERSION_PATTERN.test(rubric.id)) {
+    errors.push('id must be letters, numbers, ".", "_" or "-" (max 64)');
+  }
+  if (typeof rubric.version !== 'string' || !VERSION_PATTERN.test(rubric.version)) {
+    errors.push('version must be letters, numbers, ".", "_" or "-" (max 64)');
+  }
+
+  const pillars = Array.isArray(rubric.pillars) ? rubric.pillars : [];
+  if (pillars.length === 0) {
+    errors.push('pillars must be a non-empty list');
+  }
+
+  const keys = new Set();
+  for (const pillar of pillars) {
+    const where = `pillar "${pillar.key}"`;
+    if (typeof pillar.key !== 'string' || !/^[a-z_]+$/.test(pillar.key)) {
+      errors.push(`${where}: key must be lowercase letters or "_"`);
+    }
+    if (keys.has(pillar.key)) errors.push(`${where}: duplicate key`);
+    keys.add(pillar.key);
+
+    if (!Number.isInteger(pillar.max) || pillar.max < 1) {
+      errors.push(`${where}: max must be a positive whole number`);
+    }
+    if (!Number.isInteger(pillar.weakThreshold) || pillar.weakThreshold < 0 || pillar.weakThreshold > pillar.max) {
+      errors.push(`${where}: weakThreshold must be between 0 and max`);
+    }
+
+    // Bands are checked from the top down, so they must go from the
+    // highest min to 0 with no repeats
+    const bands = Array.isArray(pillar.bands) ? pillar.bands : [];
+    const mins = bands.map(band => band.min);
+    const descending = mins.every((min, i) => i === 0 || min < mins[i - 1]);
+    if (bands.length === 0 || !descending || mins[mins.length - 1] !== 0 || mins[0] > pillar.max) {
+      errors.push(`${where}: bands must go from the highest min down to min 0, all within max`);
+    }
+    for (const band of bands) {
+      if (!band.level || !COLORS.includes(band.color)) {
+        errors.push(`${where}: every band needs a level and a color (${COLORS.join('/')})`);
+        break;
+      }
+    }
+  }
+
+  const levels = Array.isArray(rubric.readinessLevels) ? rubric.readinessLevels : [];
+  if (levels.length === 0 || levels.some((level, i) => level.level !== i + 1)) {
+    errors.push('readinessLevels must be numbered 1, 2, 3... in order');
+  }
+  for (const level of levels) {
+    const conditions = Array.isArray(level.when) ? level.when : [];
+    if (!level.title || !level.prepTime) {
+      errors.push(`readiness level ${level.level}: title and prepTime are required`);
+    }
+    if (conditions.some(rule => !COLORS.includes(rule.color) || !Number.isInteger(rule.atLeast))) {
+      errors.push(`readiness level ${level.level}: each "when" rule needs a color and an atLeast count`);
+    }
+  }
+
+  return errors;
+}
+
+// Check every milestone once, when this module is first loaded
+const MILESTONES = {};
+for (const rubric of MILESTONE_LIST) {
+  const rubricErrors = validateRubric(rubric);
+  if (MILESTONES[rubric.id]) rubricErrors.push('id is used by another milestone');
+  if (rubricErrors.length > 0) {
+    throw new Error(`Invalid milestone "${rubric.id}": ${rubricErrors.join('; ')}`);
+  }
+  MILESTONES[rubric.id] = rubric;
+}
+
+// The first milestone in the list is used when none is requested
+const DEFAULT_MILESTONE_ID = MILESTONE_LIST[0].id;
+const RUBRIC = MILESTONES[DEFAULT_MILESTONE_ID];
+
+// The default milestone's version (stored on each row as prompt_version)
+const PROMPT_VERSION = RUBRIC.version;
+
+/**
+ * Look up a milestone by id
+ *
+ * @param {string} id - e.g. 'milestone-1' (defaults to the first milestone)
+ * @returns {Object|null} - The rubric, or null if there is no such milestone
+ */
+function getMilestone(id = DEFAULT_MILESTONE_ID) {
+  return Object.prototype.hasOwnProperty.call(MILESTONES, id) ? MILESTONES[id] : null;
+}
+
+/**
+ * All milestones, in registry order
+ *
+ * @returns {Array} - Rubric objects
+ */
+function listMilestones() {
+  return Object.values(MILESTONES);
+}
+
+// 'Green', 'Yellow'... for the prompt
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+// "9-10: STRONG (Green)" - each band runs from its min up to just below the band above
+function describeBands(pillar) {
+  return pillar.bands.map((band, i) => {
+    const top = i === 0 ? pillar.max : pillar.bands[i - 1].min - 1;
+    const range = top === band.min ? `${band.min}` : `${band.min}-${top}`;
+    return `- ${range}: ${band.level} (${capitalize(band.color)})`;
+  }).join('\n');
+}
+
+/**
+ * Generate the system prompt from a rubric
+ *
+ * @param {Object} rubric - A milestone rubric (defaults to the first milestone)
+ * @returns {string} - The full system prompt
+ */
+function buildSystemPrompt(rubric = RUBRIC) {
+  const { pillars } = rubric;
+  const totalQuestions = pillars.reduce((sum, pillar) => sum + pillar.questions, 0);
+  const fill = text => text.replace('{pillarCount}', pillars.length);
+
+  const pillarSections = pillars.map((pillar, i) => `### ${i + 1}. ${pillar.title.toUpperCase()} (${pillar.questions} questions)
+Test: ${pillar.tests}
+Examples:
+${pillar.examples.map(example => `- "${example}"`).join('\n')}
+
+Scoring:
+${describeBands(pillar)}`).join('\n\n');
+
+  const levelSections = rubric.readinessLevels.map(level => `**Level ${level.level}: ${level.title.toUpperCase()}** ${level.emoji}
+- ${level.description}
+- Action: ${level.action}`).join('\n\n');
+
+  const pillarFormat = pillars.map(pillar => {
+    const levels = pillar.bands.map(band => band.level).join('/');
+    return `    "${pillar.key}": {"score": X, "level": "${levels}", "color": "green/yellow/orange/red"}`;
+  }).join(',\n');
+
+  const levelRange = `1-${rubric.readinessLevels.length}`;
+  const titles = rubric.readinessLevels.map(level => level.title).join(' / ');
+  const prepTimes = rubric.readinessLevels.map(level => level.prepTime).join(' / ');
+
+  return `${rubric.intro}
+
+## YOUR ROLE
+${rubric.role.map(line => `- ${line}`).join('\n')}
+
+## ASSESSMENT STRUCTURE - ${pillars.length} PILLARS (${totalQuestions} questions total)
+
+${pillarSections}
+
+## CONVERSATION FLOW
+${rubric.conversationFlow.map((step, i) => `${i + 1}. ${fill(step)}`).join('\n')}
+
+## ${rubric.readinessLevels.length} READINESS LEVELS
+
+${levelSections}
+
+## FINAL OUTPUT FORMAT
+After completing all pillars, provide results as JSON:
+
+{
+  "assessment_complete": true,
+  "pillars": {
+${pillarFormat}
+  },
+  "readiness_level": ${levelRange},
+  "readiness_title": "${titles}",
+  "overall_message": "Encouraging summary",
+  "strengths": ["List strong areas"],
+  "areas_to_develop": ["Specific gaps"],
+  "next_steps": "Concrete action plan",
+  "estimated_prep_time": "${prepTimes}"
+}
+
+${rubric.closing}`;
+}
+
+module.exports = {
+  DEFAULT_MILESTONE_ID,
+  RUBRIC,
+  PROMPT_VERSION,
+  getMilestone,
+  listMilestones,
+  validateRubric,
+  buildSystemPrompt
+};
@@ -0,0 +1,199 @@
+/**
+ * Scoring Engine
+ *
+ * TEACHING MOMENT: The AI is great at conversation, but it isn't a reliable
+ * calculator. Given the same raw scores, this module ALWAYS returns the
+ * same pillar levels, colors and readiness level. /api/chat uses it to check
+ * (and correct) what the model wrote, and the scripts use the same pillar
+ * config so everything agrees on max scores and "struggling" thresholds.
+ *
+ * Pillars, score bands and readiness rules come from the milestone files
+ * (see rubric.js) - the same data the system prompt is generated from.
+ * Each band applies to scores >= min (checked from the highest band down).
+ *
+ * Every function takes an optional milestone rubric (from getMilestone());
+ * without one it scores the default milestone (Milestone 0).
+ */
+
+const { RUBRIC } = require('./rubric.js');
+
+/**
+ * The scoring config for one milestone
+ *
+ * @param {Object} rubric - A milestone from getMilestone()
+ * @returns {Object} - { pillars, pillarsByKey, readinessLevels }
+ *   pillars:         [{ key, name, max, weakThreshold, bands }] in assessment order
+ *                    (weakThreshold: a score at or below this counts as "struggling")
+ *   readinessLevels: [{ level, title, prepTime, when }] from most to least ready
+ */
+function getScoringConfig(rubric = RUBRIC) {
+  const pillars = rubric.pillars.map(pillar => ({
+    key: pillar.key,
+    name: pillar.name,
+    max: pillar.max,
+    weakThreshold: pillar.weakThreshold,
+    bands: pillar.bands
+  }));
+
+  return {
+    pillars,
+    pillarsByKey: Object.fromEntries(pillars.map(pillar => [pillar.key, pillar])),
+    readinessLevels: rubric.readinessLevels.map(readiness => ({
+      level: readiness.level,
+      title: readiness.title,
+      prepTime: readiness.prepTime,
+      when: readiness.when
+    }))
+  };
+}
+
+// The default milestone's config, used by the scripts and older callers
+const DEFAULT_CONFIG = getScoringConfig(RUBRIC);
+const PILLARS = DEFAULT_CONFIG.pillars;
+
+// Same pillars, looked up by key: PILLARS_BY_KEY.reading.max === 5
+const PILLARS_BY_KEY = DEFAULT_CONFIG.pillarsByKey;
+
+// The readiness levels shown to students, with the rules that pick them
+const READINESS_LEVELS = DEFAULT_CONFIG.readinessLevels;
+
+// Built once per milestone, then reused
+const configCache = new WeakMap([[RUBRIC, DEFAULT_CONFIG]]);
+function configFor(rubric = RUBRIC) {
+  if (!configCache.has(rubric)) configCache.set(rubric, getScoringConfig(rubric));
+  return configCache.get(rubric);
+}
+
+/**
+ * Find the level and color for one pillar score
+ *
+ * @param {string} pillarKey - e.g. 'numeracy'
+ * @param {number} score - Raw score (0 to the pillar's max)
+ * @param {Object} rubric - Optional milestone
+ * @returns {Object} - { score, level, color }
+ */
+function scorePillar(pillarKey, score, rubric) {
+  const pillar = configFor(rubric).pillarsByKey[pillarKey];
+  const band = pillar.bands.find(b => score >= b.min) || pillar.bands[pillar.bands.length - 1];
+  return { score, level: band.level, color: band.color };
+}
+
+/**
+ * Decide the readiness level from pillar colors
+ *
+ * TEACHING MOMENT: The prompt describes levels in words ("Some Orange",
+ * "Multiple Red"). Code needs exact rules, so each level in the milestone
+ * file lists color counts ("when"). We check from the most serious level
+ * down; the first level with ANY matching rule wins. For Milestone 0:
+ * - 2+ red                      → Level 5 (Not Yet Ready)
+ * - 1 red, or 3+ orange         → Level 4 (Need Comprehensive Prep)
+ * - 1-2 orange                  → Level 3 (Need Foundation Work)
+ * - 2+ yellow                   → Level 2 (Ready with Quick Prep)
+ * - otherwise (0-1 yellow)      → Level 1 (Ready to Start)
+ *
+ * @param {Array} colors - One color string per pillar
+ * @param {Object} rubric - Optional milestone
+ * @returns {number} - Readiness level (1 = most ready)
+ */
+function computeReadinessLevel(colors, rubric) {
+  const { readinessLevels } = configFor(rubric);
+  const count = color => colors.filter(c => c === color).length;
+
+  for (const readiness of [...readinessLevels].reverse()) {
+    if (readiness.when.some(rule => count(rule.color) >= rule.atLeast)) {
+      return readiness.level;
+    }
+  }
+  return readinessLevels[0].level;
+}
+
+/**
+ * Score a full assessment from the raw pillar scores
+ *
+ * @param {Object} scores - { numeracy: 8, reading: 3, ... }
+ * @param {Object} rubric - Optional milestone
+ * @returns {Object} - { pillars, readiness_level, readiness_title, estimated_prep_time }
+ */
+function scoreAssessment(scores, rubric) {
+  const config = configFor(rubric);
+  const pillars = {};
+  for (const pillar of config.pillars) {
+    pillars[pillar.key] = scorePillar(pillar.key, scores[pillar.key], rubric);
+  }
+
+  const level = computeReadinessLevel(Object.values(pillars).map(p => p.color), rubric);
+  const readiness = config.readinessLevels[level - 1];
+
+  return {
+    pillars,
+    readiness_level: level,
+    readiness_title: readiness.title,
+    estimated_prep_time: readiness.prepTime
+  };
+}
+
+/**
+ * Check the model's results against the rubric and correct them
+ *
+ * TEACHING MOMENT: We trust the model's raw scores (it saw the answers),
+ * but we recompute everything derived from them. Each disagreement is
+ * recorded so we can spot prompts that confuse the model.
+ *
+ * Pillars the server graded itself (question bank, see question-bank.js)
+ * use the server's score instead of the model's.
+ *
+ * @param {Object} modelResults - Parsed "assessment_complete" JSON
+ * @param {Object} rubric - Optional milestone
+ * @param {Object} gradedScores - Server scores by pillar, e.g. { numeracy: 7 } (optional)
+ * @returns {Object} - { results, discrepancies }
+ *   results: modelResults with levels/colors/readiness replaced
+ *   discrepancies: [{ field, model, expected }, ...] (empty if they agreed)
+ */
+function reconcileResults(modelResults, rubric, gradedScores = {}) {
+  const { pillars } = configFor(rubric);
+  const modelPillars = modelResults.pillars || {};
+  const scores = {};
+  for (const pillar of pillars) {
+    scores[pillar.key] = gradedScores[pillar.key] ?? (modelPillars[pillar.key]?.score || 0);
+  }
+
+  const expected = scoreAssessment(scores, rubric);
+  const discrepancies = [];
+
+  const compare = (field, model, correct) => {
+    const normalized = typeof model === 'string' ? model.trim().toLowerCase() : model;
+    const target = typeof correct === 'string' ? correct.toLowerCase() : correct;
+    if (normalized !== target) {
+      discrepancies.push({ field, model: model ?? null, expected: correct });
+    }
+  };
+
+  for (const pillar of pillars) {
+    const modelPillar = modelPillars[pillar.key] || {};
+    if (gradedScores[pillar.key] != null) {
+      compare(`pillars.${pillar.key}.score`, modelPillar.score, gradedScores[pillar.key]);
+    }
+    compare(`pillars.${pillar.key}.level`, modelPillar.level, expected.pillars[pillar.key].level);
+    compare(`pillars.${pillar.key}.color`, modelPillar.color, expected.pillars[pillar.key].color);
+  }
+  compare('readiness_level', modelResults.readiness_level, expected.readiness_level);
+
+  const results = {
+    ...modelResults,
+    ...expected,
+    scoring_adjusted: discrepancies.length > 0
+  };
+
+  return { results, discrepancies };
+}
+
+module.exports = {
+  PILLARS,
+  PILLARS_BY_KEY,
+  READINESS_LEVELS,
+  getScoringConfig,
+  scorePillar,
+  computeReadinessLevel,
+  scoreAssessment,
+  reconcileResults
+};
@@ -0,0 +1,74 @@
+/**
+ * Session Expiry
+ *
+ * TEACHING MOMENT: A student can close the tab and come back later - the
+ * browser keeps the session id and the server keeps the transcript. But
+ * not forever: a half-finished conversation nobody returns to is personal
+ * data with no purpose. After SESSION_TTL_HOURS without a new message
+ * (default 24), an active session expires:
+ * - it can no longer be resumed or continued (410 Gone)
+ * - its transcript and graded answers are deleted
+ *
+ * Expired sessions are cleaned up whenever one is found, and by
+ * `npm run expire-sessions` (run it on a schedule to sweep the rest).
+ * Completed sessions are never touched here.
+ */
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Read the session lifetime from the environment
+ *
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {number} - Hours of inactivity before an active session expires
+ */
+function getSessionTtlHours(env = process.env) {
+  const value = parseInt(env.SESSION_TTL_HOURS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TTL_HOURS;
+}
+
+// 'YYYY-MM-DD HH:MM:SS' (UTC), the format the timestamp columns use
+const toTimestamp = date => date.toISOString().replace('T', ' ').substring(0, 19);
+const fromTimestamp = timestamp => new Date(`${timestamp.replace(' ', 'T')}Z`);
+
+/**
+ * The last-activity time before which active sessions count as expired
+ *
+ * @param {number} ttlHours - From getSessionTtlHours()
+ * @param {Date} now - Current time (tests can pass their own)
+ * @returns {string} - Timestamp, e.g. '2025-03-01 09:30:00'
+ */
+function getExpiryCutoff(ttlHours, now = new Date()) {
+  return toTimestamp(new Date(now.getTime() - ttlHours * 60 * 60 * 1000));
+}
+
+/**
+ * When an active session will expire if the student stays away
+ *
+ * @param {Object} session - Row from getSession()
+ * @param {number} ttlHours - From getSessionTtlHours()
+ * @returns {string} - ISO date, e.g. '2025-03-02T09:30:00.000Z'
+ */
+function getSessionExpiresAt(session, ttlHours) {
+  return new Date(fromTimestamp(session.updated_at).getTime() + ttlHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Has this session expired (or already been marked expired)?
+ *
+ * @param {Object} session - Row from getSession()
+ * @param {number} ttlHours - From getSessionTtlHours()
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isSessionExpired(session, ttlHours, now = new Date()) {
+  if (session.status === 'expired') return true;
+  return session.status === 'active' && session.updated_at < getExpiryCutoff(ttlHours, now);
+}
+
+module.exports = {
+  getSessionTtlHours,
+  getExpiryCutoff,
+  getSessionExpiresAt,
+  isSessionExpired
+};
@@ -0,0 +1,185 @@
+/**
+ * SMTP Client
+ *
+ * TEACHING MOMENT: Sending email is a short text conversation with a mail
+ * server. Every command gets a 3-digit reply code (2xx/3xx = go on,
+ * 4xx/5xx = stop):
+ *
+ *   server: 220 mail.example.com ready
+ *   client: EHLO bootcamp            server: 250-... (what it supports)
+ *   client: STARTTLS                 server: 220 (now switch to encryption)
+ *   client: AUTH PLAIN <base64>      server: 235 authenticated
+ *   client: MAIL FROM:<us>           server: 250
+ *   client: RCPT TO:<student>        server: 250
+ *   client: DATA                     server: 354 send it
+ *   client: <the message> + "."      server: 250 queued
+ *   client: QUIT                     server: 221 bye
+ *
+ * That's all we need, so we speak it ourselves with Node's net/tls
+ * modules instead of adding a mail library.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Read SMTP replies from a socket
+ *
+ * Replies can span several lines ("250-first", "250-second", "250 last");
+ * read() resolves with one whole reply: { code, lines }.
+ */
+function attachReader(socket) {
+  const replies = [];
+  const waiters = [];
+  let pending = [];
+  let partial = '';
+  let failure = null;
+
+  const onData = chunk => {
+    partial += chunk.toString('utf8');
+    let index;
+    while ((index = partial.indexOf('\n')) >= 0) {
+      const line = partial.slice(0, index).replace(/\r$/, '');
+      partial = partial.slice(index + 1);
+      pending.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: pending.map(l => l.slice(4)) };
+        pending = [];
+        const waiter = waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onFailure = error => {
+    failure = failure || error;
+    waiters.splice(0).forEach(waiter => waiter.reject(failure));
+  };
+  const onClose = () => onFailure(new Error('SMTP connection closed unexpectedly'));
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', onClose);
+
+  return {
+    read() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    // Stop listening (before handing the socket over to TLS)
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onFailure);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+// Throw unless the reply code is one we expected
+function expectReply(reply, expected, command) {
+  if (!expected.includes(reply.code)) {
+    const error = new Error(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    error.smtpCode = reply.code;
+    throw error;
+  }
+  return reply;
+}
+
+/**
+ * Connect (plain or TLS) and wait until the socket is ready
+ */
+function connect({ host, port, secure, timeoutMs, socket }) {
+  return new Promise((resolve, reject) => {
+    const options = { host, port, servername: host };
+    const connection = secure
+      ? tls.connect(socket ? { socket, servername: host } : options)
+      : net.connect(options);
+    connection.setTimeout(timeoutMs, () => connection.destroy(new Error(`SMTP server did not answer within ${timeoutMs}ms`)));
+    connection.once(secure ? 'secureConnect' : 'connect', () => {
+      connection.off('error', reject);
+      resolve(connection);
+    });
+    connection.once('error', reject);
+  });
+}
+
+/**
+ * Make message text safe for the DATA command
+ *
+ * TEACHING MOMENT: A line with a single "." ends the message, so any line
+ * that starts with "." gets a second one ("dot-stuffing"); the server
+ * removes it again. SMTP also wants \r\n line endings everywhere.
+ */
+function prepareData(data) {
+  return data
+    .replace(/\r?\n/g, '\r\n')
+    .replace(/^\./gm, '..');
+}
+
+/**
+ * Send one message
+ *
+ * TEACHING MOMENT: AUTH PLAIN is only base64 - anyone watching the
+ * connection can read the password. So we only log in once the
+ * connection is encrypted, unless allowInsecureAuth says the server is
+ * one we trust on our own machine (like `npm run smtp-sink`).
+ *
+ * @param {Object} server - { host, port, secure, user, pass, timeoutMs, allowInsecureAuth }
+ *   secure: true for implicit TLS (usually port 465); otherwise the
+ *   connection is upgraded with STARTTLS whenever the server offers it
+ * @param {Object} envelope - { from, to, data }
+ *   from/to: bare addresses; data: the full MIME message (headers + body)
+ * @returns {Object} - { code, lines } of the server's final "queued" reply
+ */
+async function sendSmtp({ host, port, secure = false, user = null, pass = null, timeoutMs = 10000, allowInsecureAuth = false }, { from, to, data }) {
+  let socket = await connect({ host, port, secure, timeoutMs });
+  let reader = attachReader(socket);
+  const heloName = os.hostname() || 'localhost';
+
+  const command = async (line, expected, label = line.split(' ')[0]) => {
+    socket.write(`${line}\r\n`);
+    return expectReply(await reader.read(), expected, label);
+  };
+
+  try {
+    expectReply(await reader.read(), [220], 'greeting');
+    let hello = await command(`EHLO ${heloName}`, [250]);
+    let encrypted = secure;
+
+    if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await connect({ host, secure: true, timeoutMs, socket });
+      reader = attachReader(socket);
+      // Start over on the encrypted connection
+      hello = await command(`EHLO ${heloName}`, [250]);
+      encrypted = true;
+    }
+
+    if (user) {
+      if (!encrypted && !allowInsecureAuth) {
+        throw new Error('SMTP server does not offer STARTTLS - refusing to send the login unencrypted');
+      }
+      const credentials = Buffer.from(`\u0000${user}\u0000${pass || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    await command(`RCPT TO:<${to}>`, [250, 251], 'RCPT TO');
+    await command('DATA', [354]);
+    const queued = await command(`${prepareData(data)}\r\n.`, [250], 'message');
+    await command('QUIT', [221]).catch(() => {});
+    return queued;
+  } finally {
+    reader.detach();
+    // A late error from a connection we're closing anyway isn't news
+    socket.on('error', () => {});
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  sendSmtp
+};
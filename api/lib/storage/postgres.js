@@ -0,0 +1,152 @@
+/**
+ * Postgres Storage Adapter
+ *
+ * TEACHING MOMENT: Unlike sql.js, Postgres is a real database server.
+ * Data survives deployments and every serverless instance sees the same
+ * rows - this is the fix for the "/tmp gets wiped on Vercel" problem.
+ *
+ * Selected automatically when DATABASE_URL is set, e.g.
+ *   DATABASE_URL=postgres://localhost:5432/bootcamp node test-db.js
+ *
+ * Queries are written once with SQLite-style ? placeholders; this adapter
+ * rewrites them to Postgres-style $1, $2, ... before sending them.
+ */
+
+function createPostgresAdapter(connectionString) {
+  // Only load the driver when Postgres is actually used
+  const { Pool, types } = require('pg');
+
+  // TEACHING MOMENT: Postgres COUNT(*) returns a 64-bit integer and AVG()
+  // returns an exact decimal. The driver hands both back as STRINGS to
+  // avoid rounding. Our numbers are small, so plain JS numbers are fine.
+  types.setTypeParser(20, value => parseInt(value, 10));   // int8 / bigint
+  types.setTypeParser(1700, value => parseFloat(value));   // numeric
+
+  let pool = null;
+
+  // Column types that differ between SQLite and Postgres
+  // Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' text (UTC), the same
+  // format SQLite uses, so exports look identical on both databases
+  const TYPES = {
+    id: 'SERIAL PRIMARY KEY',
+    timestamp: "TEXT DEFAULT to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')",
+    boolean: 'INTEGER'
+  };
+
+  // Convert "WHERE a = ? AND b = ?" into "WHERE a = $1 AND b = $2"
+  // (skipping any ? that appears inside a 'quoted string')
+  function toPgPlaceholders(sql) {
+    let index = 0;
+    let inString = false;
+    let result = '';
+
+    for (const char of sql) {
+      if (char === "'") inString = !inString;
+      result += (char === '?' && !inString) ? `$${++index}` : char;
+    }
+    return result;
+  }
+
+  // Build the query functions for a pool or a single transaction client
+  function queriesFor(client) {
+    return {
+      dialect: 'postgres',
+      types: TYPES,
+
+      async all(sql, params = []) {
+        const result = await client.query(toPgPlaceholders(sql), params);
+        return result.rows;
+      },
+
+      async get(sql, params = []) {
+        const result = await client.query(toPgPlaceholders(sql), params);
+        return result.rows[0] || null;
+      },
+
+      async run(sql, params = []) {
+        const result = await client.query(toPgPlaceholders(sql), params);
+        return { changes: result.rowCount };
+      },
+
+      // Run one or more statements with no parameters (used for schema)
+      async exec(sql) {
+        await client.query(sql);
+      }
+    };
+  }
+
+  const adapter = {
+    dialect: 'postgres',
+    types: TYPES,
+
+    async init() {
+      if (pool) return;
+
+      pool = new Pool({
+        connectionString,
+        max: parseInt(process.env.PG_POOL_MAX, 10) || 5
+      });
+      console.log(`[DB] Connected to Postgres: ${adapter.describe()}`);
+    },
+
+    async all(sql, params) {
+      return queriesFor(pool).all(sql, params);
+    },
+
+    async get(sql, params) {
+      return queriesFor(pool).get(sql, params);
+    },
+
+    async run(sql, params) {
+      return queriesFor(pool).run(sql, params);
+    },
+
+    async exec(sql) {
+      return queriesFor(pool).exec(sql);
+    },
+
+    /**
+     * Run several statements as one all-or-nothing unit
+     *
+     * TEACHING MOMENT: A pool hands out many connections. A transaction
+     * must use ONE connection from BEGIN to COMMIT, so we check one out.
+     */
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(queriesFor(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Postgres writes are durable immediately - nothing to save
+    save() {},
+
+    // Connection string without the password, safe to print in logs
+    describe() {
+      try {
+        const url = new URL(connectionString);
+        url.password = '';
+        return url.toString();
+      } catch (error) {
+        return 'postgres (DATABASE_URL)';
+      }
+    },
+
+    async close() {
+      if (pool) await pool.end();
+      pool = null;
+    }
+  };
+
+  return adapter;
+}
+
+module.exports = { createPostgresAdapter };
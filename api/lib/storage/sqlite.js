@@ -0,0 +1,210 @@
+/**
+ * SQLite Storage Adapter (sql.js)
+ *
+ * TEACHING MOMENT: sql.js is SQLite compiled to WebAssembly. It works
+ * everywhere without native build tools, but it keeps the whole database
+ * in MEMORY. We load the file on startup and write it back after changes.
+ *
+ * On Vercel the file lives in /tmp, which can be wiped at any time -
+ * set DATABASE_URL to use the Postgres adapter there instead.
+ *
+ * Every adapter offers the same small API (see db.js):
+ *   init(), all(sql, params), get(sql, params), run(sql, params),
+ *   exec(sql), transaction(fn), save(), describe(), close()
+ *
+ * TEACHING MOMENT: There is only ONE sql.js database handle, shared by
+ * every request. A transaction awaits between its statements, so without
+ * care a second request could slip its own statements in (and have them
+ * rolled back with someone else's transaction), or try to BEGIN while
+ * one is open. So every query waits its turn in a queue, and a
+ * transaction holds the queue from BEGIN to COMMIT.
+ */
+
+const initSqlJs = require('sql.js');
+const fs = require('fs');
+const path = require('path');
+
+// Determine database file path based on environment
+function getDbPath() {
+  // In production (Vercel), use /tmp which is the only writable location
+  // In development, use the project root
+  if (process.env.VERCEL || process.env.NODE_ENV === 'production') {
+    return '/tmp/assessments.db';
+  }
+  return path.join(process.cwd(), 'assessments.db');
+}
+
+function createSqliteAdapter() {
+  let db = null;
+  let inTransaction = false;
+  // Settles when everything queued so far has finished
+  let queue = Promise.resolve();
+
+  /**
+   * Save database to file
+   *
+   * TEACHING MOMENT: sql.js keeps everything in memory.
+   * We must explicitly write to disk to persist changes.
+   */
+  function save() {
+    if (!db) return;
+
+    try {
+      const data = db.export();
+      fs.writeFileSync(getDbPath(), Buffer.from(data));
+      console.log('[DB] Database saved to disk');
+    } catch (error) {
+      console.error('[DB] Error saving database:', error.message);
+    }
+  }
+
+  // Write to disk after a change - unless we're inside a transaction,
+  // in which case we save once at COMMIT
+  function persist() {
+    if (!inTransaction) save();
+  }
+
+  // Run a query and collect every row as a { column: value } object
+  function selectRows(sql, params) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  // Run fn once everything queued before it is done (even if that failed)
+  function enqueue(fn) {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Column types that differ between SQLite and Postgres
+  const TYPES = {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    timestamp: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+    boolean: 'BOOLEAN'
+  };
+
+  // The query functions themselves, without queueing. Handed to a
+  // transaction's fn as `tx` - it already holds the queue.
+  const direct = {
+    dialect: 'sqlite',
+    types: TYPES,
+
+    async all(sql, params = []) {
+      return selectRows(sql, params);
+    },
+
+    async get(sql, params = []) {
+      return selectRows(sql, params)[0] || null;
+    },
+
+    // Run an INSERT/UPDATE/DELETE. Returns { changes } (rows affected)
+    async run(sql, params = []) {
+      db.run(sql, params);
+      const changes = db.getRowsModified();
+      persist();
+      return { changes };
+    },
+
+    // Run one or more statements with no parameters (used for schema)
+    async exec(sql) {
+      db.exec(sql);
+      persist();
+    }
+  };
+
+  const adapter = {
+    dialect: 'sqlite',
+    types: TYPES,
+
+    /**
+     * Load the database file (or create a new one)
+     *
+     * TEACHING MOMENT: sql.js is async because it needs to load WebAssembly.
+     */
+    async init() {
+      if (db) return;
+
+      const SQL = await initSqlJs();
+      const dbPath = getDbPath();
+      console.log(`[DB] Database path: ${dbPath}`);
+
+      try {
+        if (fs.existsSync(dbPath)) {
+          db = new SQL.Database(fs.readFileSync(dbPath));
+          console.log('[DB] Loaded existing database');
+        } else {
+          db = new SQL.Database();
+          console.log('[DB] Created new database');
+        }
+      } catch (error) {
+        console.error('[DB] Error loading database, creating new:', error.message);
+        db = new SQL.Database();
+      }
+    },
+
+    async all(sql, params) {
+      return enqueue(() => direct.all(sql, params));
+    },
+
+    async get(sql, params) {
+      return enqueue(() => direct.get(sql, params));
+    },
+
+    async run(sql, params) {
+      return enqueue(() => direct.run(sql, params));
+    },
+
+    async exec(sql) {
+      return enqueue(() => direct.exec(sql));
+    },
+
+    /**
+     * Run several statements as one all-or-nothing unit
+     *
+     * Transactions run one at a time (see the queue above). Inside fn,
+     * use tx - calling the adapter itself would wait for fn forever.
+     *
+     * @param {Function} fn - async (tx) => { ... } where tx has all/get/run/exec
+     */
+    async transaction(fn) {
+      return enqueue(async () => {
+        db.run('BEGIN');
+        inTransaction = true;
+        try {
+          const result = await fn(direct);
+          db.run('COMMIT');
+          inTransaction = false;
+          save();
+          return result;
+        } catch (error) {
+          inTransaction = false;
+          try { db.run('ROLLBACK'); } catch (rollbackError) { /* already rolled back */ }
+          throw error;
+        }
+      });
+    },
+
+    save,
+
+    describe() {
+      return getDbPath();
+    },
+
+    // Nothing to close - the database is just memory plus a file
+    async close() {}
+  };
+
+  return adapter;
+}
+
+module.exports = { createSqliteAdapter, getDbPath };
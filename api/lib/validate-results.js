@@ -0,0 +1,198 @@
+/**
+ * Assessment Results Validation
+ *
+ * TEACHING MOMENT: The final results arrive as JSON written by the AI inside
+ * a normal chat message. The AI can make mistakes - a missing pillar, a score
+ * of 12 out of 10, a half-finished object. If we saved those as-is (or
+ * quietly replaced missing scores with 0) our analytics would be wrong.
+ *
+ * This module does two jobs:
+ * 1. EXTRACT the results object from the message text
+ * 2. VALIDATE it against the rubric, listing every problem it finds
+ *
+ * /api/chat only saves results that pass validation.
+ */
+
+const { getScoringConfig } = require('./scoring.js');
+const { RUBRIC } = require('./rubric.js');
+
+// Marker the system prompt asks the AI to include in its final JSON
+const COMPLETION_MARKER = '"assessment_complete"';
+
+/**
+ * Find the end of a JSON object that starts at text[start] === '{'
+ *
+ * TEACHING MOMENT: A regex can't reliably match nested { } pairs, so we
+ * walk the text counting braces, skipping anything inside "strings".
+ *
+ * @returns {number} - Index of the matching '}', or -1 if it never closes
+ */
+function findObjectEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;          // skip the escaped character
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Pull the results JSON out of an AI message
+ *
+ * @param {string} text - The AI's full reply
+ * @returns {Object} - { found, results, json, error }
+ *   found:   true if the reply claims to contain final results
+ *   results: the parsed object (null if it couldn't be parsed)
+ *   json:    the exact JSON text that was parsed (so callers can strip it)
+ *   error:   why parsing failed, if it did
+ */
+function extractResults(text) {
+  if (!text || !text.includes(COMPLETION_MARKER)) {
+    return { found: false, results: null, json: null, error: null };
+  }
+
+  // Try every '{' before the marker, innermost first, until one parses
+  // into an object with assessment_complete: true
+  const markerIndex = text.indexOf(COMPLETION_MARKER);
+  for (let start = markerIndex; start >= 0; start--) {
+    if (text[start] !== '{') continue;
+
+    const end = findObjectEnd(text, start);
+    if (end === -1 || end < markerIndex) continue;
+
+    const json = text.slice(start, end + 1);
+    try {
+      const parsed = JSON.parse(json);
+      if (parsed && parsed.assessment_complete === true) {
+        return { found: true, results: parsed, json, error: null };
+      }
+    } catch (parseError) {
+      // Not valid JSON from this starting point - try an outer brace
+    }
+  }
+
+  return {
+    found: true,
+    results: null,
+    json: null,
+    error: 'Could not parse a complete JSON object containing "assessment_complete": true'
+  };
+}
+
+/**
+ * Check parsed results against the rubric
+ *
+ * @param {Object} results - Parsed results object
+ * @param {Object} rubric - The milestone being assessed (default: Milestone 0)
+ * @returns {Array} - List of human-readable problems (empty = valid)
+ */
+function validateResults(results, rubric = RUBRIC) {
+  const { pillars: rubricPillars, readinessLevels } = getScoringConfig(rubric);
+  const errors = [];
+
+  if (!results || typeof results !== 'object') {
+    return ['Results must be a JSON object'];
+  }
+
+  if (results.assessment_complete !== true) {
+    errors.push('assessment_complete must be true');
+  }
+
+  // Every pillar must be present with an integer score in range
+  const pillars = results.pillars;
+  if (!pillars || typeof pillars !== 'object') {
+    errors.push('pillars object is missing');
+  } else {
+    for (const pillar of rubricPillars) {
+      const score = pillars[pillar.key]?.score;
+      if (score === undefined || score === null) {
+        errors.push(`pillars.${pillar.key}.score is missing`);
+      } else if (!Number.isInteger(score)) {
+        errors.push(`pillars.${pillar.key}.score must be a whole number (got ${JSON.stringify(score)})`);
+      } else if (score < 0 || score > pillar.max) {
+        errors.push(`pillars.${pillar.key}.score must be between 0 and ${pillar.max} (got ${score})`);
+      }
+    }
+  }
+
+  const level = results.readiness_level;
+  const maxLevel = readinessLevels.length;
+  if (!Number.isInteger(level) || level < 1 || level > maxLevel) {
+    errors.push(`readiness_level must be a whole number from 1 to ${maxLevel} (got ${JSON.stringify(level ?? null)})`);
+  }
+
+  // Display fields are optional, but the results page expects lists
+  for (const field of ['strengths', 'areas_to_develop']) {
+    const value = results[field];
+    if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      errors.push(`${field} must be a list of strings`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extract and validate in one step
+ *
+ * @param {string} text - The AI's full reply
+ * @param {Object} rubric - The milestone being assessed (default: Milestone 0)
+ * @returns {Object} - { found, results, json, errors }
+ *   results is only set when errors is empty
+ */
+function parseAssessmentResults(text, rubric = RUBRIC) {
+  const extracted = extractResults(text);
+  if (!extracted.found) {
+    return { found: false, results: null, json: null, errors: [] };
+  }
+  if (!extracted.results) {
+    return { found: true, results: null, json: null, errors: [extracted.error] };
+  }
+
+  const errors = validateResults(extracted.results, rubric);
+  return {
+    found: true,
+    results: errors.length === 0 ? extracted.results : null,
+    json: extracted.json,
+    errors
+  };
+}
+
+/**
+ * Build the follow-up message that asks the AI to fix its results
+ *
+ * @param {Array} errors - Problems from validateResults()
+ * @param {Object} rubric - The milestone being assessed (default: Milestone 0)
+ * @returns {string} - Message text to send as the next user turn
+ */
+function buildRepairPrompt(errors, rubric = RUBRIC) {
+  const { pillars, readinessLevels } = getScoringConfig(rubric);
+  const maxima = pillars.map(p => `${p.key} 0-${p.max}`).join(', ');
+  return [
+    'Your final results JSON could not be accepted because of these problems:',
+    ...errors.map(error => `- ${error}`),
+    '',
+    `Please re-send the complete results JSON only, with no other text. Scores must be whole numbers within each pillar's range (${maxima}) and readiness_level must be 1-${readinessLevels.length}.`
+  ].join('\n');
+}
+
+module.exports = {
+  extractResults,
+  validateResults,
+  parseAssessmentResults,
+  buildRepairPrompt
+};
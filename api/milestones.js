@@ -0,0 +1,59 @@
+/**
+ * Milestones Endpoint
+ *
+ * TEACHING MOMENT: The quiz page doesn't know which pillars a milestone
+ * has - it asks here, then renders whatever comes back. Adding a
+ * milestone file on the server is enough; the page needs no changes.
+ *
+ * Usage:
+ *   GET /api/milestones
+ *
+ * Returns: { defaultMilestone, milestones: [{ id, version, name, subtitle,
+ *   greeting, pillars: [{ key, name, title, max }],
+ *   readinessLevels: [{ level, title, prepTime }] }] }
+ *
+ * Only what the page displays is sent - not the prompt text or the
+ * scoring bands.
+ */
+
+const { listMilestones, DEFAULT_MILESTONE_ID } = require('./lib/rubric.js');
+
+module.exports = async function handler(req, res) {
+  // CORS headers - needed for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  const milestones = listMilestones().map(milestone => ({
+    id: milestone.id,
+    version: milestone.version,
+    name: milestone.name,
+    subtitle: milestone.subtitle,
+    greeting: milestone.greeting,
+    pillars: milestone.pillars.map(pillar => ({
+      key: pillar.key,
+      name: pillar.name,
+      title: pillar.title,
+      max: pillar.max
+    })),
+    readinessLevels: milestone.readinessLevels.map(readiness => ({
+      level: readiness.level,
+      title: readiness.title,
+      prepTime: readiness.prepTime
+    }))
+  }));
+
+  // The list only changes on deploy, so browsers and the CDN may cache it briefly
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json({ defaultMilestone: DEFAULT_MILESTONE_ID, milestones });
+};
@@ -0,0 +1,77 @@
+/**
+ * My Data Endpoint (see, download or delete your own record)
+ *
+ * TEACHING MOMENT: Every saved assessment comes with a receipt token
+ * (lib/receipt.js). With it, a student can exercise their data rights
+ * without an account:
+ *
+ *   GET    /api/my-data                  everything we store, as JSON
+ *   GET    /api/my-data?download=1       the same, as a file to keep
+ *   DELETE /api/my-data                  delete it all, for good
+ *   X-Receipt-Token: rcp_...
+ *
+ * The token travels in a header so it doesn't end up in server logs or
+ * browser history. An unknown token gets a 404 either way - there's
+ * nothing to show and nothing to delete.
+ *
+ * Errors: 400 missing/bad token, 404 no such record (or already deleted)
+ */
+
+const { getOwnRecord, deleteOwnRecord } = require('./lib/db.js');
+const { isReceiptToken, hashReceiptToken, formatOwnRecord } = require('./lib/receipt.js');
+
+module.exports = async function handler(req, res) {
+  // CORS headers - needed for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Receipt-Token');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET and DELETE requests
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET or DELETE.' });
+  }
+
+  // Personal data - never served from a shared cache
+  res.setHeader('Cache-Control', 'no-store');
+
+  const token = req.headers['x-receipt-token'];
+  if (!isReceiptToken(token)) {
+    return res.status(400).json({ error: 'A valid X-Receipt-Token header is required' });
+  }
+  const receiptHash = hashReceiptToken(token);
+
+  try {
+    if (req.method === 'DELETE') {
+      if (!await deleteOwnRecord(receiptHash)) {
+        return res.status(404).json({ error: 'No record found for this receipt' });
+      }
+      // Nothing that identifies the record - it's gone
+      console.log('[My Data] A student deleted their assessment');
+      return res.status(200).json({ deleted: true });
+    }
+
+    const record = await getOwnRecord(receiptHash);
+    if (!record) {
+      return res.status(404).json({ error: 'No record found for this receipt' });
+    }
+
+    const data = formatOwnRecord(record);
+    if (req.query && req.query.download) {
+      const date = String(data.assessment.completedAt || '').substring(0, 10);
+      res.setHeader('Content-Disposition', `attachment; filename="my-assessment-data-${date}.json"`);
+    }
+    return res.status(200).json(data);
+
+  } catch (error) {
+    console.error('[My Data] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to process your request',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * PDF Report Endpoint
+ *
+ * TEACHING MOMENT: Vercel turns the [sessionId] in this file's name into
+ * a URL parameter, so /api/report/session_123.pdf arrives here with
+ * req.query.sessionId = 'session_123.pdf'.
+ *
+ * Usage:
+ *   GET /api/report/<sessionId>.pdf
+ *   X-Receipt-Token: rcp_...
+ *
+ * Returns the student's results as a PDF download (see lib/report.js).
+ * Only assessments saved with consent have a report - opted-out results
+ * were never stored, so there's nothing to render (404).
+ *
+ * The session id in the URL only says WHICH report; it is not enough to
+ * open it. URLs end up in server logs and browser history, so the
+ * receipt token handed out when the results were saved (lib/receipt.js)
+ * must come along in a header and belong to that same session.
+ *
+ * Errors: 400 missing session id or bad token, 404 no saved report for
+ * this session and receipt
+ */
+
+const { getReceiptReport } = require('../lib/db.js');
+const { isReceiptToken, hashReceiptToken } = require('../lib/receipt.js');
+const { getMilestone } = require('../lib/rubric.js');
+const { renderResultsReport } = require('../lib/report.js');
+
+module.exports = async function handler(req, res) {
+  // CORS headers - needed for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Receipt-Token');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  // Personal results - never served from a shared cache
+  res.setHeader('Cache-Control', 'no-store');
+
+  const sessionId = String((req.query && req.query.sessionId) || '').replace(/\.pdf$/, '');
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Session id required: /api/report/<sessionId>.pdf' });
+  }
+
+  const token = req.headers['x-receipt-token'];
+  if (!isReceiptToken(token)) {
+    return res.status(400).json({ error: 'A valid X-Receipt-Token header is required' });
+  }
+
+  try {
+    // A receipt for another assessment gets the same 404 as no report at all
+    const report = await getReceiptReport(hashReceiptToken(token));
+    if (!report || report.session_id !== sessionId) {
+      return res.status(404).json({ error: 'No saved report for this assessment and receipt' });
+    }
+
+    const pdf = renderResultsReport({
+      results: report.results,
+      // A milestone removed since still renders, with pillar keys as names
+      milestone: getMilestone(report.milestone),
+      completedAt: report.timestamp
+    });
+
+    const date = String(report.timestamp).substring(0, 10);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="assessment-report-${date}.pdf"`);
+    res.setHeader('Content-Length', String(pdf.length));
+    return res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('[Report] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to create report',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Session Resume Endpoint
+ *
+ * TEACHING MOMENT: The conversation lives on the server, so a closed tab
+ * doesn't have to mean starting over. The browser keeps its session id in
+ * localStorage and, on reload, asks here for the transcript so far.
+ *
+ * Usage:
+ *   GET /api/session
+ *   X-Session-Id: session_...
+ *
+ * The id is sent in a header, not the URL, so it doesn't end up in server
+ * logs or browser history - anyone holding it can read the conversation.
+ *
+ * Returns: { sessionId, milestone, status, createdAt, updatedAt, expiresAt,
+ *   turns: [{ role, content }],
+ *   progress: { studentMessages, questionsAnswered, pillarsFinished: [key] } }
+ *
+ * Errors: 404 unknown id, 409 already completed, 410 expired
+ * (see lib/session-expiry.js for the expiry policy)
+ */
+
+const { getSession, getSessionTurns, getQuestionAnswers, expireIdleSessions } = require('./lib/db.js');
+const { getMilestone } = require('./lib/rubric.js');
+const { getQuestionBank, scoreBankPillars } = require('./lib/question-bank.js');
+const {
+  getSessionTtlHours,
+  getExpiryCutoff,
+  getSessionExpiresAt,
+  isSessionExpired
+} = require('./lib/session-expiry.js');
+
+module.exports = async function handler(req, res) {
+  // CORS headers - needed for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  // A transcript must never be served from a shared cache
+  res.setHeader('Cache-Control', 'no-store');
+
+  const sessionId = req.headers['x-session-id'];
+  if (typeof sessionId !== 'string' || !sessionId.trim()) {
+    return res.status(400).json({ error: 'X-Session-Id header required' });
+  }
+
+  try {
+    const session = await getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'This assessment is already complete' });
+    }
+
+    const ttlHours = getSessionTtlHours();
+    if (isSessionExpired(session, ttlHours)) {
+      // Clean up this session (and any other idle ones) right away
+      await expireIdleSessions(getExpiryCutoff(ttlHours));
+      return res.status(410).json({
+        error: `This assessment expired after ${ttlHours} hours without activity. Please start a new one.`
+      });
+    }
+
+    const turns = await getSessionTurns(sessionId);
+
+    // How far the student got: graded bank answers and finished pillars
+    const milestone = getMilestone(session.milestone);
+    const bank = milestone && getQuestionBank(milestone.id);
+    const answers = bank ? await getQuestionAnswers(sessionId) : [];
+    const pillarsFinished = bank
+      ? Object.entries(scoreBankPillars(bank, milestone, answers))
+          .filter(([, tally]) => tally.score !== null)
+          .map(([pillar]) => pillar)
+      : [];
+
+    return res.status(200).json({
+      sessionId,
+      milestone: session.milestone,
+      status: session.status,
+      createdAt: session.created_at,
+      updatedAt: session.updated_at,
+      expiresAt: getSessionExpiresAt(session, ttlHours),
+      turns,
+      progress: {
+        studentMessages: turns.filter(turn => turn.role === 'user').length,
+        questionsAnswered: answers.length,
+        pillarsFinished
+      }
+    });
+
+  } catch (error) {
+    console.error('[Session] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to load session',
+      message: error.message
+    });
+  }
+};
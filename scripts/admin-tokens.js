@@ -0,0 +1,87 @@
+/**
+ * Admin Token Manager
+ *
+ * Creates, lists and revokes the API tokens that unlock admin endpoints
+ * (/api/export-csv, /api/analytics), and shows the admin audit log.
+ *
+ * Run with:
+ *   npm run admin-token -- create jane                     # all scopes
+ *   npm run admin-token -- create dashboard --scopes analytics
+ *   npm run admin-token -- list
+ *   npm run admin-token -- revoke 3
+ *   npm run admin-token -- audit          # last 50 admin actions
+ *
+ * TEACHING MOMENT: The token is printed ONCE, when it's created. We only
+ * store its hash, so if it's lost, revoke it and create a new one.
+ */
+
+const { initDb, closeDb, getDbPath, listAdminTokens, revokeAdminToken, getAuditLog } = require('../api/lib/db.js');
+const { ADMIN_SCOPES, createAdminToken } = require('../api/lib/admin-auth.js');
+
+async function manageTokens() {
+  const [command, ...args] = process.argv.slice(2);
+
+  await initDb();
+  console.log(`Database: ${getDbPath()}`);
+  console.log();
+
+  if (command === 'create') {
+    const name = args[0];
+    const scopesFlag = args.indexOf('--scopes');
+    const scopes = scopesFlag >= 0 && args[scopesFlag + 1]
+      ? args[scopesFlag + 1].split(',').map(scope => scope.trim())
+      : ADMIN_SCOPES;
+
+    const { id, token } = await createAdminToken(name, scopes);
+
+    console.log('='.repeat(60));
+    console.log(`Token #${id} created for "${name}" (scopes: ${scopes.join(', ')})`);
+    console.log('='.repeat(60));
+    console.log();
+    console.log(`  ${token}`);
+    console.log();
+    console.log('Copy it now - it will NOT be shown again.');
+    console.log('Use it as:  Authorization: Bearer <token>');
+  } else if (command === 'list') {
+    const tokens = await listAdminTokens();
+    if (tokens.length === 0) {
+      console.log('No admin tokens yet. Create one with: npm run admin-token -- create <name>');
+    }
+    tokens.forEach(token => {
+      const status = token.revoked_at ? `REVOKED ${token.revoked_at}` : 'active';
+      console.log(`  #${token.id} ${token.name} [${token.scopes}] - ${status}`);
+      console.log(`      created ${token.created_at}, last used ${token.last_used_at || 'never'}`);
+    });
+  } else if (command === 'revoke') {
+    const id = parseInt(args[0], 10);
+    if (!Number.isInteger(id)) {
+      throw new Error('Usage: revoke <token id> (see "list")');
+    }
+    const revoked = await revokeAdminToken(id);
+    console.log(revoked ? `Token #${id} revoked.` : `No active token #${id}.`);
+  } else if (command === 'audit') {
+    const limit = parseInt(args[0], 10) || 50;
+    const events = await getAuditLog(limit);
+    if (events.length === 0) {
+      console.log('Audit log is empty.');
+    }
+    events.forEach(event => {
+      const details = event.details ? ` ${event.details}` : '';
+      console.log(`  ${event.timestamp}  ${event.token_name} (#${event.token_id})  ${event.action}  rows=${event.row_count ?? '-'}${details}`);
+    });
+  } else {
+    throw new Error('Unknown command. Use: create <name> [--scopes a,b], list, revoke <id>, audit [limit]');
+  }
+
+  await closeDb();
+}
+
+// Run if called directly
+if (require.main === module) {
+  manageTokens().catch(error => {
+    console.error('\nADMIN TOKEN ERROR:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { manageTokens };
@@ -0,0 +1,49 @@
+/**
+ * Session Expiry Sweep
+ *
+ * Expires chat sessions nobody has touched for SESSION_TTL_HOURS (default
+ * 24): their transcripts and graded answers are deleted and they can no
+ * longer be resumed. Completed assessments are not affected.
+ *
+ * Run with:
+ *   npm run expire-sessions
+ *   SESSION_TTL_HOURS=48 npm run expire-sessions
+ *
+ * TEACHING MOMENT: The app also expires sessions whenever a student tries
+ * to resume one that's too old, but a session nobody comes back for is
+ * only cleaned up by this sweep - run it daily (e.g. a cron job).
+ */
+
+const { initDb, closeDb, getDbPath, expireIdleSessions } = require('../api/lib/db.js');
+const { getSessionTtlHours, getExpiryCutoff } = require('../api/lib/session-expiry.js');
+
+async function expireSessions() {
+  const ttlHours = getSessionTtlHours();
+  const cutoff = getExpiryCutoff(ttlHours);
+
+  console.log('='.repeat(50));
+  console.log('EXPIRE ABANDONED SESSIONS');
+  console.log('='.repeat(50));
+  console.log();
+
+  await initDb();
+  console.log(`Database: ${getDbPath()}`);
+  console.log(`Expiring: active sessions idle since before ${cutoff} UTC (${ttlHours}h)`);
+  console.log();
+
+  const expired = await expireIdleSessions(cutoff);
+  console.log(`Expired ${expired} session(s).`);
+
+  await closeDb();
+  return expired;
+}
+
+// Run if called directly
+if (require.main === module) {
+  expireSessions().catch(error => {
+    console.error('\nEXPIRY ERROR:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { expireSessions };
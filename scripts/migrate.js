@@ -0,0 +1,70 @@
+/**
+ * Migration Runner
+ *
+ * Applies or rolls back database schema migrations.
+ * Works on SQLite (default) or Postgres (when DATABASE_URL is set).
+ *
+ * Run with:
+ *   npm run migrate               # apply pending migrations
+ *   npm run migrate -- status     # list migrations and whether they ran
+ *   npm run migrate -- down       # roll back the most recent migration
+ *   npm run migrate -- down 2     # roll back the last 2 migrations
+ *
+ * TEACHING MOMENT: You rarely need this by hand - the app applies pending
+ * migrations automatically when it first connects. Rollback is for
+ * development: undoing a migration you're still working on.
+ */
+
+const { initDb, closeDb, getDbPath } = require('../api/lib/db.js');
+const { migrate, rollback, getMigrationStatus } = require('../api/lib/migrate.js');
+
+async function runMigrations() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+
+  console.log('='.repeat(50));
+  console.log('DATABASE MIGRATIONS');
+  console.log('='.repeat(50));
+  console.log();
+
+  // Connect WITHOUT auto-migrating, so "down" isn't immediately undone
+  const db = await initDb({ runMigrations: false });
+  console.log(`Database: ${getDbPath()}`);
+  console.log();
+
+  if (command === 'up') {
+    const ran = await migrate(db);
+    console.log(ran.length > 0
+      ? `Applied ${ran.length} migration(s).`
+      : 'Database is already up to date.');
+  } else if (command === 'down') {
+    const steps = stepsArg ? parseInt(stepsArg, 10) : 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(`Invalid number of steps: ${stepsArg}`);
+    }
+    const rolledBack = await rollback(db, steps);
+    console.log(rolledBack.length > 0
+      ? `Rolled back ${rolledBack.length} migration(s).`
+      : 'Nothing to roll back.');
+  } else if (command === 'status') {
+    const status = await getMigrationStatus(db);
+    status.forEach(migration => {
+      const marker = migration.applied ? '[x]' : '[ ]';
+      const when = migration.applied ? `  (applied ${migration.appliedAt})` : '';
+      console.log(`  ${marker} ${migration.id}${when}`);
+    });
+  } else {
+    throw new Error(`Unknown command "${command}". Use: up, down [steps], status`);
+  }
+
+  await closeDb();
+}
+
+// Run if called directly
+if (require.main === module) {
+  runMigrations().catch(error => {
+    console.error('\nMIGRATION ERROR:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMigrations };
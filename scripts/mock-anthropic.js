@@ -0,0 +1,201 @@
+/**
+ * Mock Anthropic Server
+ *
+ * A tiny stand-in for https://api.anthropic.com so you can run the quiz
+ * offline - no API key, no cost. It speaks the same /v1/messages format,
+ * both normal JSON replies and streaming (server-sent events).
+ *
+ * It also answers the OpenAI-compatible /v1/chat/completions format, so
+ * it can play the self-hosted fallback model too.
+ *
+ * Run with:
+ *   npm run mock-anthropic
+ *   ANTHROPIC_BASE_URL=http://localhost:4010 ANTHROPIC_API_KEY=mock vercel dev
+ *
+ * Simulate an outage (every request fails with that status):
+ *   MOCK_FAIL_STATUS=529 npm run mock-anthropic
+ *
+ * Script of the fake tutor:
+ * - Asks MOCK_QUESTIONS questions (default 3), one per student message
+ *   (the server's question bank question, when the system prompt has one)
+ * - Then sends a valid final results JSON block for the milestone whose
+ *   system prompt it was sent (so /?milestone=milestone-1 works too)
+ *
+ * TEACHING MOMENT: Replies are streamed word by word with a small delay
+ * (MOCK_DELAY_MS, default 30) so you can actually watch streaming work.
+ */
+
+const http = require('http');
+const { scoreAssessment } = require('../api/lib/scoring.js');
+const { listMilestones, buildSystemPrompt } = require('../api/lib/rubric.js');
+
+const PORT = parseInt(process.env.MOCK_ANTHROPIC_PORT, 10) || 4010;
+
+// A finished assessment that passes validation - levels, colors and
+// readiness come from the real scoring engine, so they always match the rubric
+const FINAL_RESULTS = {
+  assessment_complete: true,
+  ...scoreAssessment({ numeracy: 8, reading: 2, computer: 9, logic: 6, communication: 3, mindset: 6 }),
+  overall_message: 'Great effort! (mock results)',
+  strengths: ['Computer skills', 'Numeracy'],
+  areas_to_develop: ['Reading comprehension'],
+  next_steps: 'Practice reading technical documentation.'
+};
+
+/**
+ * Valid results for whichever milestone the system prompt belongs to
+ *
+ * Other milestones get 70% of each pillar's max.
+ *
+ * @param {string} system - The system prompt chat.js sent
+ * @returns {Object} - Results object
+ */
+function resultsFor(system) {
+  const milestone = listMilestones().find(m => system.startsWith(buildSystemPrompt(m)));
+  if (!milestone || milestone === listMilestones()[0]) return FINAL_RESULTS;
+
+  const scores = Object.fromEntries(milestone.pillars.map(pillar => [pillar.key, Math.round(pillar.max * 0.7)]));
+  return { ...FINAL_RESULTS, ...scoreAssessment(scores, milestone), strengths: [], areas_to_develop: [] };
+}
+
+/**
+ * Decide what the fake tutor says next
+ *
+ * @param {Array} messages - The conversation sent by chat.js
+ * @param {string} system - The system prompt (picks the milestone's results)
+ * @returns {string} - Reply text
+ */
+function scriptedReply(messages, system = '') {
+  const questions = parseInt(process.env.MOCK_QUESTIONS, 10) || 3;
+  const studentTurns = messages.filter(message => message.role === 'user').length;
+
+  if (studentTurns <= questions) {
+    const bankQuestion = system.match(/^Next question \(.*?\): "(.*)"$/m);
+    const question = bankQuestion ? bankQuestion[1] : `what is 12 x ${studentTurns + 1}?`;
+    return `Thanks! (mock) Question ${studentTurns} of ${questions}: ${question}`;
+  }
+  return `That's everything - here are your results!\n\n${JSON.stringify(resultsFor(system), null, 2)}`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send the reply the way Anthropic streams: message_start, text deltas, message_stop
+async function streamReply(res, text, model) {
+  const delay = parseInt(process.env.MOCK_DELAY_MS, 10) || 30;
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  send('message_start', { message: { id: `msg_mock_${Date.now()}`, type: 'message', role: 'assistant', model, content: [] } });
+  send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+
+  // Split after each space or newline so every chunk keeps its whitespace
+  for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+    send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: piece } });
+    await sleep(delay);
+  }
+
+  send('content_block_stop', { index: 0 });
+  send('message_delta', { delta: { stop_reason: 'end_turn' } });
+  send('message_stop', {});
+  res.end();
+}
+
+// Send the reply the way OpenAI-compatible servers stream: data chunks, then [DONE]
+async function streamChatCompletion(res, text, model) {
+  const delay = parseInt(process.env.MOCK_DELAY_MS, 10) || 30;
+  const send = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+    send({ model, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] });
+    await sleep(delay);
+  }
+  send({ model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+/**
+ * Create the mock server (not yet listening)
+ *
+ * @param {Object} options - { failStatus } to answer every request with an error
+ * @returns {http.Server}
+ */
+function createMockAnthropicServer({ failStatus = parseInt(process.env.MOCK_FAIL_STATUS, 10) || null } = {}) {
+  return http.createServer(async (req, res) => {
+    const isAnthropic = req.url === '/v1/messages';
+    const isOpenAi = req.url === '/v1/chat/completions';
+
+    if (req.method !== 'POST' || !(isAnthropic || isOpenAi)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ type: 'error', error: { type: 'not_found_error', message: 'Not found' } }));
+    }
+
+    if (failStatus) {
+      console.log(`[Mock Anthropic] Simulating outage: ${failStatus}`);
+      res.writeHead(failStatus, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ type: 'error', error: { type: 'overloaded_error', message: 'Mock outage' } }));
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } }));
+    }
+
+    // OpenAI-style requests carry the system prompt as the first message
+    const messages = body.messages || [];
+    const conversation = messages.filter(message => message.role !== 'system');
+    const system = isOpenAi ? (messages.find(message => message.role === 'system') || {}).content : body.system;
+    const text = scriptedReply(conversation, system);
+    console.log(`[Mock Anthropic] ${body.stream ? 'Streaming' : 'Sending'} ${isOpenAi ? 'chat completion' : 'message'} for turn ${conversation.length}`);
+
+    if (isOpenAi) {
+      if (body.stream) {
+        return streamChatCompletion(res, text, body.model);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        id: `chatcmpl_mock_${Date.now()}`,
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+      }));
+    }
+
+    if (body.stream) {
+      return streamReply(res, text, body.model);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id: `msg_mock_${Date.now()}`,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn'
+    }));
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  createMockAnthropicServer().listen(PORT, () => {
+    console.log(`[Mock Anthropic] Listening on http://localhost:${PORT}`);
+    console.log(`[Mock Anthropic] Use: ANTHROPIC_BASE_URL=http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createMockAnthropicServer, scriptedReply, FINAL_RESULTS };
@@ -0,0 +1,79 @@
+/**
+ * Data Retention Purge
+ *
+ * Applies the retention policy (api/lib/retention.js):
+ * - clears IP hashes older than RETENTION_IP_HASH_DAYS (default 30)
+ * - anonymizes or deletes assessments older than RETENTION_MONTHS
+ *   (default 24, RETENTION_ACTION=anonymize|delete)
+ *
+ * Run with:
+ *   npm run purge-data -- --dry-run     # report what would be purged, change nothing
+ *   npm run purge-data                  # purge, and log the run in purge_runs
+ *   npm run purge-data -- --history     # show the last 10 purge runs
+ *
+ * TEACHING MOMENT: Like expire-sessions, this only does anything when it
+ * runs - schedule it daily (e.g. a cron job). Always try --dry-run after
+ * changing the settings: a deleted row can't be brought back.
+ */
+
+const { initDb, closeDb, getDbPath, purgeExpiredData, getPurgeRuns } = require('../api/lib/db.js');
+const { getRetentionConfig, getRetentionCutoffs } = require('../api/lib/retention.js');
+
+async function purgeData({ dryRun = false } = {}) {
+  const config = getRetentionConfig();
+  const cutoffs = getRetentionCutoffs(config);
+
+  console.log('='.repeat(50));
+  console.log(dryRun ? 'DATA RETENTION PURGE (DRY RUN)' : 'DATA RETENTION PURGE');
+  console.log('='.repeat(50));
+  console.log();
+
+  await initDb();
+  console.log(`Database:     ${getDbPath()}`);
+  console.log(`IP hashes:    cleared when older than ${cutoffs.ipHashCutoff} UTC (${config.ipHashDays} days)`);
+  console.log(cutoffs.rowCutoff
+    ? `Assessments:  ${config.action === 'delete' ? 'deleted' : 'anonymized'} when older than ${cutoffs.rowCutoff} UTC (${config.months} months)`
+    : 'Assessments:  kept (RETENTION_MONTHS=0)');
+  console.log();
+
+  const counts = await purgeExpiredData(cutoffs, { dryRun });
+  const verb = dryRun ? 'Would purge' : 'Purged';
+  console.log(`${verb}:`);
+  console.log(`  IP hashes cleared:      ${counts.ipHashesCleared}`);
+  console.log(`  Rate limit counters:    ${counts.rateLimitsDeleted}`);
+  console.log(`  Assessments ${config.action === 'delete' ? 'deleted:   ' : 'anonymized:'} ${counts.assessmentsPurged}`);
+  console.log(`  Old sessions:           ${counts.sessionsPurged}`);
+  console.log();
+  console.log(dryRun ? 'Dry run - nothing was changed.' : 'Logged in purge_runs.');
+
+  await closeDb();
+  return counts;
+}
+
+async function showHistory() {
+  await initDb();
+  const runs = await getPurgeRuns();
+
+  console.log('='.repeat(50));
+  console.log('RECENT PURGE RUNS');
+  console.log('='.repeat(50));
+  if (runs.length === 0) console.log('No purge runs yet.');
+  for (const run of runs) {
+    console.log(`${run.ran_at}  ${run.action.padEnd(9)}  ip hashes ${run.ip_hashes_cleared}, rate limits ${run.rate_limits_deleted}, assessments ${run.assessments_purged}, sessions ${run.sessions_purged}`);
+  }
+
+  await closeDb();
+  return runs;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const run = args.includes('--history') ? showHistory() : purgeData({ dryRun: args.includes('--dry-run') });
+  run.catch(error => {
+    console.error('\nPURGE ERROR:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { purgeData, showHistory };
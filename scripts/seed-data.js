@@ -14,21 +14,18 @@
  * Run with: node scripts/seed-data.js
  */
 
-const { initDb, getDb, saveDb, getDbPath } = require('../api/lib/db.js');
+const { initDb, getDb, saveDb, closeDb, getDbPath } = require('../api/lib/db.js');
+const { PILLARS_BY_KEY } = require('../api/lib/scoring.js');
+const { PROMPT_VERSION } = require('../api/lib/rubric.js');
 
 // =========================================================
 // CONFIGURATION
 // =========================================================
 
 // Score ranges for each pillar (based on number of questions)
-const PILLAR_CONFIG = {
-  numeracy:      { max: 10, weakThreshold: 4 },  // 10 questions
-  reading:       { max: 5,  weakThreshold: 2 },  // 5 questions
-  computer:      { max: 10, weakThreshold: 4 },  // 10 questions
-  logic:         { max: 8,  weakThreshold: 3 },  // 8 questions
-  communication: { max: 5,  weakThreshold: 2 },  // 5 questions
-  mindset:       { max: 7,  weakThreshold: 3 }   // 7 questions
-};
+// TEACHING MOMENT: These come from the shared scoring engine, so the seed
+// data always uses the same max scores and weakness thresholds as the app.
+const PILLAR_CONFIG = PILLARS_BY_KEY;
 
 // Readiness level distribution (must sum to 1.0)
 // TEACHING MOMENT: This creates a realistic bell curve centered on Level 2
@@ -202,56 +199,75 @@ async function seedDatabase() {
 
   // Clear existing demo data (keep any real assessments)
   console.log('Clearing existing demo records...');
-  db.run("DELETE FROM assessments WHERE session_id LIKE 'demo_%'");
+  await db.run("DELETE FROM assessment_scores WHERE session_id LIKE 'demo_%'");
+  await db.run("DELETE FROM assessments WHERE session_id LIKE 'demo_%'");
   saveDb();
 
   console.log('Generating 100 new demo records...\n');
 
   // Generate 100 records
-  for (let i = 0; i < 100; i++) {
-    const readinessData = selectReadinessLevel();
-    let scores = generateBaseScores(readinessData.level);
-    scores = enforcePatterns(scores);
-
-    const sessionId = `demo_${String(i + 1).padStart(3, '0')}_${Date.now()}`;
-    const timestamp = generateTimestamp();
-
-    // Insert record
-    db.run(`
-      INSERT INTO assessments (
-        session_id,
+  // TEACHING MOMENT: Wrapping all 100 inserts in one transaction is much
+  // faster - the database commits (and SQLite saves the file) only once.
+  await db.transaction(async tx => {
+    for (let i = 0; i < 100; i++) {
+      const readinessData = selectReadinessLevel();
+      let scores = generateBaseScores(readinessData.level);
+      scores = enforcePatterns(scores);
+
+      const sessionId = `demo_${String(i + 1).padStart(3, '0')}_${Date.now()}`;
+      const timestamp = generateTimestamp();
+      // Split demo students into two cohorts so analytics filters have something to show
+      const cohort = i % 2 === 0 ? 'demo-morning' : 'demo-evening';
+
+      // Insert record
+      await tx.run(`
+        INSERT INTO assessments (
+          session_id,
+          timestamp,
+          numeracy_score,
+          reading_score,
+          computer_score,
+          logic_score,
+          communication_score,
+          mindset_score,
+          readiness_level,
+          readiness_title,
+          user_ip_hash,
+          consent_given,
+          cohort,
+          prompt_version
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        sessionId,
         timestamp,
-        numeracy_score,
-        reading_score,
-        computer_score,
-        logic_score,
-        communication_score,
-        mindset_score,
-        readiness_level,
-        readiness_title,
-        user_ip_hash,
-        consent_given
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      sessionId,
-      timestamp,
-      scores.numeracy,
-      scores.reading,
-      scores.computer,
-      scores.logic,
-      scores.communication,
-      scores.mindset,
-      readinessData.level,
-      readinessData.title,
-      null,  // Demo data doesn't need IP tracking
-      1      // consent_given = true
-    ]);
-
-    // Progress indicator
-    if ((i + 1) % 20 === 0) {
-      console.log(`  Generated ${i + 1} records...`);
+        scores.numeracy,
+        scores.reading,
+        scores.computer,
+        scores.logic,
+        scores.communication,
+        scores.mindset,
+        readinessData.level,
+        readinessData.title,
+        null,  // Demo data doesn't need IP tracking
+        1,     // consent_given = true
+        cohort,
+        PROMPT_VERSION
+      ]);
+
+      // Per-pillar scores, the table analytics and exports read from
+      for (const [pillar, score] of Object.entries(scores)) {
+        await tx.run(
+          'INSERT INTO assessment_scores (session_id, pillar, score, max_score) VALUES (?, ?, ?, ?)',
+          [sessionId, pillar, score, PILLAR_CONFIG[pillar].max]
+        );
+      }
+
+      // Progress indicator
+      if ((i + 1) % 20 === 0) {
+        console.log(`  Generated ${i + 1} records...`);
+      }
     }
-  }
+  });
 
   // Save all changes to disk
   saveDb();
@@ -264,48 +280,47 @@ async function seedDatabase() {
   console.log('\nVerifying patterns:\n');
 
   // Total count
-  const totalResult = db.exec('SELECT COUNT(*) FROM assessments');
-  const total = totalResult[0].values[0][0];
+  const totalResult = await db.get('SELECT COUNT(*) AS count FROM assessments');
+  const total = totalResult.count;
   console.log(`Total assessments: ${total}`);
 
   // Reading weakness
-  const readingResult = db.exec(`
-    SELECT COUNT(*) FROM assessments
+  const readingResult = await db.get(`
+    SELECT COUNT(*) AS count FROM assessments
     WHERE reading_score <= ${PILLAR_CONFIG.reading.weakThreshold}
   `);
-  const readingWeak = readingResult[0].values[0][0];
+  const readingWeak = readingResult.count;
   const readingPct = ((readingWeak / total) * 100).toFixed(0);
   console.log(`Reading weakness: ${readingWeak} students (${readingPct}%) - Target: 68%`);
 
   // Communication weakness
-  const commResult = db.exec(`
-    SELECT COUNT(*) FROM assessments
+  const commResult = await db.get(`
+    SELECT COUNT(*) AS count FROM assessments
     WHERE communication_score <= ${PILLAR_CONFIG.communication.weakThreshold}
   `);
-  const commWeak = commResult[0].values[0][0];
+  const commWeak = commResult.count;
   const commPct = ((commWeak / total) * 100).toFixed(0);
   console.log(`Communication weakness: ${commWeak} students (${commPct}%) - Target: 62%`);
 
   // Readiness distribution
   console.log('\nReadiness level distribution:');
-  const distResult = db.exec(`
-    SELECT readiness_level, readiness_title, COUNT(*) as count
+  const distResult = await db.all(`
+    SELECT readiness_level, MIN(readiness_title) AS readiness_title, COUNT(*) AS count
     FROM assessments
     GROUP BY readiness_level
     ORDER BY readiness_level
   `);
 
-  if (distResult.length > 0) {
-    distResult[0].values.forEach(row => {
-      const [level, title, count] = row;
-      const pct = ((count / total) * 100).toFixed(0);
-      console.log(`  Level ${level} (${title}): ${count} students (${pct}%)`);
-    });
-  }
+  distResult.forEach(row => {
+    const pct = ((row.count / total) * 100).toFixed(0);
+    console.log(`  Level ${row.readiness_level} (${row.readiness_title}): ${row.count} students (${pct}%)`);
+  });
 
   console.log('\n' + '='.repeat(50));
   console.log('Ready for CSV export and dashboard testing!');
   console.log('='.repeat(50));
+
+  await closeDb();
 }
 
 // Run if called directly
@@ -0,0 +1,163 @@
+/**
+ * Local SMTP Sink
+ *
+ * A tiny mail server that accepts every message and prints it instead of
+ * delivering it - so you can test results emails without a real mail
+ * account, and without emailing anyone by accident.
+ *
+ * Run with:
+ *   npm run smtp-sink
+ *   SMTP_HOST=localhost SMTP_PORT=2525 vercel dev
+ *
+ * It speaks just enough SMTP for lib/smtp.js: EHLO/HELO, AUTH PLAIN
+ * (any login is accepted), MAIL FROM, RCPT TO, DATA, RSET, NOOP, QUIT.
+ * No STARTTLS - everything stays on your machine. To test with a login,
+ * add SMTP_ALLOW_INSECURE_AUTH=true (lib/smtp.js won't send one in clear
+ * text otherwise).
+ */
+
+const net = require('net');
+
+const PORT = parseInt(process.env.SMTP_SINK_PORT, 10) || 2525;
+
+/**
+ * Split a raw message into headers and decoded parts
+ *
+ * @param {string} data - The message as received (after DATA)
+ * @returns {Object} - { headers: { name: value }, parts: [{ type, body }] }
+ */
+function decodeMessage(data) {
+  const [head, ...rest] = data.split(/\r?\n\r?\n/);
+  const body = rest.join('\r\n\r\n');
+  const headers = {};
+  for (const line of head.split(/\r?\n/)) {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) headers[match[1].toLowerCase()] = match[2];
+  }
+
+  // =?UTF-8?B?...?= → text
+  for (const [name, value] of Object.entries(headers)) {
+    headers[name] = value.replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+  }
+
+  const boundary = (headers['content-type'] || '').match(/boundary="([^"]+)"/);
+  const sections = boundary
+    ? body.split(`--${boundary[1]}`).slice(1, -1)
+    : [`Content-Type: ${headers['content-type'] || 'text/plain'}\r\n\r\n${body}`];
+
+  const parts = sections.map(section => {
+    const [partHead, ...partBody] = section.replace(/^\r?\n/, '').split(/\r?\n\r?\n/);
+    const raw = partBody.join('\r\n\r\n');
+    const type = ((partHead.match(/Content-Type:\s*([^;\r\n]+)/i) || [])[1] || 'text/plain').trim();
+    const base64 = /Content-Transfer-Encoding:\s*base64/i.test(partHead);
+    return { type, body: base64 ? Buffer.from(raw.replace(/\s+/g, ''), 'base64').toString('utf8') : raw };
+  });
+
+  return { headers, parts };
+}
+
+/**
+ * Create the sink (not yet listening)
+ *
+ * @param {Object} options - { onMessage({ from, to, data }) } called for each message
+ * @returns {net.Server} - with .messages, every message received so far,
+ *   and .logins, how many times a client sent AUTH
+ */
+function createSmtpSink({ onMessage = () => {} } = {}) {
+  const messages = [];
+  let logins = 0;
+
+  const server = net.createServer(socket => {
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let readingData = false;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost SMTP sink ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer.length > 0) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end < 0) return;
+          // Undo dot-stuffing ("..x" at the start of a line was ".x")
+          const data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          readingData = false;
+
+          const message = { from: envelope.from, to: envelope.to, data };
+          messages.push(message);
+          onMessage(message);
+          envelope = { from: null, to: [] };
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const end = buffer.indexOf('\r\n');
+        if (end < 0) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+
+        if (verb === 'EHLO') {
+          reply('250-localhost');
+          reply('250-AUTH PLAIN');
+          reply('250 8BITMIME');
+        } else if (verb === 'HELO' || verb === 'NOOP') {
+          reply('250 OK');
+        } else if (verb === 'AUTH') {
+          logins++;
+          reply('235 Authentication successful');
+        } else if (verb === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+          reply('250 OK');
+        } else if (verb === 'RCPT') {
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+          reply('250 OK');
+        } else if (verb === 'DATA') {
+          readingData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+          return;
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.messages = messages;
+  Object.defineProperty(server, 'logins', { get: () => logins });
+  return server;
+}
+
+if (require.main === module) {
+  const server = createSmtpSink({
+    onMessage: ({ from, to, data }) => {
+      const { headers, parts } = decodeMessage(data);
+      const text = parts.find(part => part.type === 'text/plain');
+      console.log('='.repeat(60));
+      console.log(`From:    ${from}`);
+      console.log(`To:      ${to.join(', ')}`);
+      console.log(`Subject: ${headers.subject}`);
+      console.log(`Parts:   ${parts.map(part => part.type).join(', ')}`);
+      console.log('='.repeat(60));
+      console.log(text ? text.body : '(no plain text part)');
+      console.log();
+    }
+  });
+  server.listen(PORT, () => {
+    console.log(`[SMTP Sink] Listening on localhost:${PORT}`);
+    console.log(`[SMTP Sink] Use: SMTP_HOST=localhost SMTP_PORT=${PORT}`);
+  });
+}
+
+module.exports = { createSmtpSink, decodeMessage };
@@ -5,38 +5,82 @@
  * This output can be used as talking points for your demo!
  *
  * Run with: node scripts/verify-patterns.js
+ *
+ * Optional filters (same as GET /api/analytics):
+ *   node scripts/verify-patterns.js --from 2025-01-01 --to 2025-03-31
+ *   node scripts/verify-patterns.js --cohort spring-2025
+ *   node scripts/verify-patterns.js --promptVersion m0-v1
+ *   node scripts/verify-patterns.js --milestone milestone-1
+ *
+ * Groups smaller than K_ANONYMITY_MIN (default 5) are shown as "<5" -
+ * see api/lib/k-anonymity.js.
  */
 
-const { initDb, getDb, getDbPath } = require('../api/lib/db.js');
+const { initDb, closeDb, getDbPath } = require('../api/lib/db.js');
+
+// The numbers themselves are computed in one shared place, so this report
+// and the /api/analytics endpoint always agree
+const { parseAnalyticsFilters, analyzeAssessments } = require('../api/lib/analytics.js');
 
-// Pillar configuration (same as seed script)
-const PILLARS = [
-  { name: 'Reading',       column: 'reading_score',       threshold: 2, max: 5 },
-  { name: 'Communication', column: 'communication_score', threshold: 2, max: 5 },
-  { name: 'Logic',         column: 'logic_score',         threshold: 3, max: 8 },
-  { name: 'Numeracy',      column: 'numeracy_score',      threshold: 4, max: 10 },
-  { name: 'Computer',      column: 'computer_score',      threshold: 4, max: 10 },
-  { name: 'Mindset',       column: 'mindset_score',       threshold: 3, max: 7 }
-];
+// Turn ['--from', '2025-01-01', '--cohort', 'x'] into { from: '2025-01-01', cohort: 'x' }
+function readFilterArgs(args) {
+  const query = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    query[name] = args[i + 1];
+  }
+  return query;
+}
+
+async function analyzePatterns(query = readFilterArgs(process.argv.slice(2))) {
+  const { filters, errors } = parseAnalyticsFilters(query);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
 
-async function analyzePatterns() {
   console.log('='.repeat(60));
   console.log('BOOTCAMP ASSESSMENT DATA ANALYSIS');
   console.log('='.repeat(60));
   console.log();
-  console.log(`Database: ${getDbPath()}`);
+  console.log(`Database:  ${getDbPath()}`);
+  console.log(`Milestone: ${filters.milestone}`);
+  if (filters.from || filters.to) {
+    console.log(`Dates:     ${filters.from || 'start'} to ${filters.to || 'today'}`);
+  }
+  if (filters.cohort) {
+    console.log(`Cohort:    ${filters.cohort}`);
+  }
+  if (filters.promptVersion) {
+    console.log(`Rubric:    ${filters.promptVersion}`);
+  }
   console.log();
 
-  // Initialize and get database
-  await initDb();
-  const db = await getDb();
+  // Initialize database and run the shared analysis
+  const db = await initDb();
+  const analysis = await analyzeAssessments(db, filters);
 
   // Total assessments
-  const totalResult = db.exec('SELECT COUNT(*) FROM assessments');
-  const total = totalResult[0].values[0][0];
+  const total = analysis.total;
   console.log(`Total Assessments: ${total}`);
   console.log();
 
+  if (total === 0) {
+    console.log('No assessments match - nothing to analyze.');
+    await closeDb();
+    return analysis;
+  }
+
+  if (analysis.suppressed) {
+    console.log(`Fewer than ${analysis.minGroupSize} assessments match - too few to report on without`);
+    console.log('singling students out (K_ANONYMITY_MIN). Widen the filters.');
+    await closeDb();
+    return analysis;
+  }
+
+  // Suppressed groups (null) print as "<k"
+  const hidden = `<${analysis.minGroupSize}`;
+  const show = value => (value === null ? hidden : value);
+
   // =========================================================
   // READINESS LEVEL DISTRIBUTION
   // =========================================================
@@ -44,22 +88,12 @@ async function analyzePatterns() {
   console.log('READINESS LEVEL DISTRIBUTION');
   console.log('-'.repeat(60));
 
-  const readinessResult = db.exec(`
-    SELECT readiness_level, readiness_title, COUNT(*) as count
-    FROM assessments
-    GROUP BY readiness_level
-    ORDER BY readiness_level
-  `);
-
-  if (readinessResult.length > 0) {
-    readinessResult[0].values.forEach(row => {
-      const [level, title, count] = row;
-      const pct = ((count / total) * 100).toFixed(1);
-      const bar = '#'.repeat(Math.round(pct / 2));
-      console.log(`  Level ${level}: ${String(count).padStart(3)} students (${pct.padStart(5)}%) ${bar}`);
-      console.log(`         ${title}`);
-    });
-  }
+  analysis.readinessDistribution.forEach(row => {
+    const pct = row.suppressed ? '-' : row.percent.toFixed(1);
+    const bar = '#'.repeat(Math.round((row.percent || 0) / 2));
+    console.log(`  Level ${row.level}: ${String(show(row.count)).padStart(3)} students (${pct.padStart(5)}%) ${bar}`);
+    console.log(`         ${row.title}`);
+  });
   console.log();
 
   // =========================================================
@@ -69,42 +103,18 @@ async function analyzePatterns() {
   console.log('PILLAR WEAKNESS ANALYSIS (Sorted by Struggle Rate)');
   console.log('-'.repeat(60));
 
-  const pillarStats = [];
-
-  for (const pillar of PILLARS) {
-    // Count struggling students
-    const weakResult = db.exec(`
-      SELECT COUNT(*) FROM assessments
-      WHERE ${pillar.column} <= ${pillar.threshold}
-    `);
-    const weakCount = weakResult[0].values[0][0];
-
-    // Calculate average
-    const avgResult = db.exec(`
-      SELECT AVG(${pillar.column}) FROM assessments
-    `);
-    const avgScore = avgResult[0].values[0][0];
-
-    pillarStats.push({
-      name: pillar.name,
-      weakCount,
-      weakPct: (weakCount / total) * 100,
-      avgScore,
-      max: pillar.max,
-      avgPct: (avgScore / pillar.max) * 100
-    });
-  }
-
-  // Sort by weakness percentage (highest first)
-  pillarStats.sort((a, b) => b.weakPct - a.weakPct);
+  // Already sorted by struggle rate (highest first)
+  const pillarStats = analysis.pillars;
 
   pillarStats.forEach((stat, index) => {
-    const bar = '#'.repeat(Math.round(stat.weakPct / 2));
-    const marker = index === 0 ? ' <-- PRIMARY WEAKNESS' : (index === 1 ? ' <-- SECONDARY' : '');
+    const bar = '#'.repeat(Math.round((stat.struggleRate || 0) / 2));
+    const marker = stat.suppressed ? '' : (index === 0 ? ' <-- PRIMARY WEAKNESS' : (index === 1 ? ' <-- SECONDARY' : ''));
     console.log();
     console.log(`  ${stat.name}:${marker}`);
-    console.log(`    Struggling: ${stat.weakCount} students (${stat.weakPct.toFixed(1)}%) ${bar}`);
-    console.log(`    Average:    ${stat.avgScore.toFixed(1)}/${stat.max} (${stat.avgPct.toFixed(1)}%)`);
+    console.log(stat.suppressed
+      ? `    Struggling: ${hidden} students, or all but ${hidden} (suppressed)`
+      : `    Struggling: ${stat.struggleCount} students (${stat.struggleRate.toFixed(1)}%) ${bar}`);
+    console.log(`    Average:    ${stat.averageScore.toFixed(1)}/${stat.max} (${stat.averagePercent.toFixed(1)}%)`);
   });
   console.log();
 
@@ -116,20 +126,26 @@ async function analyzePatterns() {
   console.log('='.repeat(60));
   console.log();
 
+  // Sorted with suppressed pillars last
   const primary = pillarStats[0];
   const secondary = pillarStats[1];
 
-  console.log(`  PRIMARY FINDING:`);
-  console.log(`  "${primary.weakPct.toFixed(0)}% of students struggle with ${primary.name.toLowerCase()}"`);
-  console.log();
-  console.log(`  SECONDARY FINDING:`);
-  console.log(`  "${secondary.weakPct.toFixed(0)}% of students struggle with ${secondary.name.toLowerCase()}"`);
-  console.log();
-  console.log(`  IMPACT STATEMENT:`);
-  console.log(`  "Without this data, I was guessing what to teach.`);
-  console.log(`   Now I know to prioritize ${primary.name.toLowerCase()} and ${secondary.name.toLowerCase()}`);
-  console.log(`   support materials before technical training."`);
-  console.log();
+  if (!secondary || secondary.suppressed) {
+    console.log('  Too few students in each group for headline findings yet.');
+    console.log();
+  } else {
+    console.log(`  PRIMARY FINDING:`);
+    console.log(`  "${primary.struggleRate.toFixed(0)}% of students struggle with ${primary.name.toLowerCase()}"`);
+    console.log();
+    console.log(`  SECONDARY FINDING:`);
+    console.log(`  "${secondary.struggleRate.toFixed(0)}% of students struggle with ${secondary.name.toLowerCase()}"`);
+    console.log();
+    console.log(`  IMPACT STATEMENT:`);
+    console.log(`  "Without this data, I was guessing what to teach.`);
+    console.log(`   Now I know to prioritize ${primary.name.toLowerCase()} and ${secondary.name.toLowerCase()}`);
+    console.log(`   support materials before technical training."`);
+    console.log();
+  }
 
   // =========================================================
   // SCORE DISTRIBUTION SUMMARY
@@ -139,18 +155,38 @@ async function analyzePatterns() {
   console.log('-'.repeat(60));
 
   // Sort by average score (lowest first)
-  const sortedByAvg = [...pillarStats].sort((a, b) => a.avgPct - b.avgPct);
+  const sortedByAvg = [...pillarStats].sort((a, b) => a.averagePercent - b.averagePercent);
 
   sortedByAvg.forEach(stat => {
-    const barLength = Math.round(stat.avgPct / 2);
+    const barLength = Math.round(stat.averagePercent / 2);
     const bar = '█'.repeat(barLength) + '░'.repeat(50 - barLength);
-    console.log(`  ${stat.name.padEnd(14)} ${bar} ${stat.avgPct.toFixed(0)}%`);
+    console.log(`  ${stat.name.padEnd(14)} ${bar} ${stat.averagePercent.toFixed(0)}%`);
   });
   console.log();
 
+  // =========================================================
+  // ADAPTIVE QUESTION PATHS (question bank pillars only)
+  // =========================================================
+  if (analysis.adaptivePaths.length > 0) {
+    console.log('-'.repeat(60));
+    console.log('ADAPTIVE QUESTION PATHS');
+    console.log('-'.repeat(60));
+
+    analysis.adaptivePaths.forEach(path => {
+      console.log();
+      console.log(`  ${path.name}: ${path.students} students`);
+      console.log(`    Questions:  ${path.averageQuestions.toFixed(1)} on average (difficulty ${path.averageDifficulty.toFixed(1)})`);
+      console.log(`    Stopped:    ${show(path.stoppedStrong)} clearly strong, ${show(path.stoppedWeak)} clearly weak, ${show(path.reachedLimit)} borderline (all questions)`);
+    });
+    console.log();
+  }
+
   console.log('='.repeat(60));
   console.log('Analysis complete! Use these insights for your demo.');
   console.log('='.repeat(60));
+
+  await closeDb();
+  return analysis;
 }
 
 // Run if called directly
@@ -0,0 +1,1575 @@
+/**
+ * Assessment Flow Test Suite
+ *
+ * Drives api/chat.js end to end with a SCRIPTED fake model - no API key,
+ * no network - and checks what lands in the database:
+ *   npm test
+ *
+ * TEACHING MOMENT: Each scenario is a canned conversation. The fake model
+ * replays its replies in order (including broken JSON and API errors), the
+ * real handler does everything else: sessions, validation, scoring,
+ * consent, saving. Then we look inside the database to see what happened.
+ *
+ * The tests use a fresh SQLite file in a temporary folder, so your own
+ * assessments.db is never touched.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolate the database BEFORE db.js is loaded: SQLite lives in the
+// current folder, and DATABASE_URL would point us at a real Postgres
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bootcamp-test-'));
+process.chdir(testDir);
+delete process.env.DATABASE_URL;
+delete process.env.VERCEL;
+process.env.NODE_ENV = 'test';
+process.env.IP_HASH_SECRET = 'test-ip-hash-secret-0123456789';
+delete process.env.IP_HASH_KEY_VERSION;
+delete process.env.K_ANONYMITY_MIN;
+
+const { getDb, closeDb } = require('./api/lib/db.js');
+const {
+  getModelConfig,
+  createProviderClient,
+  createResilientClient,
+  createScriptedClient,
+  setModelClient
+} = require('./api/lib/model-client.js');
+const { scoreAssessment } = require('./api/lib/scoring.js');
+const { RUBRIC, PROMPT_VERSION, getMilestone, validateRubric, buildSystemPrompt } = require('./api/lib/rubric.js');
+const { getQuestionBank, gradeAnswer } = require('./api/lib/question-bank.js');
+const { getResourceCatalog, validateResourceCatalog, parsePrepTime, buildPrepPlan } = require('./api/lib/prep-plan.js');
+const { analyzeAssessments } = require('./api/lib/analytics.js');
+const { getRetentionConfig, getRetentionCutoffs } = require('./api/lib/retention.js');
+const { getIpHashConfig } = require('./api/lib/ip-hash.js');
+const { createMockAnthropicServer } = require('./scripts/mock-anthropic.js');
+const { createSmtpTransport, setMailTransport } = require('./api/lib/mailer.js');
+const { createSmtpSink, decodeMessage } = require('./scripts/smtp-sink.js');
+
+// Keep the mock server fast and short: one question, then results
+process.env.MOCK_DELAY_MS = '1';
+process.env.MOCK_QUESTIONS = '1';
+
+// Raw pillar scores used by most scenarios (→ readiness level 3)
+const SCORES = { numeracy: 8, reading: 2, computer: 9, logic: 6, communication: 3, mindset: 6 };
+
+/**
+ * Build the model's final message with a results JSON block
+ *
+ * @param {Object} scores - Raw pillar scores
+ * @param {Object} overrides - Fields to replace (e.g. a wrong readiness_level)
+ * @param {Object} milestone - Rubric to score with (default: Milestone 0)
+ * @returns {string}
+ */
+function finalMessage(scores = SCORES, overrides = {}, milestone = RUBRIC) {
+  const results = {
+    assessment_complete: true,
+    ...scoreAssessment(scores, milestone),
+    overall_message: 'Well done!',
+    strengths: ['Computer skills'],
+    areas_to_develop: ['Reading'],
+    next_steps: 'Practice reading documentation.',
+    ...overrides
+  };
+  return `Here are your results!\n\n${JSON.stringify(results, null, 2)}`;
+}
+
+// A fake Vercel response that records everything the handler sends
+function createMockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    chunks: [],
+    ended: false,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.ended = true; return this; },
+    send(body) { this.body = body; this.ended = true; return this; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; return this; },
+
+    // Parse the server-sent events written so far
+    events() {
+      return this.chunks.map(chunk => {
+        const [, event] = chunk.match(/^event: (.*)$/m);
+        const [, data] = chunk.match(/^data: (.*)$/m);
+        return { event, data: JSON.parse(data) };
+      });
+    }
+  };
+}
+
+/**
+ * Run a conversation against the real handler
+ *
+ * @param {Object} options - { steps, ip } for a scripted model,
+ *                           or { model, ip } to bring your own client
+ * @returns {Object} - { send(body, query) → res, model }
+ */
+async function startConversation({ steps, model = createScriptedClient(steps), ip }) {
+  const { default: handler } = await import('./api/chat.js');
+  setModelClient(model);
+
+  let sessionId = null;
+
+  return {
+    model,
+    async send(body, query = {}) {
+      const res = createMockResponse();
+      const req = {
+        method: 'POST',
+        headers: { 'x-forwarded-for': ip },
+        query,
+        body: { sessionId, ...body }
+      };
+      await handler(req, res);
+
+      const payload = res.body || (res.chunks.length > 0 ? res.events().at(-1).data : null);
+      if (payload && payload.sessionId) sessionId = payload.sessionId;
+      return res;
+    },
+    get sessionId() {
+      return sessionId;
+    }
+  };
+}
+
+const hashOf = (ip, secret = process.env.IP_HASH_SECRET) => crypto.createHmac('sha256', secret).update(ip).digest('hex');
+
+async function getAssessmentRow(sessionId) {
+  const db = await getDb();
+  return db.get('SELECT * FROM assessments WHERE session_id = ?', [sessionId]);
+}
+
+// Per-pillar scores as { pillar: score }
+async function getPillarScores(sessionId) {
+  const db = await getDb();
+  const rows = await db.all('SELECT pillar, score FROM assessment_scores WHERE session_id = ?', [sessionId]);
+  return Object.fromEntries(rows.map(row => [row.pillar, row.score]));
+}
+
+async function getSessionRow(sessionId) {
+  const db = await getDb();
+  return db.get('SELECT * FROM chat_sessions WHERE session_id = ?', [sessionId]);
+}
+
+async function countAnswers(sessionId) {
+  const db = await getDb();
+  const row = await db.get('SELECT COUNT(*) AS count FROM question_answers WHERE session_id = ?', [sessionId]);
+  return row.count;
+}
+
+async function countTurns(sessionId) {
+  const db = await getDb();
+  const row = await db.get('SELECT COUNT(*) AS count FROM chat_turns WHERE session_id = ?', [sessionId]);
+  return row.count;
+}
+
+// =========================================================
+// SCENARIOS
+// =========================================================
+
+const scenarios = [];
+const scenario = (name, fn) => scenarios.push({ name, fn });
+
+scenario('completes an assessment and saves it (consent given)', async () => {
+  const chat = await startConversation({
+    ip: '10.0.0.1',
+    steps: ['Question 1: what is 10% of 50?', 'Question 2: ...', finalMessage()]
+  });
+
+  let res = await chat.send({ message: "Hi, I'm ready", consentGiven: true });
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(chat.sessionId.startsWith('session_'));
+  assert.strictEqual(res.body.assessmentResults, null);
+
+  res = await chat.send({ message: '5', consentGiven: true });
+  assert.strictEqual(res.statusCode, 200);
+
+  res = await chat.send({ message: 'My answer', consentGiven: true });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.assessmentResults.readiness_level, 3);
+
+  // The model saw the whole conversation on the last turn
+  assert.strictEqual(chat.model.calls[2].messages.length, 5);
+
+  const row = await getAssessmentRow(chat.sessionId);
+  assert.ok(row, 'assessment row saved');
+  assert.deepStrictEqual(
+    [row.numeracy_score, row.reading_score, row.computer_score, row.logic_score, row.communication_score, row.mindset_score],
+    [8, 2, 9, 6, 3, 6]
+  );
+  assert.strictEqual(row.readiness_level, 3);
+  assert.strictEqual(row.readiness_title, 'Need Foundation Work');
+  assert.strictEqual(row.user_ip_hash, hashOf('10.0.0.1'), 'IP stored only as a hash');
+  assert.strictEqual(Number(row.consent_given), 1);
+  assert.strictEqual(row.prompt_version, PROMPT_VERSION);
+  assert.strictEqual(row.milestone, 'milestone-0');
+  assert.deepStrictEqual(await getPillarScores(chat.sessionId), SCORES);
+
+  assert.strictEqual((await getSessionRow(chat.sessionId)).status, 'completed');
+  assert.strictEqual(await countTurns(chat.sessionId), 6, 'transcript kept');
+  assert.strictEqual(chat.model.remaining(), 0);
+});
+
+scenario('generates the system prompt from the rubric config', async () => {
+  const chat = await startConversation({ ip: '10.0.0.12', steps: ['Question 1'] });
+  await chat.send({ message: 'Hi' });
+
+  // The rubric's prompt, then this turn's question bank instructions
+  const system = chat.model.calls[0].system;
+  assert.ok(system.startsWith(`${buildSystemPrompt()}\n\n## QUESTION BANK`));
+  assert.ok(system.includes('6 PILLARS (45 questions total)'));
+  assert.ok(system.includes('### 2. READING COMPREHENSION (5 questions)'));
+  assert.ok(system.includes('- 9-10: STRONG (Green)'));
+  assert.ok(system.includes('- 0: NOT READY (Red)'));
+  assert.ok(system.includes('**Level 5: NOT YET READY**'));
+
+  // A broken edit to a milestone file is caught, not silently mis-scored
+  assert.deepStrictEqual(validateRubric(RUBRIC), []);
+  const broken = JSON.parse(JSON.stringify(RUBRIC));
+  broken.pillars[0].bands.reverse();
+  broken.readinessLevels.pop();
+  broken.readinessLevels[0].level = 2;
+  assert.strictEqual(validateRubric(broken).length, 2);
+});
+
+scenario('assesses another milestone chosen with ?milestone=', async () => {
+  const milestone = getMilestone('milestone-1');
+  const scores = { formulas: 8, functions: 6, cleaning: 6, pivots: 5, charts: 4, concepts: 2 };
+  const chat = await startConversation({
+    ip: '10.0.0.13',
+    steps: ['Question 1: how would you sum B2:B20?', finalMessage(scores, {}, milestone)]
+  });
+
+  let res = await chat.send({ message: 'Hi' }, { milestone: 'milestone-1' });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.milestone, 'milestone-1');
+  assert.strictEqual(chat.model.calls[0].system, buildSystemPrompt(milestone));
+
+  // Later turns follow the session, whatever the query says
+  res = await chat.send({ message: '=SUM(B2:B20)' }, { milestone: 'milestone-0' });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(chat.model.calls[1].system, buildSystemPrompt(milestone));
+  assert.strictEqual(res.body.assessmentResults.readiness_title, 'Revisit Key Lessons');
+
+  const row = await getAssessmentRow(chat.sessionId);
+  assert.strictEqual(row.milestone, 'milestone-1');
+  assert.strictEqual(row.prompt_version, 'm1-v1');
+  assert.strictEqual(row.readiness_level, 3);
+  assert.strictEqual(row.numeracy_score, null, 'Milestone 0 columns stay empty');
+  assert.deepStrictEqual(await getPillarScores(chat.sessionId), scores);
+
+  // Unknown milestones are rejected before the model is called
+  const other = await startConversation({ ip: '10.0.0.14', steps: [] });
+  res = await other.send({ message: 'Hi' }, { milestone: 'milestone-99' });
+  assert.strictEqual(res.statusCode, 400);
+  assert.ok(res.body.error.includes('milestone-0, milestone-1'));
+});
+
+scenario('corrects model scoring that disagrees with the rubric', async () => {
+  const chat = await startConversation({
+    ip: '10.0.0.2',
+    steps: [finalMessage(SCORES, { readiness_level: 1, readiness_title: 'Ready to Start' })]
+  });
+
+  const res = await chat.send({ message: 'Done', consentGiven: true });
+  assert.strictEqual(res.body.assessmentResults.readiness_level, 3);
+  assert.strictEqual(res.body.assessmentResults.scoring_adjusted, true);
+
+  const row = await getAssessmentRow(chat.sessionId);
+  assert.strictEqual(row.readiness_level, 3, 'saved level comes from the rubric');
+});
+
+scenario('grades question bank answers on the server and adapts difficulty per pillar', async () => {
+  const bank = getQuestionBank('milestone-0');
+  // Hi + two unanswered replies + 19 graded answers (see the paths below)
+  const chat = await startConversation({
+    ip: '10.0.0.15',
+    steps: [...Array.from({ length: 21 }, (_, i) => `Question ${i + 1}`), finalMessage()]
+  });
+
+  const currentQuestion = async () => bank.questionsById.get((await getSessionRow(chat.sessionId)).current_question_id);
+  const reply = (question, right) => {
+    if (question.type === 'number') return right ? `= ${question.answers[0]}` : '0';
+    return right ? `I think ${question.answers[0]}` : 'not sure';
+  };
+
+  await chat.send({ message: 'Hi', consentGiven: true, cohort: 'adaptive-test' });
+  const first = await currentQuestion();
+  assert.strictEqual(first.pillar, 'numeracy', 'bank pillars are asked in milestone order');
+  assert.strictEqual(first.difficulty, 2, 'each pillar starts at medium difficulty');
+  assert.ok(chat.model.calls[0].system.includes(`Next question (Numeracy): "${first.prompt}"`));
+
+  // A reply with no number to a number question isn't graded - it's asked again
+  const db = await getDb();
+  await db.run("UPDATE chat_sessions SET current_question_id = 'num-05' WHERE session_id = ?", [chat.sessionId]);
+  await chat.send({ message: 'What do you mean?', consentGiven: true });
+  assert.strictEqual((await currentQuestion()).id, 'num-05');
+  assert.ok(chat.model.calls[1].system.includes('They haven\'t answered "A product costs $80'));
+  assert.strictEqual(await countAnswers(chat.sessionId), 0);
+
+  // ...and so is a question back to a text question
+  await db.run("UPDATE chat_sessions SET current_question_id = 'read-04' WHERE session_id = ?", [chat.sessionId]);
+  await chat.send({ message: 'What do you mean?', consentGiven: true });
+  assert.strictEqual((await currentQuestion()).id, 'read-04');
+  assert.ok(chat.model.calls[2].system.includes('They haven\'t answered ""Region North sold'));
+  assert.strictEqual(await countAnswers(chat.sessionId), 0);
+  await db.run("UPDATE chat_sessions SET current_question_id = 'num-05' WHERE session_id = ?", [chat.sessionId]);
+
+  // Numeracy: right, wrong, right... (borderline). Reading and logic: all
+  // right (clearly strong). Computer: all wrong (clearly weak).
+  let numeracyRight = true;
+  let res;
+  while (await currentQuestion()) {
+    const question = await currentQuestion();
+    let right = question.pillar !== 'computer';
+    if (question.pillar === 'numeracy') {
+      right = numeracyRight;
+      numeracyRight = !numeracyRight;
+    }
+    res = await chat.send({ message: reply(question, right), consentGiven: true });
+    assert.strictEqual(res.statusCode, 200);
+  }
+  assert.strictEqual(chat.model.remaining(), 0);
+
+  // The model was told how the last answer went and the final bank scores
+  const lastPrompt = chat.model.calls.at(-1).system;
+  assert.ok(lastPrompt.includes('was CORRECT'));
+  assert.ok(lastPrompt.includes('- Numeracy: 5/10'));
+  assert.ok(lastPrompt.includes('Now assess the remaining pillars (Communication, Mindset)'));
+
+  // Bank pillars come from the server's grading, the rest from the model
+  assert.strictEqual(res.body.assessmentResults.scoring_adjusted, true);
+  assert.deepStrictEqual(await getPillarScores(chat.sessionId), {
+    numeracy: 5, reading: 5, computer: 0, logic: 8, communication: 3, mindset: 6
+  });
+
+  // The path through each pillar is recorded with the answers
+  const rows = await db.all(
+    'SELECT pillar, difficulty, next_step FROM question_answers WHERE session_id = ? ORDER BY id',
+    [chat.sessionId]
+  );
+  const path = pillar => rows.filter(row => row.pillar === pillar);
+  const steps = pillar => path(pillar).map(row => `${row.difficulty}:${row.next_step}`);
+  assert.deepStrictEqual(steps('reading'), ['2:harder', '3:same', '3:stop-strong']);
+  assert.deepStrictEqual(steps('logic'), ['2:harder', '3:same', '3:stop-strong']);
+  assert.deepStrictEqual(steps('computer'), ['2:easier', '1:same', '1:stop-weak']);
+  assert.strictEqual(path('numeracy').length, 10, 'borderline pillars use every question');
+  assert.strictEqual(path('numeracy').at(-1).next_step, 'stop-limit');
+
+  // ...and summarized by the analytics
+  // (one student, so k-anonymity is turned off to see the numbers)
+  const { adaptivePaths } = await analyzeAssessments(db, { cohort: 'adaptive-test' }, { minGroupSize: 1 });
+  assert.deepStrictEqual(adaptivePaths.map(p => [p.key, p.averageQuestions, p.stoppedStrong, p.stoppedWeak, p.reachedLimit]), [
+    ['numeracy', 10, 0, 0, 1],
+    ['reading', 3, 1, 0, 0],
+    ['computer', 3, 0, 1, 0],
+    ['logic', 3, 1, 0, 0]
+  ]);
+});
+
+scenario('grades text answers strictly: wrong choices, negations and non-answers', async () => {
+  const bank = getQuestionBank('milestone-0');
+  const grade = (id, reply) => gradeAnswer(bank.questionsById.get(id), reply);
+
+  assert.strictEqual(grade('read-01', 'It increased'), true);
+  assert.strictEqual(grade('read-01', 'It increased, it didn\'t decrease'), true, 'a negated wrong choice is fine');
+  assert.strictEqual(grade('read-01', 'it did not go up'), false);
+  assert.strictEqual(grade('read-01', 'increase or decrease'), false, 'naming both choices is not an answer');
+  assert.strictEqual(grade('comp-11', 'http or https'), false);
+  assert.strictEqual(grade('comp-11', 'https'), true);
+  assert.strictEqual(grade('logic-09', 'No, not necessarily'), true);
+  assert.strictEqual(grade('logic-09', 'No idea'), false);
+  assert.strictEqual(grade('logic-09', 'yes, there is no way to tell'), false);
+  assert.strictEqual(grade('logic-05', 'No, it doesn\'t prove that'), true, 'explaining a "no" is fine');
+  assert.strictEqual(grade('read-04', 'not sure'), false);
+  assert.strictEqual(grade('read-04', 'North'), false);
+
+  // Naming the wrong choice is fine when it isn't the one picked
+  assert.strictEqual(grade('num-04', '1/2 is larger than 1/4'), true);
+  assert.strictEqual(grade('num-04', '1/4 is larger'), false);
+  assert.strictEqual(grade('comp-11', 'https, because http is not encrypted'), true);
+  assert.strictEqual(grade('comp-11', 'https, http is plain text'), true);
+  assert.strictEqual(grade('comp-11', 'http'), false);
+  assert.strictEqual(grade('logic-03', 'It is cancelled, based on the rule'), true);
+  assert.strictEqual(grade('logic-03', 'The game is still on'), false);
+  assert.strictEqual(grade('read-01', 'They increased, even though February had less happy customers'), true);
+  assert.strictEqual(grade('read-01', 'It decreased'), false);
+
+  // Number questions: the answer after the last "=", never a negated one
+  assert.strictEqual(grade('logic-10', '22 / 4 = 5.5, so 6 days'), true);
+  assert.strictEqual(grade('logic-10', '22 / 4 = 5.5'), false);
+  assert.strictEqual(grade('read-02', 'It opens at 11am, not 9am'), true);
+  assert.strictEqual(grade('read-02', '9am'), false);
+  assert.strictEqual(grade('num-01', '20, since 10% of 200'), true);
+
+  // Not answers yet: asked again instead of graded
+  assert.strictEqual(grade('read-04', 'what do you mean?'), null);
+  assert.strictEqual(grade('read-01', 'hmm, let me think'), null, 'names neither choice');
+});
+
+scenario('asks the model to re-emit invalid results, then saves the fixed ones', async () => {
+  const invalid = finalMessage(SCORES).replace('"score": 8', '"score": 15');
+  const chat = await startConversation({
+    ip: '10.0.0.3',
+    steps: [invalid, finalMessage()]
+  });
+
+  const res = await chat.send({ message: 'Done', consentGiven: true });
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.assessmentResults);
+  assert.strictEqual(res.body.resultsError, null);
+
+  // The repair request told the model what was wrong
+  const repairPrompt = chat.model.calls[1].messages.at(-1).content;
+  assert.ok(repairPrompt.includes('numeracy'), 'repair prompt names the bad pillar');
+
+  const row = await getAssessmentRow(chat.sessionId);
+  assert.strictEqual(row.numeracy_score, 8);
+});
+
+scenario('does not save results that are still broken after the retry', async () => {
+  const truncated = finalMessage().slice(0, 120);
+  const chat = await startConversation({
+    ip: '10.0.0.4',
+    steps: [truncated, 'Sorry, let me think about that.']
+  });
+
+  const res = await chat.send({ message: 'Done', consentGiven: true });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.assessmentResults, null);
+  assert.ok(res.body.resultsError, 'student is told results could not be verified');
+
+  assert.strictEqual(await getAssessmentRow(chat.sessionId), null);
+  assert.strictEqual((await getSessionRow(chat.sessionId)).status, 'active', 'student can ask again');
+});
+
+scenario('passes API errors through without saving the failed turn', async () => {
+  const chat = await startConversation({
+    ip: '10.0.0.5',
+    steps: [
+      'Question 1',
+      { error: { status: 529, message: 'Overloaded' } },
+      'Question 2'
+    ]
+  });
+
+  await chat.send({ message: 'Hi', consentGiven: true });
+
+  let res = await chat.send({ message: 'Answer 1', consentGiven: true });
+  assert.strictEqual(res.statusCode, 529);
+  assert.strictEqual(res.body.details, 'Overloaded');
+  assert.strictEqual(await countTurns(chat.sessionId), 2, 'failed turn not saved');
+  assert.strictEqual(await countAnswers(chat.sessionId), 0, 'failed turn not graded');
+
+  // Retrying the same message continues the conversation
+  res = await chat.send({ message: 'Answer 1', consentGiven: true });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(await countTurns(chat.sessionId), 4);
+});
+
+scenario('respects opt-out: no assessment row, transcript deleted', async () => {
+  const chat = await startConversation({
+    ip: '10.0.0.6',
+    steps: ['Question 1', finalMessage()]
+  });
+
+  await chat.send({ message: 'Hi', consentGiven: false });
+  const res = await chat.send({ message: 'Answer', consentGiven: false });
+  assert.ok(res.body.assessmentResults, 'student still sees results');
+
+  assert.strictEqual(await getAssessmentRow(chat.sessionId), null);
+  assert.strictEqual(await countTurns(chat.sessionId), 0);
+  assert.strictEqual(await countAnswers(chat.sessionId), 0, 'graded answers deleted too');
+  assert.strictEqual((await getSessionRow(chat.sessionId)).status, 'completed');
+});
+
+scenario('streams the reply as server-sent events and saves the results', async () => {
+  const chat = await startConversation({
+    ip: '10.0.0.7',
+    steps: [finalMessage()]
+  });
+
+  const res = await chat.send({ message: 'Done', consentGiven: true, stream: true });
+  assert.ok(res.headers['content-type'].startsWith('text/event-stream'));
+  assert.ok(res.ended);
+
+  const events = res.events();
+  const deltas = events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+  const done = events.at(-1);
+  assert.strictEqual(done.event, 'done');
+  assert.strictEqual(deltas, done.data.content[0].text, 'deltas add up to the full reply');
+  assert.strictEqual(done.data.assessmentResults.readiness_level, 3);
+
+  assert.ok(await getAssessmentRow(chat.sessionId));
+});
+
+scenario('rejects unknown and finished sessions', async () => {
+  const chat = await startConversation({ ip: '10.0.0.8', steps: [finalMessage()] });
+  await chat.send({ message: 'Done', consentGiven: true });
+
+  let res = await chat.send({ message: 'More?' });
+  assert.strictEqual(res.statusCode, 409);
+
+  const { default: handler } = await import('./api/chat.js');
+  res = createMockResponse();
+  await handler({ method: 'POST', headers: {}, body: { sessionId: 'session_nope', message: 'Hi' } }, res);
+  assert.strictEqual(res.statusCode, 404);
+
+  assert.strictEqual(chat.model.calls.length, 1, 'model not called for rejected requests');
+});
+
+scenario('resumes an unfinished session, then expires it when left idle', async () => {
+  const chat = await startConversation({ ip: '10.0.0.17', steps: ['First question?', 'Second question?'] });
+  await chat.send({ message: 'Ready', consentGiven: true });
+
+  const { default: sessionHandler } = await import('./api/session.js');
+  const getSession = async (headers) => {
+    const res = createMockResponse();
+    await sessionHandler({ method: 'GET', headers, query: {} }, res);
+    return res;
+  };
+
+  assert.strictEqual((await getSession({})).statusCode, 400);
+  assert.strictEqual((await getSession({ 'x-session-id': 'session_nope' })).statusCode, 404);
+
+  let res = await getSession({ 'x-session-id': chat.sessionId });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.status, 'active');
+  assert.deepStrictEqual(res.body.turns, [
+    { role: 'user', content: 'Ready' },
+    { role: 'assistant', content: 'First question?' }
+  ]);
+  assert.strictEqual(res.body.progress.studentMessages, 1);
+  assert.ok(new Date(res.body.expiresAt) > new Date(), 'expiry is in the future');
+
+  // Leave the session idle for longer than SESSION_TTL_HOURS (24)
+  const db = await getDb();
+  const idleSince = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString().replace('T', ' ').substring(0, 19);
+  await db.run('UPDATE chat_sessions SET updated_at = ? WHERE session_id = ?', [idleSince, chat.sessionId]);
+
+  res = await getSession({ 'x-session-id': chat.sessionId });
+  assert.strictEqual(res.statusCode, 410);
+  assert.strictEqual((await getSessionRow(chat.sessionId)).status, 'expired');
+  assert.strictEqual(await countTurns(chat.sessionId), 0, 'expired transcript deleted');
+
+  res = await chat.send({ message: 'I am back' });
+  assert.strictEqual(res.statusCode, 410);
+  assert.strictEqual(chat.model.calls.length, 1, 'model not called for an expired session');
+});
+
+scenario('links opted-in retakes with a learner token and reports per-pillar deltas', async () => {
+  const first = await startConversation({ ip: '10.0.0.18', steps: [finalMessage()] });
+  let res = await first.send({ message: 'Done', consentGiven: true, trackProgress: true });
+  const { learnerToken } = res.body;
+  assert.match(learnerToken, /^lrn_[A-Za-z0-9_-]{43}$/, 'a new token is issued');
+
+  const learnerId = crypto.createHash('sha256').update(learnerToken).digest('hex');
+  assert.strictEqual((await getAssessmentRow(first.sessionId)).learner_id, learnerId, 'only the hash is stored');
+
+  const better = { ...SCORES, reading: 5, communication: 4 };
+  const second = await startConversation({ ip: '10.0.0.19', steps: [finalMessage(better)] });
+  res = await second.send({ message: 'Done', consentGiven: true, trackProgress: true, learnerToken });
+  assert.strictEqual(res.body.learnerToken, learnerToken, 'the existing token is reused');
+  assert.strictEqual((await getAssessmentRow(second.sessionId)).learner_id, learnerId);
+
+  // Not linked: tracking off, or no consent to save anything
+  const untracked = await startConversation({ ip: '10.0.0.20', steps: [finalMessage()] });
+  res = await untracked.send({ message: 'Done', consentGiven: true, learnerToken });
+  assert.strictEqual(res.body.learnerToken, null);
+  assert.strictEqual((await getAssessmentRow(untracked.sessionId)).learner_id, null);
+
+  const optedOut = await startConversation({ ip: '10.0.0.21', steps: [finalMessage()] });
+  res = await optedOut.send({ message: 'Done', consentGiven: false, trackProgress: true, learnerToken });
+  assert.strictEqual(res.body.learnerToken, null);
+
+  const { default: attemptsHandler } = await import('./api/attempts.js');
+  const getAttempts = async (headers, query = {}) => {
+    const attemptsRes = createMockResponse();
+    await attemptsHandler({ method: 'GET', headers, query }, attemptsRes);
+    return attemptsRes;
+  };
+
+  assert.strictEqual((await getAttempts({})).statusCode, 400);
+  assert.strictEqual((await getAttempts({ 'x-learner-token': learnerToken }, { milestone: 'nope' })).statusCode, 400);
+
+  res = await getAttempts({ 'x-learner-token': learnerToken }, { milestone: 'milestone-0' });
+  assert.strictEqual(res.statusCode, 200);
+  const { attempts } = res.body;
+  assert.deepStrictEqual(attempts.map(attempt => attempt.attempt), [1, 2]);
+  assert.strictEqual(attempts[0].deltas, null);
+  assert.deepStrictEqual(attempts[0].scores.reading, { score: 2, max: 5 });
+  assert.deepStrictEqual(attempts[1].deltas, {
+    numeracy: 0, reading: 3, computer: 0, logic: 0, communication: 1, mindset: 0
+  });
+  assert.ok(attempts[1].readinessChange <= 0, 'better scores never lower the readiness');
+
+  res = await getAttempts({ 'x-learner-token': `lrn_${'A'.repeat(43)}` });
+  assert.deepStrictEqual(res.body.attempts, [], 'unknown tokens just have no history');
+});
+
+scenario('renders saved results as a downloadable PDF report', async () => {
+  const chat = await startConversation({
+    ip: '10.0.0.22',
+    steps: [finalMessage(SCORES, { strengths: ['Careful with numbers'], next_steps: 'Read one short article (with a summary) every day.' })]
+  });
+  let res = await chat.send({ message: 'Done', consentGiven: true });
+  assert.strictEqual(res.body.reportUrl, `/api/report/${chat.sessionId}.pdf`);
+  const { receiptToken } = res.body;
+
+  const { default: reportHandler } = await import('./api/report/[sessionId].js');
+  const getReport = async (token, sessionId = chat.sessionId) => {
+    const reportRes = createMockResponse();
+    const query = { sessionId: `${sessionId}.pdf` };
+    await reportHandler({ method: 'GET', headers: token ? { 'x-receipt-token': token } : {}, query }, reportRes);
+    return reportRes;
+  };
+
+  res = await getReport(receiptToken);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.headers['cache-control'], 'no-store');
+  assert.strictEqual(res.headers['content-type'], 'application/pdf');
+  assert.match(res.headers['content-disposition'], /^attachment; filename="assessment-report-\d{4}-\d{2}-\d{2}\.pdf"$/);
+
+  const pdf = res.body.toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-1.4') && pdf.trimEnd().endsWith('%%EOF'), 'a complete PDF file');
+  const { readiness_title: readinessTitle } = scoreAssessment(SCORES, RUBRIC);
+  for (const text of [readinessTitle, 'Careful with numbers', 'Numeracy', '8/10', '\\(with a summary\\)']) {
+    assert.ok(pdf.includes(text), `report shows "${text}"`);
+  }
+
+  // Opted-out results were never stored, so there's no report
+  const optedOut = await startConversation({ ip: '10.0.0.23', steps: [finalMessage()] });
+  res = await optedOut.send({ message: 'Done', consentGiven: false });
+  assert.strictEqual(res.body.reportUrl, null);
+  assert.strictEqual((await getReport(`rcp_${'x'.repeat(43)}`)).statusCode, 404);
+  assert.strictEqual((await getReport(receiptToken, optedOut.sessionId)).statusCode, 404, 'a receipt only opens its own report');
+  // The session id alone no longer opens anything
+  assert.strictEqual((await getReport(null)).statusCode, 400);
+});
+
+scenario('emails saved results over SMTP with a separate consent, then forgets the address', async () => {
+  const chat = await startConversation({
+    ip: '10.0.0.24',
+    steps: [finalMessage(SCORES, { overall_message: 'Nice work <b>really</b>' })]
+  });
+  const { receiptToken } = (await chat.send({ message: 'Done', consentGiven: true })).body;
+
+  const sink = createSmtpSink();
+  await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+  const sinkServer = { host: '127.0.0.1', port: sink.address().port, user: 'bootcamp', pass: 'secret', timeoutMs: 2000 };
+  setMailTransport(createSmtpTransport(
+    { ...sinkServer, allowInsecureAuth: true },
+    'Bootcamp <results@bootcamp.test>'
+  ));
+
+  const { default: emailHandler } = await import('./api/email-results.js');
+  const emailResults = async (body, token = receiptToken) => {
+    const res = createMockResponse();
+    await emailHandler({ method: 'POST', headers: token ? { 'x-receipt-token': token } : {}, body }, res);
+    return res;
+  };
+
+  try {
+    const request = { email: 'student@example.com', emailConsent: true };
+
+    // The session id (it's in the CSV export) unlocks nothing - only the receipt does
+    assert.strictEqual((await emailResults({ ...request, sessionId: chat.sessionId }, null)).statusCode, 400);
+    assert.strictEqual((await emailResults(request, `rcp_${'x'.repeat(43)}`)).statusCode, 404);
+    assert.strictEqual((await emailResults({ ...request, emailConsent: undefined })).statusCode, 400, 'consent required');
+    assert.strictEqual((await emailResults({ ...request, email: 'student@example.com\r\nBcc: x@y.z' })).statusCode, 400);
+    assert.strictEqual(sink.messages.length, 0);
+    assert.strictEqual((await getAssessmentRow(chat.sessionId)).email_consent, 0, 'no consent recorded yet');
+
+    let res = await emailResults(request);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(sink.messages.length, 1);
+
+    const [mail] = sink.messages;
+    assert.strictEqual(mail.from, 'results@bootcamp.test');
+    assert.deepStrictEqual(mail.to, ['student@example.com']);
+    const { headers, parts } = decodeMessage(mail.data);
+    const { readiness_title: readinessTitle } = scoreAssessment(SCORES, RUBRIC);
+    assert.strictEqual(headers.subject, `Your ${RUBRIC.name} results: ${readinessTitle}`);
+    assert.deepStrictEqual(parts.map(part => part.type), ['text/plain', 'text/html']);
+    assert.ok(parts[0].body.includes('- Numeracy: ADEQUATE (8/10)'));
+    assert.ok(parts[1].body.includes('Nice work &lt;b&gt;really&lt;/b&gt;'), 'model text is escaped in HTML');
+
+    const row = await getAssessmentRow(chat.sessionId);
+    assert.strictEqual(row.email_consent, 1);
+    assert.ok(!JSON.stringify(row).includes('student@example.com'), 'the address is not stored');
+
+    // Capped per assessment
+    await emailResults(request);
+    await emailResults(request);
+    res = await emailResults(request);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(sink.messages.length, 3);
+
+    // Opted-out results were never saved, so there is no receipt to email with
+    const optedOut = await startConversation({ ip: '10.0.0.25', steps: [finalMessage()] });
+    res = await optedOut.send({ message: 'Done', consentGiven: false });
+    assert.ok(!res.body.receiptToken);
+
+    // No STARTTLS on offer: the login is not sent in clear text
+    const loginsBefore = sink.logins;
+    assert.ok(loginsBefore > 0, 'the sink saw the logins allowed above');
+    await assert.rejects(
+      createSmtpTransport(sinkServer).send({ to: 'student@example.com', subject: 'Hi', text: 'Hi', html: '<p>Hi</p>' }),
+      /refusing to send the login unencrypted/
+    );
+    assert.strictEqual(sink.logins, loginsBefore, 'no AUTH on the plain connection');
+    assert.strictEqual(sink.messages.length, 3);
+
+    // A failed send records neither consent nor a send
+    const other = await startConversation({ ip: '10.0.0.40', steps: [finalMessage()] });
+    const otherReceipt = (await other.send({ message: 'Done', consentGiven: true })).body.receiptToken;
+    setMailTransport({ name: 'broken', send: async () => { throw new Error('Connection refused'); } });
+    res = await emailResults(request, otherReceipt);
+    assert.strictEqual(res.statusCode, 502);
+    const otherRow = await getAssessmentRow(other.sessionId);
+    assert.deepStrictEqual([otherRow.email_consent, otherRow.emails_sent], [0, 0]);
+  } finally {
+    setMailTransport(null);
+    sink.close();
+  }
+});
+
+scenario('builds a week-by-week prep plan from the weak pillars', async () => {
+  const chat = await startConversation({ ip: '10.0.0.26', steps: [finalMessage()] });
+  const res = await chat.send({ message: 'Done', consentGiven: true });
+  const plan = res.body.assessmentResults.prep_plan;
+
+  // Level 3 promises 4-6 weeks; only reading (orange) and communication (yellow) need work
+  assert.strictEqual(plan.prepTime, '4-6 weeks');
+  assert.ok(plan.weeks.length >= 4 && plan.weeks.length <= 6, `${plan.weeks.length} weeks fits the prep time`);
+  const items = plan.weeks.flatMap(week => week.items);
+  assert.deepStrictEqual([...new Set(items.map(item => item.pillar))], ['reading', 'communication'], 'worst pillar first');
+  const planned = items.reduce((sum, item) => sum + item.hours, 0);
+  assert.ok(Math.abs(planned - plan.totalHours) < 0.5, 'every resource hour is scheduled');
+  assert.ok(plan.weeks.slice(1).some(week => week.items[0].continued), 'long resources carry over');
+
+  const row = await getAssessmentRow(chat.sessionId);
+  assert.deepStrictEqual(JSON.parse(row.results_json).prep_plan, plan, 'saved with the results');
+
+  // Ready to start: nothing to schedule
+  const ready = scoreAssessment({ numeracy: 10, reading: 5, computer: 10, logic: 7, communication: 5, mindset: 7 }, RUBRIC);
+  assert.deepStrictEqual(buildPrepPlan({ ...ready }, RUBRIC).weeks, []);
+  assert.deepStrictEqual(parsePrepTime('6-12 months'), { minWeeks: 24, maxWeeks: 48 });
+
+  // Resources must cover every level a student can be sent to prep for
+  const catalog = getResourceCatalog('milestone-0');
+  const broken = { ...catalog, pillars: { ...catalog.pillars, reading: { WEAK: catalog.pillars.reading.WEAK } } };
+  assert.ok(validateResourceCatalog(broken, RUBRIC).some(error => /"ADEQUATE" needs at least one resource/.test(error)));
+});
+
+scenario('benchmarks results against the cohort once there are enough students', async () => {
+  const { insertAssessment } = require('./api/lib/db.js');
+  const saveOther = (sessionId, scores, consentGiven = true) => insertAssessment({
+    sessionId,
+    milestone: 'milestone-0',
+    scores: RUBRIC.pillars.map(pillar => ({ pillar: pillar.key, score: scores[pillar.key], max: pillar.max })),
+    readinessLevel: 3,
+    readinessTitle: 'Need Foundation Work',
+    ipHash: null,
+    consentGiven,
+    cohort: 'bench-2026',
+    promptVersion: PROMPT_VERSION
+  });
+  await saveOther('bench-a', { numeracy: 5, reading: 1, computer: 4, logic: 3, communication: 2, mindset: 3 });
+  await saveOther('bench-b', { numeracy: 7, reading: 3, computer: 9, logic: 6, communication: 3, mindset: 6 });
+  await saveOther('bench-c', { numeracy: 10, reading: 5, computer: 10, logic: 8, communication: 5, mindset: 7 });
+  await saveOther('bench-opted-out', { numeracy: 0, reading: 0, computer: 0, logic: 0, communication: 0, mindset: 0 }, false);
+
+  process.env.BENCHMARK_GROUP = 'cohort';
+  process.env.BENCHMARK_MIN_SAMPLE = '4';
+  try {
+    // 3 consented students in the cohort: too few to compare with
+    const first = await startConversation({ ip: '10.0.0.27', steps: [finalMessage()] });
+    let res = await first.send({ message: 'Done', consentGiven: true, cohort: 'bench-2026' });
+    assert.strictEqual(res.body.assessmentResults.benchmarks, null);
+
+    // The first attempt was saved, so now there are 4 (never counting yourself)
+    const second = await startConversation({ ip: '10.0.0.28', steps: [finalMessage()] });
+    res = await second.send({ message: 'Done', consentGiven: false, cohort: 'bench-2026' });
+    const { benchmarks } = res.body.assessmentResults;
+    assert.strictEqual(benchmarks.group, 'cohort');
+    assert.strictEqual(benchmarks.sampleSize, 4);
+    assert.strictEqual(benchmarks.overall, 25, 'only bench-a scored lower overall');
+    assert.strictEqual(benchmarks.pillars.numeracy, 50, 'ties are not "better than"');
+    assert.strictEqual(benchmarks.pillars.reading, 25);
+
+    // No cohort on the link: compared with the whole milestone instead
+    const noCohort = await startConversation({ ip: '10.0.0.29', steps: [finalMessage()] });
+    res = await noCohort.send({ message: 'Done', consentGiven: false });
+    assert.strictEqual(res.body.assessmentResults.benchmarks.group, 'milestone');
+    assert.ok(res.body.assessmentResults.benchmarks.sampleSize > 4);
+  } finally {
+    delete process.env.BENCHMARK_GROUP;
+    delete process.env.BENCHMARK_MIN_SAMPLE;
+  }
+});
+
+scenario('lets a student see, download and delete their own record with a receipt token', async () => {
+  const chat = await startConversation({ ip: '10.0.0.30', steps: ['Question 1', finalMessage()] });
+  await chat.send({ message: 'Hi', consentGiven: true, cohort: 'receipt-test' });
+  let res = await chat.send({ message: 'Done', consentGiven: true });
+  const { receiptToken } = res.body;
+  assert.match(receiptToken, /^rcp_[A-Za-z0-9_-]{43}$/);
+  assert.ok(!JSON.stringify(await getAssessmentRow(chat.sessionId)).includes(receiptToken), 'only the hash is stored');
+
+  const { default: myDataHandler } = await import('./api/my-data.js');
+  const myData = async (method, token, query = {}) => {
+    const dataRes = createMockResponse();
+    await myDataHandler({ method, headers: token ? { 'x-receipt-token': token } : {}, query }, dataRes);
+    return dataRes;
+  };
+
+  res = await myData('GET', receiptToken);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.assessment.sessionId, chat.sessionId);
+  assert.strictEqual(res.body.assessment.cohort, 'receipt-test');
+  assert.strictEqual(res.body.assessment.results.readiness_level, 3);
+  assert.deepStrictEqual(res.body.scores.find(score => score.pillar === 'reading'), { pillar: 'reading', score: 2, max: 5 });
+  assert.deepStrictEqual(res.body.transcript.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant']);
+
+  res = await myData('GET', receiptToken, { download: '1' });
+  assert.match(res.headers['content-disposition'], /^attachment; filename="my-assessment-data-\d{4}-\d{2}-\d{2}\.json"$/);
+
+  assert.strictEqual((await myData('GET', null)).statusCode, 400);
+  assert.strictEqual((await myData('GET', `rcp_${'A'.repeat(43)}`)).statusCode, 404);
+  assert.strictEqual((await myData('POST', receiptToken)).statusCode, 405);
+
+  const db = await getDb();
+  assert.strictEqual((await analyzeAssessments(db, { cohort: 'receipt-test' })).total, 1);
+
+  res = await myData('DELETE', receiptToken);
+  assert.deepStrictEqual(res.body, { deleted: true });
+
+  // Gone everywhere: the row, its scores and transcript, analytics, export, report
+  assert.strictEqual(await getAssessmentRow(chat.sessionId), null);
+  assert.deepStrictEqual(await getPillarScores(chat.sessionId), {});
+  assert.strictEqual(await countTurns(chat.sessionId), 0);
+  assert.strictEqual(await getSessionRow(chat.sessionId), null);
+  assert.strictEqual((await analyzeAssessments(db, { cohort: 'receipt-test' })).total, 0);
+  const { getAllAssessments, getReceiptReport } = require('./api/lib/db.js');
+  const { hashReceiptToken } = require('./api/lib/receipt.js');
+  assert.ok(!(await getAllAssessments()).some(row => row.session_id === chat.sessionId));
+  assert.strictEqual(await getReceiptReport(hashReceiptToken(receiptToken)), null);
+  assert.strictEqual((await myData('DELETE', receiptToken)).statusCode, 404);
+  assert.strictEqual((await myData('GET', receiptToken)).statusCode, 404);
+
+  // Nothing saved, nothing to hand a receipt for
+  const optedOut = await startConversation({ ip: '10.0.0.31', steps: [finalMessage()] });
+  res = await optedOut.send({ message: 'Done', consentGiven: false });
+  assert.strictEqual(res.body.receiptToken, null);
+});
+
+scenario('purges old IP hashes and anonymizes old assessments, with a dry run first', async () => {
+  const { purgeExpiredData, getPurgeRuns } = require('./api/lib/db.js');
+  const db = await getDb();
+  const backdate = async (sessionId, timestamp) => {
+    await db.run('UPDATE assessments SET timestamp = ? WHERE session_id = ?', [timestamp, sessionId]);
+    await db.run('UPDATE chat_sessions SET created_at = ?, updated_at = ? WHERE session_id = ?', [timestamp, timestamp, sessionId]);
+  };
+
+  // Three years old, with everything that could identify it
+  const old = await startConversation({ ip: '10.0.0.32', steps: ['Question 1', finalMessage()] });
+  await old.send({ message: 'Hi', consentGiven: true });
+  let res = await old.send({ message: 'Done', consentGiven: true, trackProgress: true });
+  const { receiptToken } = res.body;
+  await backdate(old.sessionId, '2023-06-01 12:00:00');
+
+  // Forty days old: only its IP hash is past retention
+  const recent = await startConversation({ ip: '10.0.0.33', steps: [finalMessage()] });
+  await recent.send({ message: 'Done', consentGiven: true });
+  await backdate(recent.sessionId, '2026-04-22 12:00:00');
+
+  // Default policy, as if today were 2026-06-01
+  const cutoffs = getRetentionCutoffs(getRetentionConfig({}), new Date('2026-06-01T12:00:00Z'));
+  assert.deepStrictEqual(cutoffs, { ipHashCutoff: '2026-05-02 12:00:00', rowCutoff: '2024-06-01 12:00:00', action: 'anonymize' });
+
+  const runsBefore = (await getPurgeRuns()).length;
+  const preview = await purgeExpiredData(cutoffs, { dryRun: true });
+  assert.deepStrictEqual(
+    { ...preview, rateLimitsDeleted: 0 },
+    { ipHashesCleared: 4, rateLimitsDeleted: 0, assessmentsPurged: 1, sessionsPurged: 1 },
+    'two assessments + two sessions with IP hashes; one old assessment and transcript'
+  );
+  assert.strictEqual((await getAssessmentRow(old.sessionId)).user_ip_hash, hashOf('10.0.0.32'), 'a dry run changes nothing');
+  assert.strictEqual((await getPurgeRuns()).length, runsBefore, 'and is not logged');
+
+  assert.deepStrictEqual(await purgeExpiredData(cutoffs), preview, 'the real run does what the dry run said');
+
+  const oldRow = await getAssessmentRow(old.sessionId);
+  assert.deepStrictEqual(
+    [oldRow.user_ip_hash, oldRow.learner_id, oldRow.receipt_hash, oldRow.results_json],
+    [null, null, null, null]
+  );
+  assert.strictEqual(oldRow.readiness_level, 3, 'scores stay for the statistics');
+  assert.strictEqual((await getPillarScores(old.sessionId)).reading, 2);
+  assert.strictEqual(await countTurns(old.sessionId), 0);
+  assert.strictEqual((await getSessionRow(old.sessionId)).user_ip_hash, null);
+
+  const recentRow = await getAssessmentRow(recent.sessionId);
+  assert.strictEqual(recentRow.user_ip_hash, null);
+  assert.ok(recentRow.results_json, 'rows younger than RETENTION_MONTHS keep their results');
+
+  // The receipt no longer leads anywhere
+  const { default: myDataHandler } = await import('./api/my-data.js');
+  const myDataRes = createMockResponse();
+  await myDataHandler({ method: 'GET', headers: { 'x-receipt-token': receiptToken }, query: {} }, myDataRes);
+  assert.strictEqual(myDataRes.statusCode, 404);
+
+  const [run] = await getPurgeRuns(1);
+  assert.strictEqual(run.action, 'anonymize');
+  assert.strictEqual(run.row_cutoff, '2024-06-01 12:00:00');
+  assert.strictEqual(run.assessments_purged, 1);
+
+  // Nothing left to purge; 'delete' removes the anonymized row entirely
+  assert.strictEqual((await purgeExpiredData(cutoffs, { dryRun: true })).assessmentsPurged, 0);
+  await purgeExpiredData({ ...cutoffs, action: 'delete' });
+  assert.strictEqual(await getAssessmentRow(old.sessionId), null);
+  assert.deepStrictEqual(await getPillarScores(old.sessionId), {});
+  assert.strictEqual(await getSessionRow(old.sessionId), null);
+  assert.ok(await getAssessmentRow(recent.sessionId));
+});
+
+scenario('rate limits messages per hour and completed assessments per day', async () => {
+  process.env.RATE_LIMIT_REQUESTS_PER_HOUR = '3';
+  process.env.RATE_LIMIT_ASSESSMENTS_PER_DAY = '1';
+  try {
+    // Three messages an hour: the fourth gets a 429 before the model is called
+    const chatty = await startConversation({ ip: '10.0.0.36', steps: ['Question 1', 'Question 2', 'Question 3'] });
+    for (const message of ['Hi', 'One', 'Two']) {
+      assert.strictEqual((await chatty.send({ message, consentGiven: true })).statusCode, 200);
+    }
+    let res = await chatty.send({ message: 'Three', consentGiven: true });
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.message, 'Limit: 3 messages per hour.');
+    const retryAfter = Number(res.headers['retry-after']);
+    assert.ok(retryAfter > 0 && retryAfter <= 3600, 'Retry-After is the rest of the hour');
+    assert.strictEqual(chatty.model.remaining(), 0);
+
+    // One completed assessment a day: the next new one is refused
+    const done = await startConversation({ ip: '10.0.0.37', steps: [finalMessage()] });
+    assert.strictEqual((await done.send({ message: 'Done', consentGiven: false })).statusCode, 200);
+    const again = await startConversation({ ip: '10.0.0.37', steps: ['Question 1'] });
+    res = await again.send({ message: 'Hi', consentGiven: true });
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.message, 'Limit: 1 completed assessments per day.');
+    const dayRetry = Number(res.headers['retry-after']);
+    assert.ok(dayRetry > 3600 && dayRetry <= 24 * 3600, 'Retry-After is the rest of the day');
+    assert.strictEqual(again.model.remaining(), 1);
+  } finally {
+    delete process.env.RATE_LIMIT_REQUESTS_PER_HOUR;
+    delete process.env.RATE_LIMIT_ASSESSMENTS_PER_DAY;
+  }
+});
+
+scenario('runs concurrent transactions one at a time on SQLite', async () => {
+  const { rateLimitStore } = require('./api/lib/db.js');
+  const db = await getDb();
+
+  // Ten hits at once: every one counted, none rejected mid-transaction
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () => rateLimitStore.increment('test:burst', 3600))
+  );
+  assert.deepStrictEqual(results.map(r => r.count).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+  // A transaction that fails must not take a write made alongside it down too
+  const [failure] = await Promise.allSettled([
+    db.transaction(async tx => {
+      await tx.run("INSERT INTO rate_limits (bucket_key, count, window_start) VALUES ('test:failing', 1, 0)");
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('abort on purpose');
+    }),
+    db.run("INSERT INTO rate_limits (bucket_key, count, window_start) VALUES ('test:other', 1, 0)")
+  ]);
+  assert.strictEqual(failure.status, 'rejected');
+  assert.strictEqual(await db.get("SELECT count FROM rate_limits WHERE bucket_key = 'test:failing'"), null);
+  assert.deepStrictEqual(await db.get("SELECT count FROM rate_limits WHERE bucket_key = 'test:other'"), { count: 1 });
+});
+
+scenario('migrates a fresh database up, rolls back, and migrates up again', async () => {
+  const { execFileSync } = require('child_process');
+  const initSqlJs = require('sql.js');
+  const MIGRATIONS = require('./api/lib/migrations/index.js');
+  const ids = MIGRATIONS.map(m => m.id);
+
+  // The CLI keeps its SQLite file in the folder it runs from
+  const dir = fs.mkdtempSync(path.join(testDir, 'migrate-'));
+  const cli = (...args) => execFileSync(process.execPath, [path.join(__dirname, 'scripts', 'migrate.js'), ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    stdio: 'pipe',
+    timeout: 30000
+  });
+  const SQL = await initSqlJs();
+  const inspect = async fn => {
+    const db = new SQL.Database(fs.readFileSync(path.join(dir, 'assessments.db')));
+    try {
+      return fn(sql => db.exec(sql)[0]?.values || []);
+    } finally {
+      db.close();
+    }
+  };
+  const appliedIds = () => inspect(query => query('SELECT id FROM schema_migrations ORDER BY id').map(([id]) => id));
+  const hasTable = name => inspect(query => query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`).length > 0);
+  const columns = table => inspect(query => query(`PRAGMA table_info(${table})`).map(row => row[1]));
+
+  assert.ok(cli().includes(`Applied ${ids.length} migration(s).`));
+  assert.deepStrictEqual(await appliedIds(), ids);
+  assert.ok(cli().includes('Database is already up to date.'));
+
+  // Roll back the newest three: their rows and their schema changes go
+  assert.ok(cli('down', '3').includes('Rolled back 3 migration(s).'));
+  assert.deepStrictEqual(await appliedIds(), ids.slice(0, -3));
+  assert.ok(!(await hasTable('purge_runs')), '014 dropped its table');
+  const assessmentColumns = await columns('assessments');
+  assert.ok(!assessmentColumns.includes('ip_hash_key_version'), '015 dropped its column');
+  assert.ok(!assessmentColumns.includes('receipt_hash'), '013 dropped its column');
+
+  const status = cli('status');
+  for (const id of ids.slice(0, -3)) assert.match(status, new RegExp(`\\[x\\] ${id}  \\(applied `));
+  for (const id of ids.slice(-3)) assert.ok(status.includes(`[ ] ${id}\n`), `${id} is pending`);
+
+  assert.ok(cli('down').includes('Rolled back 1 migration(s).'));
+  assert.deepStrictEqual(await appliedIds(), ids.slice(0, -4));
+  assert.throws(() => cli('down', 'zero'), /Invalid number of steps: zero/);
+
+  // Up again: the same rows and the same schema as the first time
+  assert.ok(cli().includes('Applied 4 migration(s).'));
+  assert.deepStrictEqual(await appliedIds(), ids);
+  assert.ok(await hasTable('purge_runs'));
+  assert.ok((await columns('assessments')).includes('ip_hash_key_version'));
+
+  // Two runs at once on a fresh database (two cold starts): each migration applied once
+  const { migrate } = require('./api/lib/migrate.js');
+  const { createSqliteAdapter } = require('./api/lib/storage/sqlite.js');
+  const freshDir = fs.mkdtempSync(path.join(testDir, 'migrate-'));
+  const previousDir = process.cwd();
+  process.chdir(freshDir);
+  try {
+    const fresh = createSqliteAdapter();
+    await fresh.init();
+    const [first, second] = await Promise.all([migrate(fresh), migrate(fresh)]);
+    assert.deepStrictEqual([...first, ...second].sort(), ids);
+    const rows = await fresh.all('SELECT id FROM schema_migrations ORDER BY id');
+    assert.deepStrictEqual(rows.map(row => row.id), ids);
+  } finally {
+    process.chdir(previousDir);
+  }
+});
+
+scenario('keys IP hashes with a rotatable secret', async () => {
+  const plainSha256 = crypto.createHash('sha256').update('10.0.0.34').digest('hex');
+
+  const first = await startConversation({ ip: '10.0.0.34', steps: [finalMessage()] });
+  await first.send({ message: 'Done', consentGiven: true });
+  const firstRow = await getAssessmentRow(first.sessionId);
+  assert.strictEqual(firstRow.user_ip_hash, hashOf('10.0.0.34'));
+  assert.notStrictEqual(firstRow.user_ip_hash, plainSha256, 'not guessable without the secret');
+  assert.strictEqual(firstRow.ip_hash_key_version, 1);
+  assert.strictEqual((await getSessionRow(first.sessionId)).ip_hash_key_version, 1);
+
+  // Rotate: new secret, new version - old rows keep theirs
+  const oldSecret = process.env.IP_HASH_SECRET;
+  process.env.IP_HASH_SECRET = 'rotated-ip-hash-secret-9876543210';
+  process.env.IP_HASH_KEY_VERSION = '2';
+  try {
+    const second = await startConversation({ ip: '10.0.0.34', steps: [finalMessage()] });
+    await second.send({ message: 'Done', consentGiven: true });
+    const secondRow = await getAssessmentRow(second.sessionId);
+    assert.strictEqual(secondRow.user_ip_hash, hashOf('10.0.0.34', 'rotated-ip-hash-secret-9876543210'));
+    assert.notStrictEqual(secondRow.user_ip_hash, firstRow.user_ip_hash);
+    assert.strictEqual(secondRow.ip_hash_key_version, 2);
+    assert.strictEqual((await getAssessmentRow(first.sessionId)).ip_hash_key_version, 1);
+  } finally {
+    process.env.IP_HASH_SECRET = oldSecret;
+    delete process.env.IP_HASH_KEY_VERSION;
+  }
+
+  // A missing secret is only allowed in development; a short one never
+  assert.throws(() => getIpHashConfig({ VERCEL: '1' }), /required in production/);
+  assert.throws(() => getIpHashConfig({ NODE_ENV: 'production' }), /required in production/);
+  assert.throws(() => getIpHashConfig({ IP_HASH_SECRET: 'too-short' }), /at least 16 characters/);
+  assert.strictEqual(getIpHashConfig({}).keyVersion, 0, 'development: a temporary key');
+
+  // ...and the chat refuses to run rather than hash with a throwaway key
+  delete process.env.IP_HASH_SECRET;
+  process.env.NODE_ENV = 'production';
+  try {
+    const unkeyed = await startConversation({ ip: '10.0.0.35', steps: [] });
+    const res = await unkeyed.send({ message: 'Hi', consentGiven: true });
+    assert.strictEqual(res.statusCode, 500);
+    assert.ok(res.body.message.includes('IP_HASH_SECRET'));
+    assert.strictEqual(unkeyed.sessionId, null, 'no session was started');
+  } finally {
+    process.env.IP_HASH_SECRET = oldSecret;
+    process.env.NODE_ENV = 'test';
+  }
+});
+
+scenario('suppresses analytics and export groups smaller than k', async () => {
+  const { insertAssessment } = require('./api/lib/db.js');
+  const { createAdminToken } = require('./api/lib/admin-auth.js');
+  const save = (sessionId, readinessLevel, reading, promptVersion = PROMPT_VERSION) => insertAssessment({
+    sessionId,
+    milestone: 'milestone-0',
+    scores: RUBRIC.pillars.map(pillar => ({
+      pillar: pillar.key,
+      score: pillar.key === 'reading' ? reading : pillar.key === 'numeracy' ? 0 : pillar.max,
+      max: pillar.max
+    })),
+    readinessLevel,
+    readinessTitle: 'K-anonymity test',
+    ipHash: null,
+    consentGiven: true,
+    cohort: 'kanon-test',
+    promptVersion
+  });
+  // Levels 2 x5, 3 x5, 4 x1; everyone weak at numeracy, all but one at reading
+  for (let i = 0; i < 11; i++) {
+    await save(`kanon-${i}`, i < 5 ? 2 : i < 10 ? 3 : 4, i === 0 ? 5 : 0);
+  }
+
+  const db = await getDb();
+  const analysis = await analyzeAssessments(db, { cohort: 'kanon-test' }, { minGroupSize: 5 });
+  assert.strictEqual(analysis.total, 11);
+  assert.deepStrictEqual(analysis.readinessDistribution.map(row => [row.level, row.count, row.suppressed]), [
+    [1, 0, false],
+    [2, null, true], // hidden too, or 11 - 0 - 5 - 0 would reveal level 4
+    [3, 5, false],
+    [4, null, true],
+    [5, 0, false]
+  ]);
+  const pillar = key => analysis.pillars.find(p => p.key === key);
+  assert.strictEqual(pillar('numeracy').struggleCount, 11, 'everyone is a big enough group');
+  assert.deepStrictEqual([pillar('reading').struggleCount, pillar('reading').struggleRate], [null, null], '"all but one" names the one');
+  assert.strictEqual(analysis.pillars.at(-1).key, 'reading', 'suppressed pillars sort last');
+
+  // A group smaller than k: the total only
+  const tooFew = await analyzeAssessments(db, { cohort: 'kanon-test' }, { minGroupSize: 12 });
+  assert.deepStrictEqual(
+    [tooFew.total, tooFew.suppressed, tooFew.readinessDistribution, tooFew.pillars],
+    [11, true, [], []]
+  );
+
+  // The export leaves out rubric versions with fewer than K_ANONYMITY_MIN rows
+  await save('kanon-old-a', 3, 0, 'm0-kanon-old');
+  await save('kanon-old-b', 3, 0, 'm0-kanon-old');
+  const { token } = await createAdminToken('k-anonymity test', ['export']);
+  const { default: exportHandler } = await import('./api/export-csv.js');
+  const exportCsv = async () => {
+    const res = createMockResponse();
+    await exportHandler({ method: 'GET', headers: { authorization: `Bearer ${token}` }, query: {} }, res);
+    assert.strictEqual(res.statusCode, 200);
+    return res;
+  };
+
+  let res = await exportCsv();
+  assert.strictEqual(res.body.split('\n').filter(line => line.includes('K-anonymity test')).length, 11);
+  assert.ok(!res.body.includes('m0-kanon-old'));
+  assert.strictEqual(res.headers['x-suppressed-rows'], '2');
+
+  // De-identified: no session id, and a date without the time
+  const [header, ...lines] = res.body.split('\n');
+  assert.ok(header.startsWith('date,numeracy_score,'));
+  assert.ok(!res.body.includes('kanon-1'), 'no session ids');
+  assert.ok(lines.every(line => /^\d{4}-\d{2}-\d{2},/.test(line)), 'dates only');
+  const dates = lines.map(line => line.slice(0, 10));
+  assert.deepStrictEqual(dates, [...dates].sort(), 'sorted by date, not newest first');
+
+  process.env.K_ANONYMITY_MIN = '2';
+  try {
+    res = await exportCsv();
+    assert.ok(res.body.includes('m0-kanon-old'));
+    assert.strictEqual(res.headers['x-suppressed-rows'], '0');
+  } finally {
+    delete process.env.K_ANONYMITY_MIN;
+  }
+});
+
+scenario('exports one metric,value,date row per pillar plus readiness in the long format', async () => {
+  const { insertAssessment } = require('./api/lib/db.js');
+  const { createAdminToken } = require('./api/lib/admin-auth.js');
+  const milestone = getMilestone('milestone-1');
+  const db = await getDb();
+
+  // Five rows on one rubric version, two on another - each on its own
+  // made-up date, so their lines are easy to find among earlier scenarios'
+  const save = async (i, promptVersion, timestamp) => {
+    await insertAssessment({
+      sessionId: `long-${i}`,
+      milestone: milestone.id,
+      scores: milestone.pillars.map(pillar => ({ pillar: pillar.key, score: Math.min(i, pillar.max), max: pillar.max })),
+      readinessLevel: 3,
+      readinessTitle: 'Long format test',
+      ipHash: null,
+      consentGiven: true,
+      promptVersion
+    });
+    await db.run('UPDATE assessments SET timestamp = ? WHERE session_id = ?', [timestamp, `long-${i}`]);
+  };
+  for (let i = 0; i < 5; i++) await save(i, 'm1-long', `2001-01-0${i + 1} 12:00:00`);
+  for (let i = 5; i < 7; i++) await save(i, 'm1-long-small', `2001-01-0${i + 1} 12:00:00`);
+
+  const { token } = await createAdminToken('long format test', ['export']);
+  const { default: exportHandler } = await import('./api/export-csv.js');
+  const res = createMockResponse();
+  await exportHandler({
+    method: 'GET',
+    headers: { authorization: `Bearer ${token}` },
+    query: { format: 'long', milestone: milestone.id }
+  }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.headers['content-disposition'], `attachment; filename="assessments-${milestone.id}-long.csv"`);
+  const [header, ...lines] = res.body.split('\n');
+  assert.strictEqual(header, 'metric,value,date');
+  assert.ok(lines.every(line => line.split(',').length === 3));
+
+  // Each assessment: its pillars in rubric order, then readiness_level
+  for (let i = 0; i < 5; i++) {
+    const date = `2001-01-0${i + 1}`;
+    assert.deepStrictEqual(lines.filter(line => line.endsWith(`,${date}`)), [
+      ...milestone.pillars.map(pillar => `${pillar.key},${Math.min(i, pillar.max)},${date}`),
+      `readiness_level,3,${date}`
+    ]);
+  }
+
+  // A rubric version with fewer than K_ANONYMITY_MIN assessments is left out entirely
+  for (let i = 5; i < 7; i++) {
+    assert.ok(!lines.some(line => line.endsWith(`,2001-01-0${i + 1}`)));
+  }
+  assert.ok(Number(res.headers['x-suppressed-rows']) >= 2);
+});
+
+scenario('requires a scoped admin token and audits every analytics and export request', async () => {
+  const { getAuditLog, revokeAdminToken } = require('./api/lib/db.js');
+  const { createAdminToken } = require('./api/lib/admin-auth.js');
+  const { default: analyticsHandler } = await import('./api/analytics.js');
+  const { default: exportHandler } = await import('./api/export-csv.js');
+  const call = async (handler, token, query = {}) => {
+    const res = createMockResponse();
+    const headers = token ? { authorization: `Bearer ${token}` } : {};
+    await handler({ method: 'GET', headers, query }, res);
+    return res;
+  };
+
+  const analyst = await createAdminToken('audit test analyst', ['analytics']);
+  const exporter = await createAdminToken('audit test exporter', ['export']);
+
+  // 401: no token, an unknown token, a revoked token
+  for (const handler of [analyticsHandler, exportHandler]) {
+    assert.strictEqual((await call(handler, null)).statusCode, 401);
+    assert.strictEqual((await call(handler, 'adm_not-a-real-token')).statusCode, 401);
+  }
+  const revoked = await createAdminToken('audit test revoked', ['analytics', 'export']);
+  await revokeAdminToken(revoked.id);
+  assert.strictEqual((await call(analyticsHandler, revoked.token)).statusCode, 401);
+
+  // 403: a real token without the scope
+  let res = await call(analyticsHandler, exporter.token);
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.error, 'This token is not allowed to access analytics');
+  assert.strictEqual((await call(exportHandler, analyst.token)).statusCode, 403);
+
+  // Refused requests are not audited
+  assert.ok(!(await getAuditLog()).some(entry => entry.token_name.startsWith('audit test')));
+
+  // Allowed requests each leave one audit row naming the token
+  res = await call(analyticsHandler, analyst.token, { cohort: 'kanon-test' });
+  assert.strictEqual(res.statusCode, 200);
+  let [entry] = await getAuditLog(1);
+  assert.deepStrictEqual(
+    [entry.token_id, entry.token_name, entry.action, entry.row_count],
+    [analyst.id, 'audit test analyst', 'analytics', res.body.total]
+  );
+  assert.strictEqual(JSON.parse(entry.details).cohort, 'kanon-test');
+
+  res = await call(exportHandler, exporter.token, { format: 'long' });
+  assert.strictEqual(res.statusCode, 200);
+  [entry] = await getAuditLog(1);
+  assert.deepStrictEqual(
+    [entry.token_id, entry.action, JSON.parse(entry.details).format],
+    [exporter.id, 'export-csv', 'long']
+  );
+
+  // No audit log, no data: both endpoints refuse with 503
+  const db = await getDb();
+  await db.exec('ALTER TABLE admin_audit_log RENAME TO admin_audit_log_hidden');
+  try {
+    res = await call(analyticsHandler, analyst.token);
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.body.error, 'Analytics unavailable: audit log could not be written');
+    res = await call(exportHandler, exporter.token);
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.headers['content-disposition'], undefined, 'no CSV was sent');
+  } finally {
+    await db.exec('ALTER TABLE admin_audit_log_hidden RENAME TO admin_audit_log');
+  }
+});
+
+scenario('retries a busy model, then falls back when it keeps failing', async () => {
+  const busy = { error: { status: 529, message: 'Overloaded' } };
+  const primary = createScriptedClient(['Question 1', busy, busy, busy]);
+  const fallback = createScriptedClient([finalMessage()]);
+  const model = createResilientClient({ primary, fallback, maxRetries: 2, retryBaseMs: 0 });
+
+  const chat = await startConversation({ model, ip: '10.0.0.9' });
+  await chat.send({ message: 'Hi', consentGiven: true });
+  const res = await chat.send({ message: 'Answer', consentGiven: true });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(primary.calls.length, 4, '1 success + 1 failure + 2 retries');
+  assert.strictEqual(fallback.calls.length, 1);
+  assert.strictEqual(fallback.calls[0].messages.length, 3, 'fallback got the whole conversation');
+  assert.ok(await getAssessmentRow(chat.sessionId), 'assessment finished on the fallback model');
+});
+
+scenario('does not retry or fall back on errors that would repeat (400)', async () => {
+  const primary = createScriptedClient([{ error: { status: 400, message: 'Bad request' } }]);
+  const fallback = createScriptedClient([]);
+  const model = createResilientClient({ primary, fallback, maxRetries: 2, retryBaseMs: 0 });
+
+  const chat = await startConversation({ model, ip: '10.0.0.10' });
+  const res = await chat.send({ message: 'Hi' });
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(primary.calls.length, 1);
+  assert.strictEqual(fallback.calls.length, 0);
+});
+
+scenario('falls back over HTTP from an Anthropic outage to an OpenAI-compatible server', async () => {
+  const down = createMockAnthropicServer({ failStatus: 503 });
+  const local = createMockAnthropicServer({ failStatus: null });
+  await new Promise(resolve => down.listen(0, resolve));
+  await new Promise(resolve => local.listen(0, resolve));
+
+  try {
+    const config = getModelConfig({
+      ANTHROPIC_API_KEY: 'test-key',
+      ANTHROPIC_BASE_URL: `http://localhost:${down.address().port}`,
+      FALLBACK_PROVIDER: 'openai',
+      FALLBACK_BASE_URL: `http://localhost:${local.address().port}/`,
+      FALLBACK_MODEL: 'local-llama',
+      MODEL_MAX_RETRIES: '1',
+      MODEL_RETRY_BASE_MS: '0',
+      MODEL_TIMEOUT_MS: '5000'
+    });
+    assert.strictEqual(config.primary.model, 'claude-haiku-4-5-20251001');
+    assert.strictEqual(config.fallback.apiKey, null, 'Anthropic key is not sent to another provider');
+
+    const model = createResilientClient({
+      primary: createProviderClient(config.primary),
+      fallback: createProviderClient(config.fallback),
+      maxRetries: config.maxRetries,
+      retryBaseMs: config.retryBaseMs
+    });
+
+    const chat = await startConversation({ model, ip: '10.0.0.11' });
+    let res = await chat.send({ message: 'Hi', consentGiven: true });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.content[0].text.includes('Question 1'));
+
+    // Streaming works through the fallback too
+    res = await chat.send({ message: '24', consentGiven: true, stream: true });
+    const done = res.events().at(-1);
+    assert.strictEqual(done.event, 'done');
+    assert.strictEqual(done.data.model, 'local-llama');
+    assert.ok(done.data.assessmentResults);
+    assert.ok(await getAssessmentRow(chat.sessionId));
+  } finally {
+    down.close();
+    local.close();
+  }
+});
+
+scenario('turns a model timeout into a retryable 504', async () => {
+  // A server that accepts the request and never answers
+  const silent = require('http').createServer(() => {});
+  await new Promise(resolve => silent.listen(0, resolve));
+
+  try {
+    const client = createProviderClient({
+      provider: 'anthropic',
+      model: 'claude-haiku-4-5-20251001',
+      baseUrl: `http://localhost:${silent.address().port}`,
+      apiKey: 'test-key',
+      maxTokens: 100,
+      timeoutMs: 50
+    });
+    const result = await client.complete('system', [{ role: 'user', content: 'Hi' }]);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 504);
+  } finally {
+    silent.closeAllConnections();
+    silent.close();
+  }
+});
+
+scenario('shares one time budget between retries and the fallback', async () => {
+  assert.strictEqual(getModelConfig({}).totalTimeoutMs, 55000);
+  assert.strictEqual(getModelConfig({ MODEL_TOTAL_TIMEOUT_MS: '0' }).totalTimeoutMs, 0);
+
+  // A server that accepts every request and never answers
+  let requests = 0;
+  const silent = require('http').createServer(() => { requests++; });
+  await new Promise(resolve => silent.listen(0, resolve));
+
+  try {
+    const options = {
+      provider: 'anthropic',
+      model: 'claude-haiku-4-5-20251001',
+      baseUrl: `http://localhost:${silent.address().port}`,
+      apiKey: 'test-key',
+      maxTokens: 100,
+      timeoutMs: 5000,
+      idleTimeoutMs: 5000
+    };
+    const fallback = createScriptedClient(['Too late']);
+    const model = createResilientClient({
+      primary: createProviderClient(options),
+      fallback,
+      maxRetries: 2,
+      retryBaseMs: 0,
+      totalTimeoutMs: 200
+    });
+
+    // Without the budget: 3 attempts x 5s, then the fallback
+    const startedAt = Date.now();
+    const result = await model.complete('system', [{ role: 'user', content: 'Hi' }]);
+    assert.strictEqual(result.status, 504);
+    assert.ok(Date.now() - startedAt < 2000, `gave up after ${Date.now() - startedAt}ms`);
+    assert.strictEqual(requests, 1, 'no retry once the budget is spent');
+    assert.strictEqual(fallback.calls.length, 0, 'no fallback once the budget is spent');
+
+    // Streaming shares the same budget
+    requests = 0;
+    const streamed = await model.stream('system', [{ role: 'user', content: 'Hi' }]);
+    assert.strictEqual(streamed.status, 504);
+    assert.strictEqual(requests, 1);
+  } finally {
+    silent.closeAllConnections();
+    silent.close();
+  }
+});
+
+scenario('cancels a stream that stalls, then retries or falls back if no text was sent', async () => {
+  // A server that starts streaming, optionally says something, then goes quiet
+  let requests = 0;
+  let sayFirst = null;
+  const stalling = require('http').createServer((req, res) => {
+    requests++;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`event: message_start\ndata: ${JSON.stringify({ message: { id: 'msg_stall' } })}\n\n`);
+    if (sayFirst) {
+      res.write(`event: content_block_delta\ndata: ${JSON.stringify({ delta: { type: 'text_delta', text: sayFirst } })}\n\n`);
+    }
+  });
+  await new Promise(resolve => stalling.listen(0, resolve));
+
+  try {
+    const primary = createProviderClient({
+      provider: 'anthropic',
+      model: 'claude-haiku-4-5-20251001',
+      baseUrl: `http://localhost:${stalling.address().port}`,
+      apiKey: 'test-key',
+      maxTokens: 100,
+      timeoutMs: 1000,
+      idleTimeoutMs: 50
+    });
+
+    // Nothing reached the student yet: retried once, then the fallback answers
+    const fallback = createScriptedClient(['Question 1 (from the fallback)']);
+    let chat = await startConversation({
+      model: createResilientClient({ primary, fallback, maxRetries: 1, retryBaseMs: 0 }),
+      ip: '10.0.0.38'
+    });
+    let res = await chat.send({ message: 'Hi', consentGiven: true, stream: true });
+    assert.strictEqual(requests, 2);
+    assert.strictEqual(fallback.calls.length, 1);
+    assert.strictEqual(res.events().at(-1).event, 'done');
+    assert.ok(res.events().at(-1).data.content[0].text.includes('from the fallback'));
+
+    // Text already on screen: no retry, but the stream ends with an error
+    requests = 0;
+    sayFirst = 'Let me think';
+    chat = await startConversation({
+      model: createResilientClient({ primary, fallback: createScriptedClient([]), maxRetries: 1, retryBaseMs: 0 }),
+      ip: '10.0.0.39'
+    });
+    res = await chat.send({ message: 'Hi', consentGiven: true, stream: true });
+    assert.strictEqual(requests, 1);
+    assert.deepStrictEqual(res.events().map(e => e.event), ['delta', 'error']);
+    assert.strictEqual(res.events().at(-1).data.status, 504);
+    assert.strictEqual(res.events().at(-1).data.details, 'Model stream stalled');
+  } finally {
+    stalling.closeAllConnections();
+    stalling.close();
+  }
+});
+
+// =========================================================
+// RUNNER
+// =========================================================
+
+async function runTests() {
+  console.log('='.repeat(50));
+  console.log('ASSESSMENT FLOW TESTS');
+  console.log('='.repeat(50));
+  console.log();
+  console.log(`Test database: ${path.join(testDir, 'assessments.db')}`);
+  console.log();
+
+  // The handler logs a lot - keep the output readable
+  const log = console.log;
+  const error = console.error;
+  const failures = [];
+
+  for (const { name, fn } of scenarios) {
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      await fn();
+      console.log = log;
+      console.log(`  PASS  ${name}`);
+    } catch (err) {
+      console.log = log;
+      console.log(`  FAIL  ${name}`);
+      failures.push({ name, err });
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  }
+
+  setModelClient(null);
+  await closeDb();
+  fs.rmSync(testDir, { recursive: true, force: true });
+
+  console.log();
+  console.log('='.repeat(50));
+  console.log(`${scenarios.length - failures.length} passed, ${failures.length} failed`);
+  console.log('='.repeat(50));
+
+  failures.forEach(({ name, err }) => {
+    console.log(`\n${name}:\n  ${err.stack}`);
+  });
+
+  if (failures.length > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error('\nTEST RUN FAILED:', error);
+  process.exit(1);
+});
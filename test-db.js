@@ -2,90 +2,158 @@
  * Database Test Script
  *
  * Run this to verify your database is working correctly:
- *   node test-db.js
+ *   npm run test-db
  *
- * This script:
- * 1. Initializes the database
- * 2. Inserts a test assessment
- * 3. Queries all assessments
- * 4. Shows the count
+ * To test against a local Postgres instead of SQLite:
+ *   DATABASE_URL=postgres://localhost:5432/bootcamp npm run test-db
+ *
+ * TEACHING MOMENT: npm test always uses a throwaway SQLite file. This
+ * script checks the storage layer itself, against whichever database
+ * db.js picks - so it is how you find out that Postgres behaves the
+ * same way (counts come back as numbers, failed transactions undo
+ * everything, concurrent requests don't trip over each other).
+ *
+ * Every row it writes uses a unique test_... key and is deleted at the
+ * end. It exits with an error code if any check fails.
  */
 
+const assert = require('assert');
+const crypto = require('crypto');
 const {
+  getDb,
   initDb,
   insertAssessment,
   getAllAssessments,
   getAssessmentCount,
+  deleteOwnRecord,
+  rateLimitStore,
+  closeDb,
   getDbPath
 } = require('./api/lib/db.js');
 
+const RUN_ID = `test_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+let passed = 0;
+let failed = 0;
+
+// Run one named check, and keep going if it fails
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`   PASS  ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`   FAIL  ${name}`);
+    console.log(`         ${error.message}`);
+  }
+}
+
 async function testDatabase() {
   console.log('='.repeat(50));
   console.log('DATABASE TEST');
   console.log('='.repeat(50));
   console.log();
 
-  // Show database path
-  console.log(`Database path: ${getDbPath()}`);
+  // Initialize database (applies any pending migrations)
+  await initDb();
+  const db = await getDb();
+  console.log(`Database: ${getDbPath()} (${db.dialect})`);
   console.log();
 
-  // Initialize database
-  console.log('1. Initializing database...');
-  await initDb();
-  console.log('   Done!\n');
-
-  // Insert a test record
-  console.log('2. Inserting test assessment...');
-  const testAssessment = {
-    sessionId: `test_${Date.now()}`,
-    numeracyScore: 8,
-    readingScore: 3,
-    computerScore: 7,
-    logicScore: 6,
-    communicationScore: 4,
-    mindsetScore: 5,
-    readinessLevel: 2,
-    readinessTitle: 'Ready with Quick Prep',
-    ipHash: 'test_hash_abc123',
-    consentGiven: true
-  };
-
-  const success = await insertAssessment(testAssessment);
-  console.log(`   Insert ${success ? 'succeeded' : 'FAILED'}!\n`);
-
-  // Get count
-  console.log('3. Counting assessments...');
-  const count = await getAssessmentCount();
-  console.log(`   Total assessments: ${count}\n`);
-
-  // Get all assessments
-  console.log('4. Fetching all assessments...');
-  const assessments = await getAllAssessments();
-  console.log(`   Retrieved ${assessments.length} records\n`);
-
-  // Show first few records
-  if (assessments.length > 0) {
-    console.log('5. Sample data (most recent):');
-    const sample = assessments.slice(0, 3);
-    sample.forEach((row, i) => {
-      console.log(`\n   Record ${i + 1}:`);
-      console.log(`   - Session: ${row.session_id}`);
-      console.log(`   - Timestamp: ${row.timestamp}`);
-      console.log(`   - Scores: N=${row.numeracy_score}, R=${row.reading_score}, C=${row.computer_score}, L=${row.logic_score}, Co=${row.communication_score}, M=${row.mindset_score}`);
-      console.log(`   - Readiness: Level ${row.readiness_level} (${row.readiness_title})`);
+  const sessionId = `${RUN_ID}_assessment`;
+  const receiptHash = crypto.createHash('sha256').update(RUN_ID).digest('hex');
+
+  await check('inserts an assessment with its pillar scores', async () => {
+    const success = await insertAssessment({
+      sessionId,
+      milestone: 'milestone-0',
+      scores: [
+        { pillar: 'numeracy', score: 8, max: 10 },
+        { pillar: 'reading', score: 3, max: 5 },
+        { pillar: 'computer', score: 7, max: 10 },
+        { pillar: 'logic', score: 6, max: 8 },
+        { pillar: 'communication', score: 4, max: 5 },
+        { pillar: 'mindset', score: 5, max: 7 }
+      ],
+      readinessLevel: 2,
+      readinessTitle: 'Ready with Quick Prep',
+      ipHash: null,
+      consentGiven: true,
+      receiptHash
     });
-  }
+    assert.strictEqual(success, true);
+
+    const rows = await db.all('SELECT pillar, score FROM assessment_scores WHERE session_id = ?', [sessionId]);
+    assert.strictEqual(rows.length, 6);
+  });
+
+  await check('counts come back as numbers', async () => {
+    const count = await getAssessmentCount();
+    assert.strictEqual(typeof count, 'number');
+    assert.ok(count > 0, `expected at least 1 assessment, got ${count}`);
+
+    const row = await db.get('SELECT COUNT(*) AS count, SUM(score) AS total FROM assessment_scores WHERE session_id = ?', [sessionId]);
+    assert.strictEqual(row.count, 6);
+    assert.strictEqual(row.total, 33);
+  });
+
+  await check('reads the assessment back', async () => {
+    const assessments = await getAllAssessments();
+    const row = assessments.find(a => a.session_id === sessionId);
+    assert.ok(row, 'inserted assessment not found');
+    assert.strictEqual(row.readiness_level, 2);
+  });
+
+  await check('a failed transaction undoes all of its writes', async () => {
+    const key = `${RUN_ID}_rollback`;
+    await assert.rejects(
+      db.transaction(async tx => {
+        await tx.run('INSERT INTO rate_limits (bucket_key, count, window_start) VALUES (?, 1, 0)', [key]);
+        throw new Error('abort on purpose');
+      }),
+      /abort on purpose/
+    );
+    assert.strictEqual(await db.get('SELECT count FROM rate_limits WHERE bucket_key = ?', [key]), null);
+  });
+
+  await check('concurrent rate limit increments never lose a hit', async () => {
+    const key = `${RUN_ID}_burst`;
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => rateLimitStore.increment(key, 3600))
+    );
+    assert.deepStrictEqual(
+      results.map(result => result.count).sort((a, b) => a - b),
+      [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+    );
+  });
+
+  await check('a failed transaction does not undo writes made alongside it', async () => {
+    const failingKey = `${RUN_ID}_failing`;
+    const otherKey = `${RUN_ID}_other`;
+    const [failure] = await Promise.allSettled([
+      db.transaction(async tx => {
+        await tx.run('INSERT INTO rate_limits (bucket_key, count, window_start) VALUES (?, 1, 0)', [failingKey]);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('abort on purpose');
+      }),
+      db.run('INSERT INTO rate_limits (bucket_key, count, window_start) VALUES (?, 1, 0)', [otherKey])
+    ]);
+    assert.strictEqual(failure.status, 'rejected');
+    assert.strictEqual(await db.get('SELECT count FROM rate_limits WHERE bucket_key = ?', [failingKey]), null);
+    assert.deepStrictEqual(await db.get('SELECT count FROM rate_limits WHERE bucket_key = ?', [otherKey]), { count: 1 });
+  });
+
+  // Clean up everything this run wrote
+  await deleteOwnRecord(receiptHash);
+  await db.run('DELETE FROM rate_limits WHERE bucket_key LIKE ?', [`${RUN_ID}_%`]);
 
   console.log('\n' + '='.repeat(50));
-  console.log('TEST COMPLETE');
+  console.log(`${passed} passed, ${failed} failed`);
   console.log('='.repeat(50));
 
-  if (success && count > 0) {
-    console.log('\nSUCCESS! Database is working correctly.');
-    console.log(`\nYou can find the database file at:\n  ${getDbPath()}`);
-  } else {
-    console.log('\nWARNING: Something may be wrong. Check the errors above.');
-  }
+  await closeDb();
+  if (failed > 0) process.exit(1);
 }
 
 // Run the test